@@ -8,6 +8,11 @@
  * - zoneId: Matches zones defined in TestEnvironment (Z1, Z2, Z3, etc.)
  * - projects: Array of project objects for that zone
  * - Each project has: id, title, description, type, media, links, tags
+ * - screenshots: URLs or { url, caption } objects (shown in the gallery viewer)
+ *
+ * PORTFOLIO_ZONES is the bundled fallback. At runtime the content is loaded
+ * from public/portfolio.json (see portfolioLoader.js); always read through
+ * the getters below so the loaded manifest is picked up.
  */
 
 export const PORTFOLIO_ZONES = {
@@ -87,13 +92,12 @@ export const PORTFOLIO_ZONES = {
         title: 'Adventure Quest',
         subtitle: 'Unity 3D RPG',
         description: 'Open-world RPG with procedural generation, quest system, and multiplayer support. Play directly in your browser!',
-        type: 'unity_webgl',
+        type: 'unity_webgl', // Add webglUrl (a build under public/games/ or an EMBED_HOSTS URL) to embed it
         thumbnailUrl: 'textures/portfolio/z2_adventure.jpg',
         screenshots: [
           'textures/portfolio/z2_adventure_1.jpg',
           'textures/portfolio/z2_adventure_2.jpg',
         ],
-        webglUrl: 'https://example.com/games/adventure-quest', // Unity WebGL build URL
         links: {
           steam: 'https://store.steampowered.com/app/xxxxx',
           itch: 'https://example.itch.io/adventure-quest',
@@ -111,7 +115,6 @@ export const PORTFOLIO_ZONES = {
         type: 'unity_webgl',
         thumbnailUrl: 'textures/portfolio/z2_puzzle.jpg',
         screenshots: [],
-        webglUrl: 'https://example.com/games/puzzle-dimensions',
         links: {
           playstore: 'https://play.google.com/store/apps/details?id=com.example.puzzle',
           appstore: 'https://apps.apple.com/app/puzzle-dimensions/id123456',
@@ -215,9 +218,9 @@ export const PORTFOLIO_ZONES = {
         type: 'gallery',
         thumbnailUrl: 'textures/portfolio/z4_3d.jpg',
         screenshots: [
-          'textures/portfolio/z4_3d_1.jpg',
-          'textures/portfolio/z4_3d_2.jpg',
-          'textures/portfolio/z4_3d_3.jpg',
+          { url: 'textures/portfolio/z4_3d_1.jpg', caption: 'Studio render' },
+          { url: 'textures/portfolio/z4_3d_2.jpg', caption: 'Material close-up' },
+          { url: 'textures/portfolio/z4_3d_3.jpg', caption: 'Exploded view' },
         ],
         links: {},
         tags: ['Blender', 'Cinema 4D', '3D'],
@@ -353,13 +356,33 @@ export const PORTFOLIO_ZONES = {
   },
 }
 
+// Active content: starts as the bundled data above and is replaced when
+// portfolioLoader.js delivers a valid public/portfolio.json manifest.
+let activeZones = PORTFOLIO_ZONES
+
+/**
+ * Replace the active portfolio content
+ * @param {Object} zones - Zone map with the same shape as PORTFOLIO_ZONES
+ */
+export function setPortfolioZones(zones) {
+  activeZones = zones || PORTFOLIO_ZONES
+}
+
+/**
+ * Get the active portfolio content (manifest if loaded, bundled otherwise)
+ * @returns {Object} Zone map keyed by zone id
+ */
+export function getPortfolioZones() {
+  return activeZones
+}
+
 /**
  * Get all featured projects across all zones
  * @returns {Array} Array of featured project objects with zone info
  */
 export function getFeaturedProjects() {
   const featured = []
-  for (const [zoneId, zone] of Object.entries(PORTFOLIO_ZONES)) {
+  for (const [zoneId, zone] of Object.entries(activeZones)) {
     for (const project of zone.projects) {
       if (project.featured) {
         featured.push({ ...project, zoneId, zoneName: zone.zoneName })
@@ -375,7 +398,7 @@ export function getFeaturedProjects() {
  * @returns {Object|null} Zone data with projects or null
  */
 export function getZoneProjects(zoneId) {
-  return PORTFOLIO_ZONES[zoneId] || null
+  return activeZones[zoneId] || null
 }
 
 /**
@@ -384,7 +407,7 @@ export function getZoneProjects(zoneId) {
  * @returns {Object|null} Project data with zone info or null
  */
 export function getProjectById(projectId) {
-  for (const [zoneId, zone] of Object.entries(PORTFOLIO_ZONES)) {
+  for (const [zoneId, zone] of Object.entries(activeZones)) {
     const project = zone.projects.find(p => p.id === projectId)
     if (project) {
       return { ...project, zoneId, zoneName: zone.zoneName, accentColor: zone.accentColor }
@@ -400,7 +423,7 @@ export function getProjectById(projectId) {
  */
 export function getProjectsByType(type) {
   const results = []
-  for (const [zoneId, zone] of Object.entries(PORTFOLIO_ZONES)) {
+  for (const [zoneId, zone] of Object.entries(activeZones)) {
     for (const project of zone.projects) {
       if (project.type === type) {
         results.push({ ...project, zoneId, zoneName: zone.zoneName })
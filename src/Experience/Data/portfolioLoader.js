@@ -0,0 +1,231 @@
+import { PORTFOLIO_ZONES, setPortfolioZones } from './portfolioData.js'
+
+/**
+ * Portfolio Manifest Loader
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Fetches the versioned portfolio.json from public/, validates it and makes
+ * it the active content for the getters in portfolioData.js.
+ *
+ * MANIFEST FORMAT:
+ * {
+ *   "version": 1,
+ *   "lastUpdated": "2026-10-19",
+ *   "zones": { "Z1": { zoneName, description, accentColor, projects: [...] }, ... }
+ * }
+ *
+ * - accentColor may be a number or a "#RRGGBB" string
+ * - Zone keys must be known zone ids (same keys as PORTFOLIO_ZONES)
+ * - If the manifest is missing or invalid, the bundled PORTFOLIO_ZONES stay
+ *   active and every problem is reported in the returned error list
+ *
+ * Emits `portfolioLoaded` on window with { source, version, errors }.
+ */
+
+export const PORTFOLIO_MANIFEST_VERSION = 1
+
+export const PROJECT_TYPES = ['unity_webgl', 'webapp', 'video', 'gallery', 'info', 'contact']
+
+const CONTACT_BACKENDS = ['endpoint', 'mailto', 'mock']
+
+const ZONE_KEYS = Object.keys(PORTFOLIO_ZONES)
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0
+const isStringArray = (v) => Array.isArray(v) && v.every(item => typeof item === 'string')
+const isScreenshotArray = (v) => Array.isArray(v) && v.every(item => isNonEmptyString(item) ||
+  (isPlainObject(item) && isNonEmptyString(item.url) && (item.caption === undefined || typeof item.caption === 'string')))
+
+/**
+ * Convert a manifest color ("#4A90D9" or 0x4A90D9) to a number
+ * @returns {number|null} Color as number or null if not parseable
+ */
+function parseColor(value) {
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xFFFFFF) {
+    return value
+  }
+  if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+    return parseInt(value.slice(1), 16)
+  }
+  return null
+}
+
+function validateProject(project, path, seenIds, errors) {
+  if (!isPlainObject(project)) {
+    errors.push(`${path}: project must be an object`)
+    return
+  }
+
+  if (!isNonEmptyString(project.id)) {
+    errors.push(`${path}.id: must be a non-empty string`)
+  } else if (seenIds.has(project.id)) {
+    errors.push(`${path}.id: duplicate project id "${project.id}"`)
+  } else {
+    seenIds.add(project.id)
+  }
+
+  if (!isNonEmptyString(project.title)) {
+    errors.push(`${path}.title: must be a non-empty string`)
+  }
+  if (!PROJECT_TYPES.includes(project.type)) {
+    errors.push(`${path}.type: "${project.type}" is not one of ${PROJECT_TYPES.join(', ')}`)
+  }
+
+  for (const key of ['subtitle', 'description', 'thumbnailUrl', 'webglUrl', 'videoUrl']) {
+    if (project[key] !== undefined && typeof project[key] !== 'string') {
+      errors.push(`${path}.${key}: must be a string`)
+    }
+  }
+
+  if (project.links !== undefined) {
+    if (!isPlainObject(project.links)) {
+      errors.push(`${path}.links: must be an object of name → URL`)
+    } else {
+      for (const [name, url] of Object.entries(project.links)) {
+        if (!isNonEmptyString(url)) {
+          errors.push(`${path}.links.${name}: must be a non-empty string`)
+        }
+      }
+    }
+  }
+
+  if (project.contact !== undefined) {
+    if (!isPlainObject(project.contact)) {
+      errors.push(`${path}.contact: must be an object`)
+    } else {
+      for (const key of ['email', 'phone', 'address', 'endpoint']) {
+        if (project.contact[key] !== undefined && typeof project.contact[key] !== 'string') {
+          errors.push(`${path}.contact.${key}: must be a string`)
+        }
+      }
+      if (project.contact.backend !== undefined && !CONTACT_BACKENDS.includes(project.contact.backend)) {
+        errors.push(`${path}.contact.backend: "${project.contact.backend}" is not one of ${CONTACT_BACKENDS.join(', ')}`)
+      }
+    }
+  }
+
+  if (project.tags !== undefined && !isStringArray(project.tags)) {
+    errors.push(`${path}.tags: must be an array of strings`)
+  }
+  if (project.screenshots !== undefined && !isScreenshotArray(project.screenshots)) {
+    errors.push(`${path}.screenshots: must be an array of URLs or { url, caption } objects`)
+  }
+  if (project.featured !== undefined && typeof project.featured !== 'boolean') {
+    errors.push(`${path}.featured: must be a boolean`)
+  }
+  if (project.rotation !== undefined && !Number.isFinite(project.rotation)) {
+    errors.push(`${path}.rotation: must be a number (radians)`)
+  }
+  if (project.position !== undefined) {
+    const pos = project.position
+    if (!isPlainObject(pos) || !['x', 'y', 'z'].every(axis => pos[axis] === undefined || Number.isFinite(pos[axis]))) {
+      errors.push(`${path}.position: must be an object with numeric x/y/z`)
+    }
+  }
+}
+
+/**
+ * Validate a parsed manifest against the portfolio schema
+ * @param {Object} manifest - Parsed portfolio.json
+ * @returns {{ valid: boolean, errors: string[], zones: Object|null }} Normalized zones when valid
+ */
+export function validatePortfolioManifest(manifest) {
+  const errors = []
+
+  if (!isPlainObject(manifest)) {
+    return { valid: false, errors: ['manifest: must be a JSON object'], zones: null }
+  }
+
+  if (manifest.version !== PORTFOLIO_MANIFEST_VERSION) {
+    errors.push(`version: expected ${PORTFOLIO_MANIFEST_VERSION}, got ${JSON.stringify(manifest.version)}`)
+  }
+
+  if (!isPlainObject(manifest.zones) || Object.keys(manifest.zones).length === 0) {
+    errors.push('zones: must be a non-empty object keyed by zone id')
+    return { valid: false, errors, zones: null }
+  }
+
+  const zones = {}
+  const seenIds = new Set()
+
+  for (const [zoneId, zone] of Object.entries(manifest.zones)) {
+    const path = `zones.${zoneId}`
+
+    if (!ZONE_KEYS.includes(zoneId)) {
+      errors.push(`${path}: unknown zone id (expected one of ${ZONE_KEYS.join(', ')})`)
+      continue
+    }
+    if (!isPlainObject(zone)) {
+      errors.push(`${path}: must be an object`)
+      continue
+    }
+
+    if (!isNonEmptyString(zone.zoneName)) {
+      errors.push(`${path}.zoneName: must be a non-empty string`)
+    }
+    if (zone.description !== undefined && typeof zone.description !== 'string') {
+      errors.push(`${path}.description: must be a string`)
+    }
+
+    const accentColor = parseColor(zone.accentColor)
+    if (accentColor === null) {
+      errors.push(`${path}.accentColor: must be a "#RRGGBB" string or a 24-bit number`)
+    }
+
+    if (!Array.isArray(zone.projects)) {
+      errors.push(`${path}.projects: must be an array`)
+      continue
+    }
+
+    zone.projects.forEach((project, i) => validateProject(project, `${path}.projects[${i}]`, seenIds, errors))
+
+    zones[zoneId] = {
+      ...zone,
+      description: zone.description ?? '',
+      accentColor,
+      projects: zone.projects.map(p => ({ links: {}, tags: [], ...p })),
+    }
+  }
+
+  return { valid: errors.length === 0, errors, zones: errors.length === 0 ? zones : null }
+}
+
+/**
+ * Fetch, validate and activate public/portfolio.json
+ * Falls back to the bundled PORTFOLIO_ZONES if anything goes wrong.
+ * @param {string} url - Manifest URL (defaults to portfolio.json under the base path)
+ * @returns {Promise<{ source: 'manifest'|'bundled', version: number|null, errors: string[] }>}
+ */
+export async function loadPortfolioManifest(url) {
+  const basePath = import.meta.env.BASE_URL || './'
+  const manifestUrl = url ?? `${basePath}portfolio.json`
+
+  let result
+
+  try {
+    const response = await fetch(manifestUrl, { cache: 'no-cache' })
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${manifestUrl}`)
+    }
+    const manifest = await response.json()
+    const { valid, errors, zones } = validatePortfolioManifest(manifest)
+
+    if (valid) {
+      setPortfolioZones(zones)
+      result = { source: 'manifest', version: manifest.version, errors: [] }
+      console.log(`📋 Portfolio manifest v${manifest.version} loaded — ${Object.keys(zones).length} zones`)
+    } else {
+      setPortfolioZones(PORTFOLIO_ZONES)
+      result = { source: 'bundled', version: null, errors }
+    }
+  } catch (err) {
+    setPortfolioZones(PORTFOLIO_ZONES)
+    result = { source: 'bundled', version: null, errors: [`fetch: ${err.message}`] }
+  }
+
+  if (result.errors.length > 0) {
+    console.warn(`⚠️ Portfolio manifest rejected, using bundled data (${result.errors.length} errors):\n  - ${result.errors.join('\n  - ')}`)
+  }
+
+  window.dispatchEvent(new CustomEvent('portfolioLoaded', { detail: result }))
+  return result
+}
@@ -8,6 +8,19 @@ import { World } from './World/World.js'
 import { Resources } from './Utils/Resources.js'
 import { UIManager } from './UIManager.js'
 import { TouchControls } from './Utils/TouchControls.js'
+import { GamepadControls } from './Utils/GamepadControls.js'
+import { InputManager } from './Utils/InputManager.js'
+import { AudioManager } from './Utils/AudioManager.js'
+import { QualityManager } from './Utils/QualityManager.js'
+import { Persistence } from './Utils/Persistence.js'
+import { Router } from './Utils/Router.js'
+import { MiniMap } from './UI/MiniMap.js'
+import { GuidedTour } from './Systems/GuidedTour.js'
+import { SearchPalette } from './UI/SearchPalette.js'
+import { CameraDirector } from './Systems/CameraDirector.js'
+import { PortalTransition } from './Systems/PortalTransition.js'
+import { PhysicsDebugger } from './Utils/PhysicsDebugger.js'
+import { DebugPanel } from './UI/DebugPanel.js'
 import { sources } from './sources.js'
 
 let instance = null
@@ -51,20 +64,66 @@ export class Experience {
       this.scene = new THREE.Scene()
       this.resources = new Resources(sources)
       this.physics = new Physics()
+
+      // Saved settings/progress (read before World so systems can seed from it)
+      this.persistence = new Persistence()
+
+      // Action mapping (keyboard/pointer/touch/gamepad → named actions, saved bindings)
+      this.inputManager = new InputManager()
       this.camera = new Camera()
       this.renderer = new Renderer()
+      this.postProcessing = this.renderer.postProcessing
 
       // World (contains environment, player, portals, etc.)
       console.log('🌍 Creating world...')
       this.world = new World()
 
+      // Audio (after world so landmark emitters can be placed)
+      this.audioManager = new AudioManager()
+
+      // Quality governor (restores the saved tier and applies it)
+      this.qualityManager = new QualityManager()
+
       // UI Manager (connects DOM to experience)
       console.log('🎨 Setting up UI...')
       this.uiManager = new UIManager()
 
+      // Corner minimap + full world map (M)
+      this.miniMap = new MiniMap()
+
+      // Guided tour (T)
+      this.guidedTour = new GuidedTour()
+
+      // Project search (/ or Ctrl+K)
+      this.searchPalette = new SearchPalette()
+
       // Touch controls for mobile
       this.touchControls = new TouchControls()
 
+      // Gamepad (hot-pluggable, polled each frame)
+      this.gamepadControls = new GamepadControls()
+
+      // Zone camera presets, fly-throughs and panel focus
+      this.cameraDirector = new CameraDirector()
+
+      // Pull-in, wipe and arrival for portal travel
+      this.portalTransition = new PortalTransition()
+
+      // Collider wireframes, contacts and ground probe (#debug only)
+      if (this.debug) this.physicsDebugger = new PhysicsDebugger()
+
+      // Live sliders for camera / physics / environment / panel config (#debug only)
+      if (this.debug) this.debugPanel = new DebugPanel()
+
+      // Apply saved settings to the UI and systems, return to last position
+      this.persistence.restore()
+
+      // Deep links (#/zone/Z2/project/z2_proj1) — applied once content loads
+      this.router = new Router()
+
+      // Opening fly-through (skipped for deep links)
+      this.cameraDirector.playIntro()
+
       // Event listeners
       this.sizes.on('resize', () => this.resize())
       this.time.on('tick', () => this.update())
@@ -96,6 +155,7 @@ export class Experience {
   resize() {
     this.camera.resize()
     this.renderer.resize()
+    this.postProcessing?.resize()
   }
 
   update() {
@@ -104,12 +164,19 @@ export class Experience {
     // Physics first
     this.physics.update()
 
+    // Poll gamepad before anything reads its input
+    this.gamepadControls?.update(deltaTime)
+
+    // Tour steers the player before it moves
+    this.guidedTour?.update(deltaTime)
+
     // World (player, environment)
     this.world.update(deltaTime)
 
     // Camera follows player
     if (this.world.player && this.camera.thirdPerson) {
       this.camera.thirdPerson.follow(this.world.player.mesh, deltaTime)
+      this.cameraDirector?.update()
 
       // Extend fog when zoomed far out so scene stays visible
       if (this.scene.fog) {
@@ -121,6 +188,18 @@ export class Experience {
       }
     }
 
+    // Minimap follows player and camera heading
+    this.miniMap?.update()
+
+    // Debug wireframes follow their bodies
+    this.physicsDebugger?.update()
+
+    // Track safe position + autosave
+    this.persistence?.update(deltaTime)
+
+    // Audio listener follows the camera
+    this.audioManager?.update()
+
     // Render
     this.renderer.update()
 
@@ -137,6 +216,7 @@ export class Experience {
       this.fpsFrames = 0
       this.fpsTime = 0
       this.uiManager?.updateFPS(this.currentFPS)
+      this.qualityManager?.sample(this.currentFPS)
     }
   }
 
@@ -183,15 +263,28 @@ export class Experience {
       }
     })
 
-    // Cleanup systems
+    // Cleanup systems (save first, while every system still exists)
+    this.persistence?.destroy()
     this.uiManager?.destroy()
     this.world?.destroy()
     this.camera?.destroy()
     this.time?.destroy()
     this.sizes?.destroy()
     this.touchControls?.destroy()
-
-    this.renderer.instance.dispose()
+    this.gamepadControls?.destroy()
+    this.audioManager?.destroy()
+    this.qualityManager?.destroy()
+    this.router?.destroy()
+    this.miniMap?.destroy()
+    this.guidedTour?.destroy()
+    this.searchPalette?.destroy()
+    this.cameraDirector?.destroy()
+    this.portalTransition?.destroy()
+    this.inputManager?.destroy()
+    this.physicsDebugger?.destroy()
+    this.debugPanel?.destroy()
+
+    this.renderer.dispose()
     instance = null
   }
 }
@@ -0,0 +1,199 @@
+import * as THREE from 'three'
+import {
+  EffectComposer,
+  Pass,
+  RenderPass,
+  EffectPass,
+  SelectiveBloomEffect,
+  SMAAEffect,
+  SMAAPreset,
+  VignetteEffect,
+  ToneMappingEffect,
+  ToneMappingMode,
+  DepthOfFieldEffect,
+} from 'postprocessing'
+import { Experience } from './Experience.js'
+
+/**
+ * PostProcessing — EffectComposer pipeline owned by Renderer
+ * ═══════════════════════════════════════════════════════════════════════════
+ * - Selective bloom on emissive materials, portal surfaces and glow meshes
+ *   (anything with userData.bloom = true)
+ * - SMAA in place of the disabled MSAA
+ * - ACES tone mapping and vignette
+ * - Depth of field on the viewed panel while a detail view is open
+ *
+ * Quality levels pick the effect set. Level 0 bypasses the composer and
+ * renders directly with the renderer's own tone mapping.
+ */
+export class PostProcessing {
+  constructor(renderer) {
+    this.experience = new Experience()
+    this.scene = this.experience.scene
+    this.camera = this.experience.camera
+    this.sizes = this.experience.sizes
+    this.renderer = renderer
+
+    // Effect sets per quality level (matches the settings slider 0..2)
+    this.qualityLevels = [
+      { name: 'Low', enabled: false },
+      { name: 'Medium', enabled: true, smaa: SMAAPreset.LOW, bloomIntensity: 0.3, vignette: true, depthOfField: false },
+      { name: 'High', enabled: true, smaa: SMAAPreset.HIGH, bloomIntensity: 0.5, vignette: true, depthOfField: true },
+    ]
+
+    this.enabled = false
+    this.quality = 2
+    this.detailFocus = false
+    this._focusTarget = new THREE.Vector3()
+    this._bloomDirty = true
+
+    this.setComposer()
+    this.setEffects()
+    this.setListeners()
+    this.setQuality(this.quality)
+  }
+
+  setComposer() {
+    this.composer = new EffectComposer(this.renderer.instance, {
+      frameBufferType: THREE.HalfFloatType,
+      multisampling: 0,
+    })
+    this.renderPass = new RenderPass(this.scene, this.camera.instance)
+    this._effectPasses = new Map()
+  }
+
+  setEffects() {
+    this.bloomEffect = new SelectiveBloomEffect(this.scene, this.camera.instance, {
+      intensity: 0.5,
+      luminanceThreshold: 0.1,
+      luminanceSmoothing: 0.3,
+      mipmapBlur: true,
+    })
+
+    this.toneMappingEffect = new ToneMappingEffect({ mode: ToneMappingMode.ACES_FILMIC })
+    this.vignetteEffect = new VignetteEffect({ offset: 0.3, darkness: 0.55 })
+    this.smaaEffect = new SMAAEffect({ preset: SMAAPreset.HIGH })
+
+    this.depthOfFieldEffect = new DepthOfFieldEffect(this.camera.instance, {
+      focusDistance: 10,
+      focusRange: 4,
+      bokehScale: 3,
+    })
+    this.depthOfFieldEffect.target = this._focusTarget
+  }
+
+  setListeners() {
+    // Meshes come and go with the environment, the manifest's panels and the
+    // player model; reselect on the next render, once they're all in place
+    this._onSceneChanged = () => { this._bloomDirty = true }
+    this._onDetailViewChange = (e) => this.setDetailFocus(e.detail.open, e.detail.focusPosition)
+
+    window.addEventListener('environmentChanged', this._onSceneChanged)
+    window.addEventListener('portfolioLoaded', this._onSceneChanged)
+    window.addEventListener('detailViewChange', this._onDetailViewChange)
+    this.experience.resources?.on('optionalLoaded.postProcessing', this._onSceneChanged)
+  }
+
+  /**
+   * Select the meshes that should bloom
+   */
+  refreshBloomSelection() {
+    this._bloomDirty = false
+    const selection = this.bloomEffect.selection
+    selection.clear()
+
+    this.scene.traverse((child) => {
+      if (!child.isMesh) return
+
+      const mat = child.material
+      const isEmissive = mat?.emissive && mat.emissiveIntensity > 0 && mat.emissive.getHex() !== 0
+      if (isEmissive || child.userData?.bloom) {
+        selection.add(child)
+      }
+    })
+  }
+
+  /**
+   * Switch effect set for a quality level
+   * @param {number} level - 0 (Low), 1 (Medium), 2 (High)
+   */
+  setQuality(level) {
+    const preset = this.qualityLevels[level]
+    if (!preset) return
+    this.quality = level
+    this.enabled = preset.enabled
+
+    // Composer does tone mapping itself; direct rendering uses the renderer's
+    this.renderer.instance.toneMapping = this.enabled ? THREE.NoToneMapping : THREE.ACESFilmicToneMapping
+
+    if (!this.enabled) return
+
+    this.bloomEffect.intensity = preset.bloomIntensity
+    this.smaaEffect.applyPreset(preset.smaa)
+    this.rebuildPasses()
+  }
+
+  /**
+   * Focus depth of field on a world position while a detail view is open
+   */
+  setDetailFocus(open, focusPosition) {
+    this.detailFocus = open
+    if (open && focusPosition) {
+      this._focusTarget.copy(focusPosition)
+    }
+    if (this.enabled) this.rebuildPasses()
+  }
+
+  rebuildPasses() {
+    const preset = this.qualityLevels[this.quality]
+
+    const effects = []
+    if (preset.depthOfField && this.detailFocus) effects.push(this.depthOfFieldEffect)
+    effects.push(this.bloomEffect)
+    if (preset.vignette) effects.push(this.vignetteEffect)
+    effects.push(this.toneMappingEffect)
+    effects.push(this.smaaEffect)
+
+    // Passes share effect instances and EffectPass.dispose() disposes its
+    // effects, so keep one pass per combination instead of recreating them
+    const key = effects.map(effect => effect.name).join('+')
+    if (!this._effectPasses.has(key)) {
+      this._effectPasses.set(key, new EffectPass(this.camera.instance, ...effects))
+    }
+
+    this.composer.removeAllPasses()
+    this.composer.addPass(this.renderPass)
+    this.composer.addPass(this._effectPasses.get(key))
+  }
+
+  resize() {
+    this.composer.setSize(this.sizes.width, this.sizes.height)
+  }
+
+  render(deltaTime) {
+    if (this._bloomDirty) this.refreshBloomSelection()
+    this.composer.render(deltaTime)
+  }
+
+  dispose() {
+    window.removeEventListener('environmentChanged', this._onSceneChanged)
+    window.removeEventListener('portfolioLoaded', this._onSceneChanged)
+    window.removeEventListener('detailViewChange', this._onDetailViewChange)
+    this.experience.resources?.off('optionalLoaded.postProcessing')
+
+    // EffectPass.dispose() would dispose the shared effects once per cached
+    // pass; free each pass's own resources, then every effect exactly once
+    this.composer.removeAllPasses()
+    for (const pass of this._effectPasses.values()) Pass.prototype.dispose.call(pass)
+    this._effectPasses.clear()
+    this.renderPass.dispose()
+    for (const effect of [
+      this.bloomEffect,
+      this.toneMappingEffect,
+      this.vignetteEffect,
+      this.smaaEffect,
+      this.depthOfFieldEffect,
+    ]) effect.dispose()
+    this.composer.dispose()
+  }
+}
@@ -1,5 +1,6 @@
 import * as THREE from 'three'
 import { Experience } from './Experience.js'
+import { PostProcessing } from './PostProcessing.js'
 
 export class Renderer {
   constructor() {
@@ -9,7 +10,11 @@ export class Renderer {
     this.scene = this.experience.scene
     this.camera = this.experience.camera
 
+    // Pixel ratio chosen by the quality setting (kept across resizes)
+    this.pixelRatio = 1
+
     this.setInstance()
+    this.setPostProcessing()
   }
 
   setInstance() {
@@ -20,7 +25,7 @@ export class Renderer {
       powerPreference: 'high-performance'
     })
     this.instance.setSize(this.sizes.width, this.sizes.height)
-    this.instance.setPixelRatio(1) // Force 1x for performance
+    this.instance.setPixelRatio(this.pixelRatio) // 1x by default for performance
     
     // Tone mapping
     this.instance.toneMapping = THREE.ACESFilmicToneMapping
@@ -35,12 +40,31 @@ export class Renderer {
     this.instance.setClearColor('#87ceeb')
   }
 
+  setPostProcessing() {
+    this.postProcessing = new PostProcessing(this)
+  }
+
+  setPixelRatio(ratio) {
+    this.pixelRatio = ratio
+    this.instance.setPixelRatio(ratio)
+    this.postProcessing?.resize()
+  }
+
   resize() {
     this.instance.setSize(this.sizes.width, this.sizes.height)
-    this.instance.setPixelRatio(1)
+    this.instance.setPixelRatio(this.pixelRatio)
   }
 
   update() {
-    this.instance.render(this.scene, this.camera.instance)
+    if (this.postProcessing?.enabled) {
+      this.postProcessing.render(this.experience.time.delta / 1000)
+    } else {
+      this.instance.render(this.scene, this.camera.instance)
+    }
+  }
+
+  dispose() {
+    this.postProcessing?.dispose()
+    this.instance.dispose()
   }
 }
@@ -0,0 +1,303 @@
+import * as THREE from 'three'
+import gsap from 'gsap'
+import { Experience } from '../Experience.js'
+import { Router } from '../Utils/Router.js'
+
+// Authored fly-throughs. Points are in the player's camera frame:
+// x → right, y → up, z → back toward the follow camera (rotated by its heading).
+// Each rail ends on the follow pose, so the hand-back is seamless.
+const RAILS = {
+  intro: {
+    duration: 6.5,
+    ease: 'power2.inOut',
+    points: [[0, 160, -220], [-150, 90, -70], [-80, 50, 50]],
+    look: [[0, 0, -80], [0, 1, 0]],
+  },
+  portalArrival: {
+    duration: 2.8,
+    ease: 'power2.out',
+    points: [[-10, 5, -16], [-26, 14, 6]],
+    look: [[0, 2, 0]],
+  },
+}
+
+/**
+ * CameraDirector — Per-zone framing, fly-throughs and panel focus
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Layers authored camera work on top of ThirdPersonCamera (WORLD_MAP.md §6):
+ *
+ * - Zone presets: on `zoneChange` the follow distance, height, pitch and FOV
+ *   tween to the zone's preset (back to the defaults outside zones)
+ * - Rails: spline fly-throughs for the intro and portal arrivals
+ *   (`portalTravel`), pausing follow and handing back on the follow pose
+ * - Focus: a `detailViewChange` with a focus position frames that panel
+ *   until the view closes, then eases back behind the player
+ *
+ * Camera input (drag, zoom, sticks) or movement breaks out immediately:
+ * preset tweens stop where they are and shots hand straight back to follow.
+ */
+export class CameraDirector {
+  constructor() {
+    this.experience = new Experience()
+    this.camera = this.experience.camera
+    this.thirdPerson = this.camera.thirdPerson
+
+    this.settings = {
+      presetDuration: 1.6,
+      presetEase: 'power3.out',
+      focusDuration: 1.2,
+      focusDistance: 9,      // Camera distance in front of a focused panel
+      returnDuration: 1,
+      ease: 'power2.inOut',
+    }
+
+    const defaults = {
+      distance: this.thirdPerson.targetDistance,
+      height: this.thirdPerson.settings.height,
+      fov: this.camera.instance.fov,
+      pitch: null,           // null keeps the user's current pitch
+    }
+    this.defaults = defaults
+
+    // Per-zone framing (distances scaled to this world's 30 m default)
+    this.presets = {
+      HUB: { ...defaults, fov: 52 },
+      Z1: { ...defaults, distance: 24, height: 10 },
+      Z2: { ...defaults, distance: 27, height: 12 },
+      Z3: { ...defaults, distance: 15, height: 5, fov: 42 },             // Tight in the cavern
+      Z4: { ...defaults, distance: 36, height: 3, pitch: 0.08, fov: 60 }, // Wide and low at the falls
+      Z5: { ...defaults, height: 18 },
+      Z6: { ...defaults, distance: 14, height: 5 },
+      Z7: { ...defaults, distance: 24, height: 9 },
+    }
+
+    // State
+    this.shot = null // { type, progress, position(t, out), lookAt(t, out), tween }
+    this._presetTweens = []
+    this._position = new THREE.Vector3()
+    this._lookAt = new THREE.Vector3()
+    this._head = new THREE.Vector3()
+
+    this._setListeners()
+  }
+
+  _setListeners() {
+    this._onZoneChange = (e) => this.applyPreset(e.detail.zoneId)
+    this._onPortalTravel = () => this.playRail('portalArrival')
+    this._onDetailViewChange = (e) => {
+      const { open, focusPosition } = e.detail
+      if (open && focusPosition) this.focus(focusPosition)
+      else if (!open && this.shot?.type === 'focus') this.release()
+    }
+    this._onCameraInput = () => this.breakOut()
+
+    window.addEventListener('zoneChange', this._onZoneChange)
+    window.addEventListener('portalTravel', this._onPortalTravel)
+    window.addEventListener('detailViewChange', this._onDetailViewChange)
+    window.addEventListener('cameraInput', this._onCameraInput)
+  }
+
+  get isPlaying() {
+    return this.shot !== null
+  }
+
+  // ═══════════════════════════════════════
+  // ZONE PRESETS
+  // ═══════════════════════════════════════
+
+  /**
+   * Tween follow distance / height / pitch / FOV to a zone's preset
+   * @param {string|null} zoneId - null restores the defaults
+   */
+  applyPreset(zoneId) {
+    if (this.thirdPerson.overviewMode) return
+    const preset = this.presets[zoneId] ?? this.defaults
+
+    this._killPresetTweens()
+    const { presetDuration: duration, presetEase: ease } = this.settings
+    const camera = this.camera.instance
+
+    this._presetTweens = [
+      gsap.to(this.thirdPerson, {
+        targetDistance: preset.distance,
+        ...(preset.pitch !== null && { phi: preset.pitch }),
+        duration,
+        ease,
+      }),
+      gsap.to(this.thirdPerson.settings, { height: preset.height, duration, ease }),
+      gsap.to(camera, {
+        fov: preset.fov,
+        duration,
+        ease,
+        onUpdate: () => camera.updateProjectionMatrix(),
+      }),
+    ]
+  }
+
+  _killPresetTweens() {
+    for (const tween of this._presetTweens) tween.kill()
+    this._presetTweens = []
+  }
+
+  // ═══════════════════════════════════════
+  // SHOTS
+  // ═══════════════════════════════════════
+
+  /**
+   * Play the intro unless the page opened on a route (the Router moves the
+   * player there once content loads) or the user prefers reduced motion
+   */
+  playIntro() {
+    if (this.experience.debug) return
+    if (Router.parse(window.location.hash)?.zoneId) return
+    if (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) return
+    this.playRail('intro')
+  }
+
+  /**
+   * Fly an authored rail around the player, ending on the follow pose
+   * @param {string} name - Key in RAILS
+   */
+  playRail(name) {
+    const rail = RAILS[name]
+    const player = this.experience.world?.player
+    if (!rail || !player) return
+
+    const origin = player.mesh.position.clone()
+    const heading = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), this.thirdPerson.theta)
+    const toWorld = ([x, y, z]) => new THREE.Vector3(x, y, z).applyQuaternion(heading).add(origin)
+
+    // End on the distance follow is heading for, not the smoothed one
+    this.thirdPerson.settings.distance = this.thirdPerson.targetDistance
+    const end = this.thirdPerson.getIdealPosition(origin)
+    const path = new THREE.CatmullRomCurve3([...rail.points.map(toWorld), end])
+
+    const head = origin.clone()
+    head.y += 1
+    const looks = [...rail.look.map(toWorld), head]
+    const look = looks.length > 2 ? new THREE.CatmullRomCurve3(looks) : new THREE.LineCurve3(looks[0], looks[1])
+
+    this._startShot({
+      type: 'rail',
+      position: (t, out) => path.getPointAt(t, out),
+      lookAt: (t, out) => look.getPointAt(t, out),
+    }, { duration: rail.duration, ease: rail.ease, onComplete: () => this.release(false) })
+  }
+
+  /**
+   * Frame a world position (e.g. a panel) from the player's side and hold
+   */
+  focus(point) {
+    const player = this.experience.world?.player
+    if (!player) return
+
+    const target = point.clone()
+    const fromPosition = this.camera.instance.position.clone()
+    const fromLook = this._currentLookAt()
+
+    const away = new THREE.Vector3().subVectors(player.mesh.position, target)
+    away.y = 0
+    if (away.lengthSq() < 1e-6) away.set(0, 0, 1)
+    away.normalize()
+    const toPosition = target.clone().addScaledVector(away, this.settings.focusDistance)
+    toPosition.y += 1.5
+
+    this._startShot({
+      type: 'focus',
+      position: (t, out) => out.lerpVectors(fromPosition, toPosition, t),
+      lookAt: (t, out) => out.lerpVectors(fromLook, target, t),
+    }, { duration: this.settings.focusDuration, ease: this.settings.ease })
+  }
+
+  /**
+   * End the current shot
+   * @param {boolean} [blend=true] - Ease back to the follow pose first (false
+   *   when the shot already ends there)
+   */
+  release(blend = true) {
+    if (!this.shot) return
+    if (!blend) return this._handBack()
+
+    const player = this.experience.world?.player
+    const fromPosition = this.camera.instance.position.clone()
+    const fromLook = this._currentLookAt()
+
+    // Aim at the live follow pose so walking during the blend doesn't jump
+    this._startShot({
+      type: 'return',
+      position: (t, out) => out.lerpVectors(fromPosition, this.thirdPerson.getIdealPosition(player.mesh.position, out), t),
+      lookAt: (t, out) => out.lerpVectors(fromLook, this._playerHead(), t),
+    }, { duration: this.settings.returnDuration, ease: this.settings.ease, onComplete: () => this._handBack() })
+  }
+
+  /**
+   * User took over: stop presets where they are and give the camera back
+   */
+  breakOut() {
+    this._killPresetTweens()
+    if (this.shot && this.shot.type !== 'focus') this._handBack()
+  }
+
+  _startShot(shot, { duration, ease, onComplete }) {
+    this.shot?.tween.kill()
+    this.thirdPerson.pause()
+
+    shot.progress = 0
+    shot.tween = gsap.to(shot, { progress: 1, duration, ease, onComplete })
+    this.shot = shot
+    this._apply()
+  }
+
+  _handBack() {
+    if (!this.shot) return
+    this.shot.tween.kill()
+    this.shot.lookAt(this.shot.progress, this._lookAt)
+    this.shot = null
+    this.thirdPerson.resume(this._lookAt)
+  }
+
+  _apply() {
+    const { shot } = this
+    const camera = this.camera.instance
+    camera.position.copy(shot.position(shot.progress, this._position))
+    camera.lookAt(shot.lookAt(shot.progress, this._lookAt))
+  }
+
+  _currentLookAt() {
+    if (this.shot) return this.shot.lookAt(this.shot.progress, new THREE.Vector3())
+    return this.thirdPerson.currentLookAt.clone()
+  }
+
+  _playerHead() {
+    this._head.copy(this.experience.world.player.mesh.position)
+    this._head.y += 1
+    return this._head
+  }
+
+  // ═══════════════════════════════════════
+  // UPDATE
+  // ═══════════════════════════════════════
+
+  update() {
+    if (!this.shot) return
+
+    // Walking away hands the camera back (a focused panel waits for close)
+    if (this.shot.type !== 'focus' && this.experience.world?.player?.hasMoveInput) {
+      this._handBack()
+      return
+    }
+
+    this._apply()
+  }
+
+  destroy() {
+    window.removeEventListener('zoneChange', this._onZoneChange)
+    window.removeEventListener('portalTravel', this._onPortalTravel)
+    window.removeEventListener('detailViewChange', this._onDetailViewChange)
+    window.removeEventListener('cameraInput', this._onCameraInput)
+
+    this._killPresetTweens()
+    this.shot?.tween.kill()
+    this.shot = null
+  }
+}
@@ -0,0 +1,269 @@
+import { Experience } from '../Experience.js'
+import { safeUrl } from '../Utils/SafeDOM.js'
+
+export const BUDGETS = ['Not sure yet', 'Under $5k', '$5k – $15k', '$15k – $50k', '$50k+']
+
+export const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/
+
+const LIMITS = {
+  name: 100,
+  email: 254,
+  company: 100,
+  message: 5000,
+}
+
+/**
+ * Field errors for a contact message
+ * @param {{ name, email, company, budget, projectType, message }} values
+ * @param {string[]} projectTypes - Allowed project type values
+ * @returns {Object<string, string>} field → message (empty when valid)
+ */
+export function validateContactMessage(values, projectTypes = []) {
+  const errors = {}
+  const text = (key) => (values[key] ?? '').trim()
+
+  if (!text('name')) errors.name = 'Please enter your name'
+  if (!text('email')) errors.email = 'Please enter your email'
+  else if (!EMAIL_PATTERN.test(text('email'))) errors.email = 'That email address doesn\'t look right'
+  if (values.budget && !BUDGETS.includes(values.budget)) errors.budget = 'Please pick a budget'
+  if (values.projectType && !projectTypes.includes(values.projectType)) errors.projectType = 'Please pick a project type'
+  if (text('message').length < 10) errors.message = 'Please tell us a little more (10 characters or more)'
+
+  for (const [key, max] of Object.entries(LIMITS)) {
+    if (!errors[key] && text(key).length > max) errors[key] = `Please keep this under ${max} characters`
+  }
+
+  return errors
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ADAPTERS — async submit(message) → { ok, handoff?, error? }
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Opens the visitor's mail app with the message filled in. Delivery can't be
+ * confirmed, so results are marked `handoff`.
+ */
+export class MailtoAdapter {
+  constructor(email) {
+    this.name = 'mailto'
+    this.email = email
+  }
+
+  async submit(message) {
+    if (!this.email || !EMAIL_PATTERN.test(this.email)) {
+      return { ok: false, error: 'No contact address is configured' }
+    }
+
+    const subject = `Project enquiry from ${message.name}`
+    const body = [
+      message.message,
+      '',
+      `Name: ${message.name}`,
+      `Email: ${message.email}`,
+      message.company && `Company: ${message.company}`,
+      message.projectType && `Project type: ${message.projectType}`,
+      message.budget && `Budget: ${message.budget}`,
+    ].filter(line => typeof line === 'string').join('\n')
+
+    const link = document.createElement('a')
+    link.href = `mailto:${this.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`
+    link.click()
+    return { ok: true, handoff: true }
+  }
+}
+
+/**
+ * POSTs the message as JSON; any 2xx is success
+ */
+export class EndpointAdapter {
+  constructor(url, { timeout = 10000 } = {}) {
+    this.name = 'endpoint'
+    this.url = url
+    this.timeout = timeout
+  }
+
+  async submit(message) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), this.timeout)
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(message),
+        signal: controller.signal,
+      })
+      if (response.ok) return { ok: true }
+      return { ok: false, error: `The server answered ${response.status}. Please try again later.` }
+    } catch (err) {
+      const error = err.name === 'AbortError' ? 'The server took too long to answer' : 'Couldn\'t reach the server'
+      return { ok: false, error: `${error}. Please try again later.` }
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+}
+
+/**
+ * Resolves after a delay without sending anything; submissions are kept in
+ * `sent` and logged, so the form can be tested offline
+ */
+export class MockAdapter {
+  constructor({ delay = 800, fail = false } = {}) {
+    this.name = 'mock'
+    this.delay = delay
+    this.fail = fail
+    this.sent = []
+  }
+
+  async submit(message) {
+    await new Promise(resolve => setTimeout(resolve, this.delay))
+    if (this.fail) return { ok: false, error: 'Mock backend set to fail' }
+
+    this.sent.push(message)
+    console.log('📨 Mock contact submission:', message)
+    return { ok: true }
+  }
+}
+
+/**
+ * Pick the adapter for a project's `contact` settings:
+ *   backend: 'endpoint' | 'mailto' | 'mock' — explicit choice
+ *   otherwise `endpoint` (https or same-origin) → EndpointAdapter, else mailto.
+ * In #debug mode the mock is used unless a backend is set explicitly.
+ */
+export function createContactAdapter(contact = {}, { debug = false } = {}) {
+  const endpoint = safeUrl(contact.endpoint, 'endpoint')
+  const backend = contact.backend ?? (debug ? 'mock' : endpoint ? 'endpoint' : 'mailto')
+
+  if (backend === 'mock') return new MockAdapter()
+  if (backend === 'endpoint' && endpoint) return new EndpointAdapter(endpoint)
+  if (backend === 'endpoint') console.warn(`⚠️ Contact endpoint missing or not allowed: ${contact.endpoint}`)
+  return new MailtoAdapter(contact.email)
+}
+
+/**
+ * ContactService — Spam checks, rate limiting and submission for the contact form
+ * ═══════════════════════════════════════════════════════════════════════════
+ * - Honeypot: a hidden field people never fill; if it has a value the
+ *   submission is dropped while looking successful
+ * - Fill time: a message sent faster than a person could type is turned back
+ *   with a note to take a moment, and nothing is lost
+ * - Rate limit: at most `maxPerHour` sends, `minInterval` apart; send times
+ *   are kept in the save (Persistence `contact.sent`) so a reload doesn't reset
+ * - Drafts live in the save too (`contact.draft`) and are cleared once a
+ *   message is sent or handed off
+ */
+export class ContactService {
+  /**
+   * @param {Object} adapter - Any object with async submit(message)
+   */
+  constructor(adapter) {
+    this.experience = new Experience()
+    this.persistence = this.experience.persistence
+    this.adapter = adapter
+
+    this.settings = {
+      minInterval: 60,    // seconds between sends
+      maxPerHour: 3,
+      minFillTime: 3,     // seconds; quicker submissions are treated as bots
+    }
+
+    this.sending = false
+  }
+
+  get _state() {
+    return this.persistence?.data.contact ?? (this._memory ??= { draft: null, sent: [] })
+  }
+
+  // ── Drafts ──
+
+  getDraft() {
+    return this._state.draft
+  }
+
+  saveDraft(values) {
+    this._state.draft = values
+    this.persistence?.scheduleSave(1000)
+  }
+
+  clearDraft() {
+    this._state.draft = null
+    this.persistence?.scheduleSave()
+  }
+
+  // ── Rate limit ──
+
+  /**
+   * Seconds until another send is allowed (0 = now)
+   */
+  retryAfter(now = Date.now()) {
+    const hourAgo = now - 3600 * 1000
+    const sent = this._state.sent.filter(time => time > hourAgo)
+    this._state.sent = sent
+    if (sent.length === 0) return 0
+
+    const last = sent[sent.length - 1]
+    let wait = last + this.settings.minInterval * 1000 - now
+    if (sent.length >= this.settings.maxPerHour) wait = Math.max(wait, sent[0] + 3600 * 1000 - now)
+    return Math.max(0, Math.ceil(wait / 1000))
+  }
+
+  // ── Submit ──
+
+  /**
+   * @param {Object} values - Form values (validated by the caller)
+   * @param {{ honeypot: string, startedAt: ?number }} meta - startedAt is the
+   *   performance.now() of the first edit; null skips the fill-time check
+   *   (a restored draft)
+   * @returns {Promise<{ ok: boolean, handoff?: boolean, error?: string }>}
+   */
+  async submit(values, { honeypot = '', startedAt = null } = {}) {
+    if (this.sending) return { ok: false, error: 'Already sending' }
+
+    const wait = this.retryAfter()
+    if (wait > 0) {
+      const minutes = Math.ceil(wait / 60)
+      return { ok: false, error: `Please wait ${wait < 60 ? `${wait} seconds` : `${minutes} minute${minutes > 1 ? 's' : ''}`} before sending again` }
+    }
+
+    // Bots: pretend it worked so they don't retry (the draft stays put)
+    if (honeypot) {
+      console.warn('⚠️ Contact submission dropped by spam checks')
+      return { ok: true }
+    }
+
+    // Too quick to have been typed: could be autofill, so ask rather than drop
+    if (startedAt !== null && performance.now() - startedAt < this.settings.minFillTime * 1000) {
+      return { ok: false, error: 'That was quick! Please take a moment to check your message, then send it again.' }
+    }
+
+    const message = {
+      name: values.name.trim(),
+      email: values.email.trim(),
+      company: values.company?.trim() || undefined,
+      budget: values.budget || undefined,
+      projectType: values.projectType || undefined,
+      message: values.message.trim(),
+      sentAt: new Date().toISOString(),
+      page: window.location.href,
+    }
+
+    this.sending = true
+    try {
+      const result = await this.adapter.submit(message)
+      if (result.ok) {
+        this._state.sent.push(Date.now())
+        this._state.draft = null
+        this.persistence?.save()
+      }
+      return result
+    } catch (err) {
+      console.error('❌ Contact submission failed:', err)
+      return { ok: false, error: 'Something went wrong. Please try again later.' }
+    } finally {
+      this.sending = false
+    }
+  }
+}
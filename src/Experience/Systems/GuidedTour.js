@@ -0,0 +1,463 @@
+import * as THREE from 'three'
+import { Experience } from '../Experience.js'
+import { CLOSE_PRIORITY } from '../Utils/InputManager.js'
+import { getPortfolioZones } from '../Data/portfolioData.js'
+
+/**
+ * GuidedTour — Auto-walks the robot through every zone
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Route follows WORLD_MAP.md §7: HUB → Z1 → … → Z7 → HUB.
+ *
+ * - The player walks (Player.autopilot) along a waypoint route planned over
+ *   the environment's paths; zones without paths are walked to directly. A
+ *   waypoint blocked by scenery is skipped, never teleported to
+ * - On arrival the camera turns to frame the zone's featured panels and a
+ *   caption card shows the zone description from the portfolio data
+ * - Controls (InputManager actions): jump pauses · tourNext / tourPrevious
+ *   skip · close exits (plus card buttons for touch). `tour` starts/stops it
+ * - Any movement input (keys or joystick) hands control back immediately
+ */
+export class GuidedTour {
+  constructor() {
+    this.experience = new Experience()
+
+    this.settings = {
+      route: ['HUB', 'Z1', 'Z2', 'Z3', 'Z4', 'Z5', 'Z6', 'Z7', 'HUB'],
+      speedFactor: 0.6,       // Fraction of normal walk speed
+      arriveRadius: 2.5,      // Waypoint reached within this distance
+      dwellTime: 10,          // Seconds at each stop before moving on
+      linkSlack: 25,          // Zone center links to path nodes within radius + slack
+      standDistance: 7,       // How far in front of featured panels to stop
+      stuckTime: 4,           // Seconds without progress before skipping the waypoint
+      cameraTurnSpeed: 2.5,   // Theta easing rate (1/s)
+    }
+
+    // State
+    this.active = false
+    this.paused = false
+    this.stopIndex = 0
+    this.phase = 'walking' // 'walking' | 'dwelling'
+    this.waypoints = []
+    this.waypointIndex = 0
+    this.dwellTimer = 0
+    this.stop = null       // { zoneId, position, focus }
+
+    this._graph = null
+    this._direction = new THREE.Vector3()
+    this._steering = { direction: null, speedFactor: this.settings.speedFactor } // Player.autopilot
+    this._bestDistance = Infinity
+    this._stuckTimer = 0
+    this._targetTheta = null
+
+    this.elements = {
+      button: document.getElementById('btn-tour'),
+      card: document.getElementById('tour-card'),
+      step: document.getElementById('tour-step'),
+      title: document.getElementById('tour-title'),
+      subtitle: document.getElementById('tour-subtitle'),
+      text: document.getElementById('tour-text'),
+      prev: document.getElementById('tour-prev'),
+      pause: document.getElementById('tour-pause'),
+      next: document.getElementById('tour-next'),
+      exit: document.getElementById('tour-exit'),
+    }
+
+    this._setListeners()
+  }
+
+  _setListeners() {
+    const input = this.experience.inputManager
+    const whileActive = (callback) => () => {
+      if (this.active) callback()
+    }
+    this._unsubscribe = input ? [
+      input.on('tour', () => (this.active ? this.exit() : this.start())),
+      input.on('jump', whileActive(() => this.togglePause())),
+      input.on('tourNext', whileActive(() => this.next())),
+      input.on('tourPrevious', whileActive(() => this.previous())),
+      input.on('close', () => {
+        if (!this.active) return false
+        this.exit()
+        return true
+      }, { priority: CLOSE_PRIORITY.tour }),
+    ] : []
+    this._onButton = () => (this.active ? this.exit() : this.start())
+    this._onPrev = () => this.previous()
+    this._onPause = () => this.togglePause()
+    this._onNext = () => this.next()
+    this._onExit = () => this.exit()
+    this._onEnvironmentChanged = () => {
+      this._graph = null
+      if (this.active) this.exit('The world changed — tour ended')
+    }
+
+    window.addEventListener('environmentChanged', this._onEnvironmentChanged)
+    this.elements.button?.addEventListener('click', this._onButton)
+    this.elements.prev?.addEventListener('click', this._onPrev)
+    this.elements.pause?.addEventListener('click', this._onPause)
+    this.elements.next?.addEventListener('click', this._onNext)
+    this.elements.exit?.addEventListener('click', this._onExit)
+  }
+
+  // ── Controls ──
+
+  start() {
+    const env = this.experience.world?.activeEnvironment
+    if (!env?.zones) return
+
+    this.route = this.settings.route.filter(id => env.zones[id])
+    if (this.route.length === 0) return
+
+    this.experience.world.portfolioShowcase?.closeDetailView()
+
+    this.active = true
+    this.paused = false
+    this.elements.card?.classList.add('visible')
+    this.elements.button?.classList.add('active')
+    this._goToStop(0)
+
+    console.log('🧭 Guided tour started')
+  }
+
+  /**
+   * @param {string} message - Optional notification (e.g. when the player takes over)
+   */
+  exit(message) {
+    if (!this.active) return
+
+    this.active = false
+    this.paused = false
+    this._targetTheta = null
+    const player = this.experience.world?.player
+    if (player) player.autopilot = null
+
+    this.elements.card?.classList.remove('visible')
+    this.elements.button?.classList.remove('active')
+    if (message) this.experience.uiManager?.notify(message, 'info')
+
+    console.log('🧭 Guided tour ended')
+  }
+
+  togglePause() {
+    if (!this.active) return
+    this.paused = !this.paused
+    if (this.elements.pause) this.elements.pause.textContent = this.paused ? '▶' : '⏸'
+    this._updateCard()
+  }
+
+  next() {
+    if (!this.active) return
+    if (this.stopIndex >= this.route.length - 1) {
+      this.exit('Tour complete — explore freely!')
+      return
+    }
+    this._goToStop(this.stopIndex + 1)
+  }
+
+  previous() {
+    if (!this.active) return
+    this._goToStop(Math.max(0, this.stopIndex - 1))
+  }
+
+  // ── Stops & routing ──
+
+  _goToStop(index) {
+    const player = this.experience.world.player
+
+    this.stopIndex = index
+    this.stop = this._buildStop(this.route[index])
+    this.phase = 'walking'
+    this.dwellTimer = 0
+    this._targetTheta = null
+
+    this.waypoints = this._planRoute(player.mesh.position, this.stop)
+    this.waypointIndex = 0
+    this._resetProgress()
+
+    this._updateCard()
+  }
+
+  /**
+   * Where to stand in a zone and what to look at: in front of the featured
+   * panels if the showcase has them, otherwise the zone center
+   */
+  _buildStop(zoneId) {
+    const env = this.experience.world.activeEnvironment
+    const zone = env.zones[zoneId]
+    const center = env.getZoneSpawnPoint?.(zoneId) ?? zone.center.clone()
+
+    const showcase = this.experience.world.portfolioShowcase
+    const zoneData = getPortfolioZones()[zoneId]
+    const projects = zoneData?.projects ?? []
+    const featured = projects.filter(p => p.featured)
+    const panels = (featured.length ? featured : projects.slice(0, 1))
+      .map(p => showcase?.uiManager.getPanel(p.id))
+      .filter(Boolean)
+
+    if (panels.length === 0) {
+      return { zoneId, position: center, focus: null }
+    }
+
+    const focus = new THREE.Vector3()
+    const normal = new THREE.Vector3()
+    for (const panel of panels) {
+      focus.add(panel.getWorldPosition())
+      // Panel faces +Z in its local space
+      normal.x += Math.sin(panel.config.rotation)
+      normal.z += Math.cos(panel.config.rotation)
+    }
+    focus.divideScalar(panels.length)
+    if (normal.lengthSq() < 1e-6) normal.set(0, 0, 1)
+    normal.normalize()
+
+    const position = focus.clone().addScaledVector(normal, this.settings.standDistance)
+    position.y = center.y
+    return { zoneId, position, focus }
+  }
+
+  /**
+   * Build a walk graph from path segments and zone centers
+   */
+  _buildGraph() {
+    const env = this.experience.world.activeEnvironment
+    const nodes = []
+    const edges = new Map() // node index → Set of node indices
+
+    const addNode = (x, z) => {
+      const existing = nodes.findIndex(n => Math.abs(n.x - x) < 0.5 && Math.abs(n.z - z) < 0.5)
+      if (existing !== -1) return existing
+      nodes.push({ x, z })
+      edges.set(nodes.length - 1, new Set())
+      return nodes.length - 1
+    }
+    const link = (a, b) => {
+      if (a === b) return
+      edges.get(a).add(b)
+      edges.get(b).add(a)
+    }
+
+    const segments = (env.paths ?? []).map(p => [addNode(p.from[0], p.from[2]), addNode(p.to[0], p.to[2])])
+    segments.forEach(([a, b]) => link(a, b))
+
+    const zoneNodes = {}
+    for (const [id, zone] of Object.entries(env.zones)) {
+      const c = addNode(zone.center.x, zone.center.z)
+      zoneNodes[id] = c
+      const reach = zone.radius + this.settings.linkSlack
+
+      // Nearby path ends
+      nodes.forEach((n, i) => {
+        if (Math.hypot(n.x - zone.center.x, n.z - zone.center.z) <= reach) link(c, i)
+      })
+
+      // Roads that run straight through the zone
+      for (const [a, b] of segments) {
+        if (this._distanceToSegment(zone.center.x, zone.center.z, nodes[a], nodes[b]) <= zone.radius) {
+          link(c, a)
+          link(c, b)
+        }
+      }
+    }
+
+    this._graph = { nodes, edges, zoneNodes }
+  }
+
+  _distanceToSegment(x, z, a, b) {
+    const dx = b.x - a.x
+    const dz = b.z - a.z
+    const lenSq = dx * dx + dz * dz
+    const t = lenSq > 0 ? THREE.MathUtils.clamp(((x - a.x) * dx + (z - a.z) * dz) / lenSq, 0, 1) : 0
+    return Math.hypot(x - (a.x + t * dx), z - (a.z + t * dz))
+  }
+
+  /**
+   * Shortest walk from a position to a stop (Dijkstra over the graph)
+   * @returns {THREE.Vector3[]} Waypoints ending at the stop position
+   */
+  _planRoute(from, stop) {
+    if (!this._graph) this._buildGraph()
+    const { nodes, edges, zoneNodes } = this._graph
+    const goal = zoneNodes[stop.zoneId]
+
+    // Enter the graph at the nearest node
+    let start = 0
+    let nearest = Infinity
+    nodes.forEach((n, i) => {
+      const d = Math.hypot(n.x - from.x, n.z - from.z)
+      if (d < nearest) { nearest = d; start = i }
+    })
+
+    const dist = new Array(nodes.length).fill(Infinity)
+    const prev = new Array(nodes.length).fill(-1)
+    const done = new Array(nodes.length).fill(false)
+    dist[start] = 0
+
+    for (let iter = 0; iter < nodes.length; iter++) {
+      let u = -1
+      for (let i = 0; i < nodes.length; i++) {
+        if (!done[i] && (u === -1 || dist[i] < dist[u])) u = i
+      }
+      if (u === -1 || dist[u] === Infinity || u === goal) break
+      done[u] = true
+
+      for (const v of edges.get(u)) {
+        const d = dist[u] + Math.hypot(nodes[u].x - nodes[v].x, nodes[u].z - nodes[v].z)
+        if (d < dist[v]) { dist[v] = d; prev[v] = u }
+      }
+    }
+
+    const waypoints = []
+    if (dist[goal] !== Infinity) {
+      // Zone centers hold landmarks, so walk past them rather than through;
+      // the goal center is replaced by the actual stand point
+      const centers = new Set(Object.values(zoneNodes))
+      for (let i = prev[goal]; i !== -1; i = prev[i]) {
+        if (!centers.has(i)) waypoints.unshift(new THREE.Vector3(nodes[i].x, 0, nodes[i].z))
+      }
+      // Skip the entry node if heading straight for the next one is shorter
+      if (waypoints.length > 1 && from.distanceTo(waypoints[1]) < waypoints[0].distanceTo(waypoints[1])) {
+        waypoints.shift()
+      }
+    }
+    waypoints.push(stop.position.clone())
+    return waypoints
+  }
+
+  /**
+   * Point _direction at the current waypoint
+   * @returns {number} Horizontal distance to it
+   */
+  _aimAtWaypoint(pos) {
+    const target = this.waypoints[this.waypointIndex]
+    this._direction.set(target.x - pos.x, 0, target.z - pos.z)
+    return this._direction.length()
+  }
+
+  /**
+   * Head for the next waypoint; after the last one, start dwelling
+   * @returns {boolean} false once the stop is reached
+   */
+  _advanceWaypoint(pos) {
+    this.waypointIndex++
+    this._resetProgress()
+    if (this.waypointIndex < this.waypoints.length) return true
+
+    this.phase = 'dwelling'
+    this.dwellTimer = 0
+
+    const thirdPerson = this.experience.camera?.thirdPerson
+    if (this.stop.focus && thirdPerson) {
+      this._targetTheta = Math.atan2(-(this.stop.focus.x - pos.x), -(this.stop.focus.z - pos.z))
+    }
+    this._updateCard()
+    return false
+  }
+
+  _resetProgress() {
+    this._bestDistance = Infinity
+    this._stuckTimer = 0
+  }
+
+  // ── Caption card ──
+
+  _updateCard() {
+    if (!this.stop) return
+    const env = this.experience.world.activeEnvironment
+    const zone = env.zones[this.stop.zoneId]
+    const zoneData = getPortfolioZones()[this.stop.zoneId]
+    const isFinal = this.stopIndex === this.route.length - 1 && this.stopIndex > 0
+
+    let status = this.phase === 'walking' ? 'On the way' : 'Arrived'
+    if (this.paused) status = 'Paused'
+
+    if (this.elements.step) {
+      this.elements.step.textContent = `Stop ${this.stopIndex + 1} of ${this.route.length} · ${status}`
+    }
+    if (this.elements.title) this.elements.title.textContent = zone?.name ?? this.stop.zoneId
+    if (this.elements.subtitle) this.elements.subtitle.textContent = zoneData?.zoneName ?? ''
+    if (this.elements.text) {
+      this.elements.text.textContent = isFinal
+        ? 'That\'s the tour — the world is yours to explore freely.'
+        : zoneData?.description ?? ''
+    }
+    if (this.elements.pause) this.elements.pause.textContent = this.paused ? '▶' : '⏸'
+  }
+
+  // ── Per-frame ──
+
+  /**
+   * Ease the camera orbit toward a target angle (unless the user is dragging)
+   */
+  _steerCamera(deltaTime) {
+    const thirdPerson = this.experience.camera?.thirdPerson
+    if (!thirdPerson || this._targetTheta === null || thirdPerson.isPointerDown) return
+
+    let diff = (this._targetTheta - thirdPerson.theta) % (Math.PI * 2)
+    if (diff > Math.PI) diff -= Math.PI * 2
+    if (diff < -Math.PI) diff += Math.PI * 2
+    thirdPerson.theta += diff * Math.min(1, this.settings.cameraTurnSpeed * deltaTime)
+  }
+
+  update(deltaTime) {
+    if (!this.active) return
+
+    const player = this.experience.world?.player
+    if (!player) return
+
+    // Any movement input hands control back
+    if (player.hasMoveInput) {
+      this.exit('Tour ended — you\'re in control')
+      return
+    }
+
+    player.autopilot = this._steering
+    this._steering.direction = null
+
+    if (this.paused) return
+
+    if (this.phase === 'walking') {
+      const pos = player.mesh.position
+
+      // Move past reached waypoints before steering, so we never aim at one we're standing on
+      let distance = this._aimAtWaypoint(pos)
+      while (distance < this.settings.arriveRadius) {
+        if (!this._advanceWaypoint(pos)) return
+        distance = this._aimAtWaypoint(pos)
+      }
+
+      // Stuck on scenery: skip the waypoint (or stop short of the last one)
+      // rather than stall the tour
+      if (distance < this._bestDistance - 0.5) {
+        this._bestDistance = distance
+        this._stuckTimer = 0
+      } else {
+        this._stuckTimer += deltaTime
+        if (this._stuckTimer > this.settings.stuckTime) {
+          if (!this._advanceWaypoint(pos)) return
+          this._aimAtWaypoint(pos)
+        }
+      }
+
+      this._steering.direction = this._direction.normalize()
+
+      // Keep the camera behind the walking robot
+      this._targetTheta = player.mesh.rotation.y + Math.PI
+    } else {
+      this.dwellTimer += deltaTime
+      if (this.dwellTimer >= this.settings.dwellTime) this.next()
+    }
+
+    this._steerCamera(deltaTime)
+  }
+
+  destroy() {
+    this.exit()
+    this._unsubscribe.forEach(off => off())
+    window.removeEventListener('environmentChanged', this._onEnvironmentChanged)
+    this.elements.button?.removeEventListener('click', this._onButton)
+    this.elements.prev?.removeEventListener('click', this._onPrev)
+    this.elements.pause?.removeEventListener('click', this._onPause)
+    this.elements.next?.removeEventListener('click', this._onNext)
+    this.elements.exit?.removeEventListener('click', this._onExit)
+  }
+}
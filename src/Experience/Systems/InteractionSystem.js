@@ -1,5 +1,6 @@
 import * as THREE from 'three'
 import { Experience } from '../Experience.js'
+import { LiveRegion } from '../UI/Accessibility.js'
 
 /**
  * InteractionSystem — Proximity Detection & Input Handling
@@ -12,6 +13,8 @@ import { Experience } from '../Experience.js'
  * - Keyboard/touch interaction triggers
  * - Interaction cooldowns to prevent spam
  * - Visual interaction prompts
+ * - Screen reader announcement of each new target (panels are canvas-drawn,
+ *   so their text is read out from the panel content)
  */
 
 export class InteractionSystem {
@@ -38,6 +41,9 @@ export class InteractionSystem {
     this.raycaster = new THREE.Raycaster()
     this.raycaster.far = this.config.raycastDistance
 
+    // Panels and portals are announced as they become the target
+    this.liveRegion = new LiveRegion('interaction-announcer')
+
     // Pre-allocated vectors
     this._tempVec = new THREE.Vector3()
     this._direction = new THREE.Vector3()
@@ -51,13 +57,7 @@ export class InteractionSystem {
   }
 
   _setupControls() {
-    this._onKeyDown = (e) => {
-      if (e.code === 'KeyE' && !e.repeat) {
-        this.tryInteract()
-      }
-    }
-
-    window.addEventListener('keydown', this._onKeyDown)
+    this._offInteract = this.experience.inputManager?.on('interact', () => this.tryInteract())
   }
 
   /**
@@ -148,6 +148,8 @@ export class InteractionSystem {
         this._setObjectHovered(newTarget, true)
       }
 
+      this.liveRegion.announce(newTarget ? this._describe(newTarget) : '')
+
       // Callback
       if (this.onTargetChange) {
         this.onTargetChange(newTarget)
@@ -155,6 +157,29 @@ export class InteractionSystem {
     }
   }
 
+  /**
+   * Spoken text for a target: the panel's content, or what the portal /
+   * landmark does, followed by the interact key
+   */
+  _describe(target) {
+    const userData = target.userData
+    const key = this.experience.inputManager?.getLabel('interact') ?? 'E'
+    let parts
+
+    if (userData.panelRef) {
+      const { title, subtitle, description, tags } = userData.panelRef.content
+      parts = [title, subtitle, description, tags.length ? `Tags: ${tags.join(', ')}` : null, `Press ${key} to view project`]
+    } else if (userData.isPortal) {
+      parts = [`Portal to ${userData.toZone}`, `Press ${key} to travel`]
+    } else if (userData.zoneId) {
+      parts = [userData.zoneName ?? userData.zoneId, `Press ${key} for zone info`]
+    } else {
+      parts = [`Press ${key} to interact`]
+    }
+
+    return parts.filter(Boolean).join('. ')
+  }
+
   _setObjectHovered(obj, hovered) {
     // Check if it's a panel reference
     if (obj.userData?.panelRef) {
@@ -263,7 +288,8 @@ export class InteractionSystem {
    * Cleanup
    */
   dispose() {
-    window.removeEventListener('keydown', this._onKeyDown)
+    this._offInteract?.()
+    this.liveRegion.dispose()
     this.interactables = []
     this.nearbyInteractables = []
     this.currentTarget = null
@@ -319,7 +345,9 @@ export class InteractionPrompt {
         display: flex;
         align-items: center;
         justify-content: center;
-        width: 36px;
+        min-width: 36px;
+        padding: 0 10px;
+        box-sizing: border-box;
         height: 36px;
         background: rgba(255, 255, 255, 0.1);
         border: 1px solid rgba(255, 255, 255, 0.2);
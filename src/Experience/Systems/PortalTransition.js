@@ -0,0 +1,314 @@
+import * as THREE from 'three'
+import gsap from 'gsap'
+import { Experience } from '../Experience.js'
+
+const DISSOLVE_VERTEX = /* glsl */ `
+varying vec3 vDissolvePosition;
+`
+
+const DISSOLVE_FRAGMENT = /* glsl */ `
+uniform float uDissolve;
+uniform vec3 uDissolveColor;
+varying vec3 vDissolvePosition;
+
+float dissolveNoise(vec3 p) {
+  return fract(sin(dot(floor(p * 14.0), vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+}
+`
+
+const WIPE_VERTEX = /* glsl */ `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`
+
+const WIPE_FRAGMENT = /* glsl */ `
+uniform float uProgress;   // 0 clear → 1 covered → 2 clear
+uniform float uAspect;
+uniform vec3 uColor;
+varying vec2 vUv;
+
+void main() {
+  vec2 p = (vUv - 0.5) * vec2(uAspect, 1.0);
+  float r = length(p) / length(vec2(uAspect, 1.0) * 0.5);
+  float wobble = 0.05 * sin(atan(p.y, p.x) * 7.0 + uProgress * 6.0);
+
+  // Iris closes in from the edges, then opens from the centre
+  float edge = uProgress <= 1.0 ? 1.0 - uProgress * 1.15 : (uProgress - 1.0) * 1.15;
+  float cover = smoothstep(edge - 0.04, edge + 0.04, r + wobble);
+  if (uProgress > 1.0) cover = 1.0 - cover;
+
+  float rim = 1.0 - smoothstep(0.0, 0.08, abs(r + wobble - edge));
+  gl_FragColor = vec4(mix(uColor, vec3(1.0), rim * 0.6), cover);
+  #include <colorspace_fragment>
+}
+`
+
+/**
+ * PortalTransition — Pull-in, colour wipe and arrival for portal travel
+ * ═══════════════════════════════════════════════════════════════════════════
+ * One gsap timeline per trip:
+ *   1. Input locks (Player.setScripted) and the robot is drawn through the
+ *      portal surface while it dissolves
+ *   2. A full-screen iris wipe closes in the destination zone's colour
+ *   3. Under cover the player lands on the destination ground, camera
+ *      smoothing is reset and `portalTravel` fires (CameraDirector flies in)
+ *   4. The wipe opens, the robot re-forms inside a ring burst, input unlocks
+ *
+ * Portals are any object with `userData.isPortal`, `toZone` and
+ * `destination`; a child named 'PortalSurface' marks where the player enters.
+ * Trips start from World.travelThroughPortal: the showcase's interaction in
+ * the test world, World's own portal interaction in the forest.
+ */
+export class PortalTransition {
+  constructor() {
+    this.experience = new Experience()
+    this.scene = this.experience.scene
+    this.sizes = this.experience.sizes
+
+    this.settings = {
+      pullDuration: 1.1,       // Into the surface and out the far side
+      wipeDuration: 0.7,       // Each half of the iris
+      arriveDuration: 1,       // Re-forming at the destination
+      throughDistance: 1.2,    // How far past the surface the player is drawn
+      groundProbe: 4,          // Ground search starts this far above the spawn point
+      ringRadius: 3,
+    }
+
+    this.active = false
+    this.timeline = null
+
+    this._dissolve = {
+      uDissolve: { value: 0 },
+      uDissolveColor: { value: new THREE.Color() },
+    }
+    this._patched = new WeakSet()
+
+    this._setWipe()
+    this._setRing()
+  }
+
+  _setWipe() {
+    this.wipe = new THREE.Mesh(
+      new THREE.PlaneGeometry(2, 2),
+      new THREE.ShaderMaterial({
+        vertexShader: WIPE_VERTEX,
+        fragmentShader: WIPE_FRAGMENT,
+        uniforms: {
+          uProgress: { value: 0 },
+          uAspect: { value: 1 },
+          uColor: { value: new THREE.Color() },
+        },
+        transparent: true,
+        depthTest: false,
+        depthWrite: false,
+        toneMapped: false,
+      })
+    )
+    this.wipe.name = 'PortalWipe'
+    this.wipe.frustumCulled = false
+    this.wipe.renderOrder = 1000
+    this.wipe.visible = false
+    this.scene.add(this.wipe)
+  }
+
+  _setRing() {
+    this.ring = new THREE.Mesh(
+      new THREE.RingGeometry(0.8, 1, 32).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({ transparent: true, depthWrite: false, side: THREE.DoubleSide })
+    )
+    this.ring.name = 'PortalArrivalRing'
+    this.ring.userData.bloom = true
+    this.ring.visible = false
+    this.scene.add(this.ring)
+  }
+
+  // ═══════════════════════════════════════
+  // SEQUENCE
+  // ═══════════════════════════════════════
+
+  /**
+   * Travel through a portal
+   * @param {THREE.Object3D} portal - Portal group (userData.isPortal)
+   * @returns {boolean} false if a trip is already running or nothing to travel to
+   */
+  play(portal) {
+    const world = this.experience.world
+    const player = world?.player
+    const { toZone, destination } = portal?.userData ?? {}
+    if (this.active || !player || !destination) return false
+
+    this.active = true
+    const color = new THREE.Color(world.activeEnvironment?.zones?.[toZone]?.color ?? 0x4A90D9)
+    const { pullDuration, wipeDuration, arriveDuration } = this.settings
+
+    // Entry path: surface centre, then through to the far side
+    const body = player.body
+    const start = new THREE.Vector3(body.position.x, body.position.y, body.position.z)
+    const surface = this._surfaceCenter(portal)
+    const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(portal.getWorldQuaternion(new THREE.Quaternion()))
+    if (normal.dot(start.clone().sub(surface)) > 0) normal.negate()
+    const through = surface.clone().addScaledVector(normal, this.settings.throughDistance)
+    const path = new THREE.QuadraticBezierCurve3(start, surface, through)
+
+    player.setScripted(true)
+    player.mesh.rotation.y = Math.atan2(normal.x, normal.z)
+    this._prepareDissolve(player.mesh, color)
+    this._setWipeColor(color)
+    this.experience.audioManager?.play('portal')
+
+    const pull = { t: 0 }
+    const wipe = this.wipe.material.uniforms.uProgress
+    const dissolve = this._dissolve.uDissolve
+
+    this.timeline = gsap.timeline({ onComplete: () => this._finish() })
+      .to(pull, {
+        t: 1,
+        duration: pullDuration,
+        ease: 'power2.in',
+        onUpdate: () => {
+          const p = path.getPoint(pull.t)
+          body.position.set(p.x, p.y, p.z)
+        },
+      }, 0)
+      .to(dissolve, { value: 1, duration: pullDuration, ease: 'power1.in' }, 0)
+      .to(player.mesh.scale, { x: 0.6, y: 1.2, z: 0.6, duration: pullDuration, ease: 'power2.in' }, 0)
+      .to(wipe, { value: 1, duration: wipeDuration, ease: 'power2.in' }, pullDuration - wipeDuration * 0.6)
+      .add(() => this._arrive(portal.userData), '>')
+      .to(wipe, { value: 2, duration: wipeDuration, ease: 'power2.out' }, '>+0.1')
+      .to(dissolve, { value: 0, duration: arriveDuration, ease: 'power2.out' }, '<')
+      .to(player.mesh.scale, { x: 1, y: 1, z: 1, duration: arriveDuration, ease: 'back.out(2)' }, '<')
+      .add(() => this._burst(color, player.mesh.position), '<')
+
+    this.wipe.visible = true
+    return true
+  }
+
+  /**
+   * Under the wipe: land on the destination ground and reset the camera
+   */
+  _arrive({ toZone, destination }) {
+    const world = this.experience.world
+    const player = world.player
+    const physics = this.experience.physics
+
+    // Zone spawn point, dropped onto whatever collider is below it. The forest
+    // spawns at a flat 2 m over GLB terrain, so search from a little higher.
+    const spawn = world.activeEnvironment?.getZoneSpawnPoint?.(toZone) ?? destination
+    const probe = this.settings.groundProbe
+    const from = { x: spawn.x, y: spawn.y + probe, z: spawn.z }
+    const hit = physics.raycast(from, { x: 0, y: -1, z: 0 }, probe + 20, ~physics.groups.player)
+    const y = hit.hit ? hit.point.y + player.radius + 0.05 : spawn.y
+    player.teleport({ x: spawn.x, y, z: spawn.z })
+
+    const thirdPerson = this.experience.camera?.thirdPerson
+    if (thirdPerson) {
+      player.mesh.rotation.y = thirdPerson.theta + Math.PI // Back to the camera
+      thirdPerson.snap()
+    }
+
+    window.dispatchEvent(new CustomEvent('portalTravel', {
+      detail: { toZone, destination }
+    }))
+  }
+
+  _finish() {
+    const player = this.experience.world?.player
+    player?.setScripted(false)
+    this._dissolve.uDissolve.value = 0
+    this.wipe.visible = false
+    this.wipe.material.uniforms.uProgress.value = 0
+    this.timeline = null
+    this.active = false
+  }
+
+  _surfaceCenter(portal) {
+    portal.updateWorldMatrix(true, true)
+    const surface = portal.getObjectByName('PortalSurface')
+    if (surface) return surface.getWorldPosition(new THREE.Vector3())
+
+    const center = portal.getWorldPosition(new THREE.Vector3())
+    center.y += 1.2
+    return center
+  }
+
+  // ═══════════════════════════════════════
+  // EFFECTS
+  // ═══════════════════════════════════════
+
+  _setWipeColor(color) {
+    const { uColor, uAspect } = this.wipe.material.uniforms
+    uColor.value.copy(color)
+    uAspect.value = this.sizes.width / this.sizes.height
+  }
+
+  _burst(color, position) {
+    const ring = this.ring
+    ring.material.color.copy(color)
+    ring.material.opacity = 1
+    ring.position.copy(position)
+    ring.position.y += 0.05
+    ring.scale.setScalar(0.2)
+    ring.visible = true
+
+    const size = this.settings.ringRadius
+    gsap.to(ring.scale, { x: size, y: size, z: size, duration: 0.9, ease: 'power2.out' })
+    gsap.to(ring.material, {
+      opacity: 0,
+      duration: 0.9,
+      ease: 'power1.in',
+      onComplete: () => { ring.visible = false },
+    })
+  }
+
+  /**
+   * Patch every player material once with a noise dissolve driven by the
+   * shared uDissolve uniform (0 = solid, 1 = gone; glowing edge between)
+   */
+  _prepareDissolve(object, color) {
+    this._dissolve.uDissolveColor.value.copy(color)
+
+    object.traverse((child) => {
+      if (!child.isMesh) return
+      const materials = Array.isArray(child.material) ? child.material : [child.material]
+      for (const material of materials) {
+        if (this._patched.has(material)) continue
+        this._patched.add(material)
+        const previous = material.onBeforeCompile
+        material.onBeforeCompile = (shader, renderer) => {
+          previous.call(material, shader, renderer)
+          Object.assign(shader.uniforms, this._dissolve)
+          shader.vertexShader = DISSOLVE_VERTEX + shader.vertexShader.replace(
+            '#include <begin_vertex>',
+            '#include <begin_vertex>\n  vDissolvePosition = transformed;'
+          )
+          shader.fragmentShader = DISSOLVE_FRAGMENT + shader.fragmentShader
+            .replace(
+              '#include <clipping_planes_fragment>',
+              '#include <clipping_planes_fragment>\n  float dissolveN = dissolveNoise(vDissolvePosition);\n  if (dissolveN < uDissolve) discard;'
+            )
+            .replace(
+              '#include <dithering_fragment>',
+              '#include <dithering_fragment>\n  gl_FragColor.rgb = mix(gl_FragColor.rgb, uDissolveColor * 2.0, (1.0 - smoothstep(0.0, 0.12, dissolveN - uDissolve)) * step(0.001, uDissolve));'
+            )
+        }
+        material.customProgramCacheKey = () => 'portal-dissolve'
+        material.needsUpdate = true
+      }
+    })
+  }
+
+  destroy() {
+    this.timeline?.kill()
+    if (this.active) this._finish()
+
+    this.scene.remove(this.wipe, this.ring)
+    this.wipe.geometry.dispose()
+    this.wipe.material.dispose()
+    this.ring.geometry.dispose()
+    this.ring.material.dispose()
+  }
+}
@@ -2,7 +2,13 @@ import * as THREE from 'three'
 import { Experience } from '../Experience.js'
 import { WorldSpacePanel, WorldSpaceUIManager } from '../UI/WorldSpaceUI.js'
 import { InteractionSystem, InteractionPrompt } from '../Systems/InteractionSystem.js'
-import { PORTFOLIO_ZONES, getProjectById, getZoneProjects } from '../Data/portfolioData.js'
+import { getPortfolioZones, getProjectById, getZoneProjects } from '../Data/portfolioData.js'
+import { el, safeUrl, iframeSandbox } from '../Utils/SafeDOM.js'
+import { ModalDialog } from '../UI/Accessibility.js'
+import { CLOSE_PRIORITY } from '../Utils/InputManager.js'
+import { GalleryViewer } from '../UI/GalleryViewer.js'
+import { ContactForm } from '../UI/ContactForm.js'
+import { ContactService, EMAIL_PATTERN, createContactAdapter } from '../Systems/ContactService.js'
 
 /**
  * PortfolioShowcase — Main Portfolio Display System
@@ -12,8 +18,10 @@ import { PORTFOLIO_ZONES, getProjectById, getZoneProjects } from '../Data/portfo
  * Responsibilities:
  * - Create panels for each project at zone locations
  * - Manage interaction system updates
- * - Handle project detail views (modal, WebGL embed)
+ * - Handle project detail views (overview, WebGL embed, video, gallery,
+ *   contact); any project with screenshots can open them in a lightbox
  * - Track visited projects and zone discovery
+ * - Rebuild panels when new portfolio content is loaded
  *
  * Integration:
  * - Called from World.js after environment is set up
@@ -21,10 +29,11 @@ import { PORTFOLIO_ZONES, getProjectById, getZoneProjects } from '../Data/portfo
  */
 
 export class PortfolioShowcase {
-  constructor(zones) {
+  constructor(environment) {
     this.experience = new Experience()
     this.scene = this.experience.scene
-    this.zones = zones // Zone definitions from environment
+    this.environment = environment
+    this.zones = environment.zones // Zone definitions from environment
 
     // Systems
     this.uiManager = new WorldSpaceUIManager()
@@ -33,8 +42,9 @@ export class PortfolioShowcase {
 
     // State
     this.initialized = false
-    this.visitedProjects = new Set()
+    this.visitedProjects = new Set(this.experience.persistence?.data.progress.visitedProjects)
     this.activeDetailView = null
+    this.activeProjectId = null
 
     // Pre-allocated vectors
     this._playerPos = new THREE.Vector3()
@@ -44,6 +54,8 @@ export class PortfolioShowcase {
     // Bind methods
     this._onInteract = this._onInteract.bind(this)
     this._onTargetChange = this._onTargetChange.bind(this)
+    this._onPortfolioLoaded = this._onPortfolioLoaded.bind(this)
+    this._onBindingsChanged = this._onBindingsChanged.bind(this)
 
     this._init()
   }
@@ -67,12 +79,19 @@ export class PortfolioShowcase {
     // Listen for detail view close
     window.addEventListener('closeDetailView', () => this.closeDetailView())
 
+    // Rebuild panels when the portfolio manifest finishes loading
+    window.addEventListener('portfolioLoaded', this._onPortfolioLoaded)
+
+    // Keep the prompt glyph in sync with the interact binding
+    this._onBindingsChanged()
+    window.addEventListener('inputBindingsChanged', this._onBindingsChanged)
+
     this.initialized = true
     console.log(`✅ Portfolio Showcase: ${this.uiManager.panels.size} panels created`)
   }
 
   _createAllPanels() {
-    for (const [zoneId, zoneData] of Object.entries(PORTFOLIO_ZONES)) {
+    for (const [zoneId, zoneData] of Object.entries(getPortfolioZones())) {
       const envZone = this.zones[zoneId]
       if (!envZone) continue
 
@@ -111,6 +130,26 @@ export class PortfolioShowcase {
     }
   }
 
+  _onPortfolioLoaded(event) {
+    if (event.detail?.source !== 'manifest') return
+    this._rebuildPanels()
+  }
+
+  /**
+   * Dispose every panel and recreate them from the active portfolio content
+   */
+  _rebuildPanels() {
+    this.interactionSystem.currentTarget = null
+    this.interactionSystem.nearbyInteractables = []
+    this.interactionPrompt.hide()
+
+    this.uiManager.dispose()
+    this._createAllPanels()
+    this._updateInteractables()
+
+    console.log(`🔄 Portfolio Showcase: rebuilt ${this.uiManager.panels.size} panels`)
+  }
+
   _updateInteractables() {
     // Collect all panel interaction meshes
     const interactables = []
@@ -122,9 +161,8 @@ export class PortfolioShowcase {
     }
 
     // Also add any environment landmarks/portals
-    const world = this.experience.world
-    if (world?.activeEnvironment) {
-      const env = world.activeEnvironment
+    const env = this.environment
+    if (env) {
 
       // Add portals
       if (env.portals) {
@@ -149,11 +187,13 @@ export class PortfolioShowcase {
   }
 
   _onInteract(data) {
+    if (this.experience.portalTransition?.active) return
     console.log('🎯 Interaction:', data)
+    this.experience.world?.player?.playInteract()
 
     // Handle portal teleportation
     if (data.isPortal && data.destination) {
-      this._handlePortalTeleport(data)
+      this.experience.world?.travelThroughPortal(data.object)
       return
     }
 
@@ -191,21 +231,9 @@ export class PortfolioShowcase {
     }
   }
 
-  _handlePortalTeleport(data) {
-    const world = this.experience.world
-    if (!world?.player || !data.destination) return
-
-    // Add visual feedback
-    this.experience.uiManager?.notify(`Teleporting to ${data.toZone}...`, 'info', 1500)
-
-    // Teleport player
-    setTimeout(() => {
-      world.player.teleport({
-        x: data.destination.x,
-        y: data.destination.y + 1,
-        z: data.destination.z
-      })
-    }, 300)
+  _onBindingsChanged() {
+    const label = this.experience.inputManager?.getLabel('interact')
+    if (label) this.interactionPrompt.setKey(label)
   }
 
   _onZoneChange(event) {
@@ -236,6 +264,8 @@ export class PortfolioShowcase {
   _showProjectDetail(project, zoneId) {
     // Mark as visited
     this.visitedProjects.add(project.id)
+    this.activeProjectId = project.id
+    this.experience.persistence?.scheduleSave()
 
     // Create detail view based on project type
     switch (project.type) {
@@ -257,7 +287,18 @@ export class PortfolioShowcase {
   }
 
   _openProjectModal(project) {
-    // Dispatch event for modal handling
+    const tags = project.tags || []
+
+    this.activeDetailView = this._createDetailOverlay([
+      this._renderHeader(project),
+      el('div', { className: 'detail-footer' }, [
+        el('p', { text: project.description || '' }),
+        tags.length ? el('ul', { className: 'project-tags', 'aria-label': 'Tags' }, tags.map(tag => el('li', { text: tag }))) : null,
+        this._renderLinks(project.links, this._renderScreenshotsButton(project)),
+      ]),
+    ], 'info')
+
+    // Let other listeners know (kept for integrations that render their own)
     window.dispatchEvent(new CustomEvent('showProjectDetail', {
       detail: {
         project,
@@ -267,110 +308,171 @@ export class PortfolioShowcase {
   }
 
   _openWebGLEmbed(project) {
-    if (!project.webglUrl) {
+    const src = safeUrl(project.webglUrl, 'webgl')
+    if (!src) {
+      if (project.webglUrl) console.warn(`⚠️ Blocked WebGL embed for ${project.id}: ${project.webglUrl}`)
       this._openProjectModal(project)
       return
     }
 
     // Create fullscreen WebGL embed
-    this.activeDetailView = this._createDetailOverlay(`
-      <div class="detail-header">
-        <h2>${project.title}</h2>
-        <p>${project.subtitle || ''}</p>
-        <button class="detail-close" onclick="window.dispatchEvent(new CustomEvent('closeDetailView'))">✕ Close</button>
-      </div>
-      <div class="webgl-container">
-        <iframe
-          src="${project.webglUrl}"
-          frameborder="0"
-          allowfullscreen
-          allow="autoplay; fullscreen; gamepad"
-        ></iframe>
-      </div>
-      <div class="detail-footer">
-        <p>${project.description || ''}</p>
-        ${this._renderLinks(project.links)}
-      </div>
-    `, 'webgl')
+    this.activeDetailView = this._createDetailOverlay([
+      this._renderHeader(project),
+      el('div', { className: 'webgl-container' }, [
+        this._renderEmbed(project.type, src, 'autoplay; fullscreen; gamepad'),
+      ]),
+      el('div', { className: 'detail-footer' }, [
+        el('p', { text: project.description || '' }),
+        this._renderLinks(project.links, this._renderScreenshotsButton(project)),
+      ]),
+    ], 'webgl')
   }
 
   _openVideoPlayer(project) {
-    const videoUrl = project.videoUrl || ''
-
-    this.activeDetailView = this._createDetailOverlay(`
-      <div class="detail-header">
-        <h2>${project.title}</h2>
-        <p>${project.subtitle || ''}</p>
-        <button class="detail-close" onclick="window.dispatchEvent(new CustomEvent('closeDetailView'))">✕ Close</button>
-      </div>
-      <div class="video-container">
-        <iframe
-          src="${videoUrl}"
-          frameborder="0"
-          allowfullscreen
-          allow="autoplay; encrypted-media"
-        ></iframe>
-      </div>
-      <div class="detail-footer">
-        <p>${project.description || ''}</p>
-        ${this._renderLinks(project.links)}
-      </div>
-    `, 'video')
+    const src = safeUrl(project.videoUrl, 'video')
+    if (!src && project.videoUrl) console.warn(`⚠️ Blocked video embed for ${project.id}: ${project.videoUrl}`)
+
+    this.activeDetailView = this._createDetailOverlay([
+      this._renderHeader(project),
+      el('div', { className: 'video-container' }, [
+        src
+          ? this._renderEmbed(project.type, src, 'autoplay; encrypted-media')
+          : el('p', { text: 'Video unavailable' }),
+      ]),
+      el('div', { className: 'detail-footer' }, [
+        el('p', { text: project.description || '' }),
+        this._renderLinks(project.links, this._renderScreenshotsButton(project)),
+      ]),
+    ], 'video')
   }
 
   _openGallery(project) {
-    const screenshots = project.screenshots || []
-    const screenshotHTML = screenshots.map((url, i) => `
-      <img src="${url}" alt="Screenshot ${i + 1}" class="gallery-image" />
-    `).join('')
-
-    this.activeDetailView = this._createDetailOverlay(`
-      <div class="detail-header">
-        <h2>${project.title}</h2>
-        <p>${project.subtitle || ''}</p>
-        <button class="detail-close" onclick="window.dispatchEvent(new CustomEvent('closeDetailView'))">✕ Close</button>
-      </div>
-      <div class="gallery-container">
-        ${screenshotHTML || '<p>No images available</p>'}
-      </div>
-      <div class="detail-footer">
-        <p>${project.description || ''}</p>
-        ${this._renderLinks(project.links)}
-      </div>
-    `, 'gallery')
+    const images = this._screenshotImages(project)
+    const container = el('div', { className: 'gallery-container' })
+
+    this.activeDetailView = this._createDetailOverlay([
+      this._renderHeader(project),
+      container,
+      el('div', { className: 'detail-footer' }, [
+        el('p', { text: project.description || '' }),
+        this._renderLinks(project.links),
+      ]),
+    ], 'gallery')
+
+    // Arrow keys page from anywhere in the dialog; clicking the image goes full screen
+    this._gallery = new GalleryViewer(images, {
+      keyScope: this._dialog.element,
+      onExpand: (index) => this._openLightbox(project, index),
+    })
+    container.append(this._gallery.element)
   }
 
   _openContactForm(project) {
     const contact = project.contact || {}
+    const email = typeof contact.email === 'string' && EMAIL_PATTERN.test(contact.email) ? contact.email : null
+    const phone = typeof contact.phone === 'string' ? contact.phone.replace(/[^\d+]/g, '') : ''
+    const info = el('div', { className: 'contact-info' }, [
+      email && el('a', { href: `mailto:${email}`, className: 'contact-link' }, `📧 ${email}`),
+      phone && el('a', { href: `tel:${phone}`, className: 'contact-link' }, `📱 ${contact.phone}`),
+      contact.address && el('p', { className: 'contact-address' }, `📍 ${contact.address}`),
+    ])
+
+    this.activeDetailView = this._createDetailOverlay([
+      this._renderHeader(project),
+      el('div', { className: 'contact-container' }, [
+        el('p', { className: 'contact-description', text: project.description || '' }),
+        info,
+        this._renderLinks(project.links, this._renderScreenshotsButton(project)),
+      ]),
+    ], 'contact')
+
+    // Created after the overlay, which closes (and saves) any previous form
+    const adapter = createContactAdapter(contact, { debug: this.experience.debug })
+    this._contactForm = new ContactForm(new ContactService(adapter), this._contactProjectTypes())
+    info.after(this._contactForm.element)
+  }
 
-    this.activeDetailView = this._createDetailOverlay(`
-      <div class="detail-header">
-        <h2>${project.title}</h2>
-        <p>${project.subtitle || ''}</p>
-        <button class="detail-close" onclick="window.dispatchEvent(new CustomEvent('closeDetailView'))">✕ Close</button>
-      </div>
-      <div class="contact-container">
-        <p class="contact-description">${project.description || ''}</p>
-        <div class="contact-info">
-          ${contact.email ? `<a href="mailto:${contact.email}" class="contact-link">📧 ${contact.email}</a>` : ''}
-          ${contact.phone ? `<a href="tel:${contact.phone}" class="contact-link">📱 ${contact.phone}</a>` : ''}
-          ${contact.address ? `<p class="contact-address">📍 ${contact.address}</p>` : ''}
-        </div>
-        ${this._renderLinks(project.links)}
-      </div>
-    `, 'contact')
+  /**
+   * Zone names offered as project types: zones that show work (not just
+   * info or contact panels), plus "Other"
+   */
+  _contactProjectTypes() {
+    const names = Object.values(getPortfolioZones())
+      .filter(zone => zone.projects.some(project => project.type !== 'info' && project.type !== 'contact'))
+      .map(zone => zone.zoneName)
+    return [...names, 'Other']
   }
 
-  _renderLinks(links) {
-    if (!links || Object.keys(links).length === 0) return ''
+  _renderHeader(project) {
+    return el('div', { className: 'detail-header' }, [
+      el('h2', { text: project.title }),
+      el('p', { text: project.subtitle || '' }),
+      el('button', {
+        type: 'button',
+        className: 'detail-close',
+        'aria-label': 'Close',
+        on: { click: () => this.closeDetailView() },
+      }, '✕ Close'),
+    ])
+  }
 
-    const linkHTML = Object.entries(links).map(([key, url]) => {
-      const icon = this._getLinkIcon(key)
+  /**
+   * Sandboxed iframe for a URL already checked by safeUrl()
+   */
+  _renderEmbed(type, src, allow) {
+    return el('iframe', {
+      src,
+      allow,
+      allowfullscreen: true,
+      sandbox: iframeSandbox(type, src),
+      referrerpolicy: 'strict-origin-when-cross-origin',
+      frameborder: '0',
+    })
+  }
+
+  /**
+   * @param {Object} links - name → URL
+   * @param {...?HTMLElement} extra - Buttons shown alongside the links
+   */
+  _renderLinks(links, ...extra) {
+    const anchors = Object.entries(links || {}).flatMap(([key, url]) => {
+      const href = safeUrl(url, 'link')
+      if (!href) return []
       const label = key.charAt(0).toUpperCase() + key.slice(1)
-      return `<a href="${url}" target="_blank" rel="noopener" class="project-link">${icon} ${label}</a>`
-    }).join('')
+      return el('a', { href, target: '_blank', rel: 'noopener noreferrer', className: 'project-link' },
+        `${this._getLinkIcon(key)} ${label}`)
+    })
+
+    const items = [...anchors, ...extra.filter(Boolean)]
+    return items.length ? el('div', { className: 'project-links' }, items) : null
+  }
+
+  // ═══════════════════════════════════════
+  // SCREENSHOTS
+  // ═══════════════════════════════════════
+
+  _screenshotImages(project) {
+    return GalleryViewer.fromScreenshots(project.screenshots, url => safeUrl(url, 'image'))
+  }
+
+  _renderScreenshotsButton(project) {
+    const count = this._screenshotImages(project).length
+    if (count === 0) return null
 
-    return `<div class="project-links">${linkHTML}</div>`
+    return el('button', {
+      type: 'button',
+      className: 'project-link',
+      on: { click: () => this._openLightbox(project, 0) },
+    }, `🖼️ Screenshots (${count})`)
+  }
+
+  _openLightbox(project, index) {
+    this._lightbox?.close()
+    this._lightbox = GalleryViewer.openLightbox(this._screenshotImages(project), {
+      title: `${project.title} screenshots`,
+      index,
+      onClose: () => { this._lightbox = null },
+    })
   }
 
   _getLinkIcon(key) {
@@ -391,19 +493,19 @@ export class PortfolioShowcase {
     return icons[key] || '🔗'
   }
 
+  /**
+   * @param {Array<Node>} content - Built with el(); never an HTML string
+   * @param {string} type - Detail view type (info, webgl, video, gallery, contact)
+   */
   _createDetailOverlay(content, type) {
     // Remove existing
     this.closeDetailView()
 
-    const overlay = document.createElement('div')
-    overlay.id = 'project-detail-overlay'
-    overlay.className = `detail-type-${type}`
-    overlay.innerHTML = `
-      <div class="detail-backdrop" onclick="window.dispatchEvent(new CustomEvent('closeDetailView'))"></div>
-      <div class="detail-content">
-        ${content}
-      </div>
-    `
+    const dialog = el('div', { className: 'detail-content' }, content)
+    const overlay = el('div', { id: 'project-detail-overlay', className: `detail-type-${type}` }, [
+      el('div', { className: 'detail-backdrop', on: { click: () => this.closeDetailView() } }),
+      dialog,
+    ])
 
     // Add styles if not already present
     if (!document.getElementById('detail-overlay-styles')) {
@@ -454,6 +556,13 @@ export class PortfolioShowcase {
           font-size: 24px;
           color: #fff;
         }
+        .detail-header h2:focus {
+          outline: none;
+        }
+        .detail-content :focus-visible {
+          outline: 2px solid #4A90D9;
+          outline-offset: 2px;
+        }
         .detail-header p {
           margin: 0;
           color: rgba(255, 255, 255, 0.6);
@@ -484,22 +593,14 @@ export class PortfolioShowcase {
         }
         .gallery-container {
           flex: 1;
+          min-height: 0;
           overflow-y: auto;
           padding: 24px;
-          display: grid;
-          grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-          gap: 16px;
-        }
-        .gallery-image {
-          width: 100%;
-          border-radius: 8px;
-          cursor: pointer;
-          transition: transform 0.2s;
-        }
-        .gallery-image:hover {
-          transform: scale(1.02);
         }
         .contact-container {
+          flex: 1;
+          min-height: 0;
+          overflow-y: auto;
           padding: 48px;
           text-align: center;
         }
@@ -546,9 +647,29 @@ export class PortfolioShowcase {
           text-decoration: none;
           transition: background 0.2s;
         }
+        button.project-link {
+          border: none;
+          font: inherit;
+          cursor: pointer;
+        }
         .project-link:hover {
           background: rgba(255, 255, 255, 0.2);
         }
+        .project-tags {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          margin: 0 0 16px;
+          padding: 0;
+          list-style: none;
+        }
+        .project-tags li {
+          padding: 4px 10px;
+          border-radius: 999px;
+          background: rgba(74, 144, 217, 0.2);
+          color: rgba(255, 255, 255, 0.8);
+          font-size: 13px;
+        }
         .detail-type-webgl .detail-content {
           max-width: 95%;
           height: 90vh;
@@ -559,24 +680,42 @@ export class PortfolioShowcase {
 
     document.body.appendChild(overlay)
 
-    // Escape key to close
-    this._escHandler = (e) => {
-      if (e.key === 'Escape') this.closeDetailView()
-    }
-    window.addEventListener('keydown', this._escHandler)
+    // Modal semantics: focus the title, trap Tab, pause game input
+    this._dialog = new ModalDialog(dialog, { label: dialog.querySelector('.detail-header h2') })
+    this._dialog.open()
+
+    // Let other systems react (depth of field focuses on the viewed panel)
+    const panel = this.uiManager.getPanel(this.activeProjectId)
+    window.dispatchEvent(new CustomEvent('detailViewChange', {
+      detail: { open: true, type, projectId: this.activeProjectId, focusPosition: panel?.getWorldPosition() }
+    }))
+
+    // Close action (Escape / gamepad B) — an open lightbox closes first
+    this._offClose = this.experience.inputManager?.on('close', () => {
+      if (this._lightbox) this._lightbox.close()
+      else this.closeDetailView()
+      return true
+    }, { priority: CLOSE_PRIORITY.detailView })
 
     return overlay
   }
 
   closeDetailView() {
+    this._lightbox?.close()
+    this._gallery?.destroy()
+    this._gallery = null
+    this._contactForm?.destroy()
+    this._contactForm = null
+    this._dialog?.close()
+    this._dialog = null
+
     if (this.activeDetailView) {
       this.activeDetailView.remove()
       this.activeDetailView = null
+      window.dispatchEvent(new CustomEvent('detailViewChange', { detail: { open: false } }))
     }
-    if (this._escHandler) {
-      window.removeEventListener('keydown', this._escHandler)
-      this._escHandler = null
-    }
+    this._offClose?.()
+    this._offClose = null
   }
 
   /**
@@ -609,7 +748,7 @@ export class PortfolioShowcase {
    */
   getProgress() {
     let total = 0
-    for (const zone of Object.values(PORTFOLIO_ZONES)) {
+    for (const zone of Object.values(getPortfolioZones())) {
       total += zone.projects.length
     }
     return {
@@ -630,6 +769,8 @@ export class PortfolioShowcase {
 
     window.removeEventListener('zoneChange', this._onZoneChange)
     window.removeEventListener('closeDetailView', this.closeDetailView)
+    window.removeEventListener('portfolioLoaded', this._onPortfolioLoaded)
+    window.removeEventListener('inputBindingsChanged', this._onBindingsChanged)
 
     this.initialized = false
     console.log('🧹 Portfolio Showcase disposed')
@@ -0,0 +1,171 @@
+import { Experience } from '../Experience.js'
+
+const FOCUSABLE = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[contenteditable="true"]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',')
+
+let dialogCount = 0
+const openDialogs = [] // Only the topmost traps focus
+
+/**
+ * ModalDialog — Dialog semantics, focus trap and input suspension for an overlay
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Wraps an existing element; the caller still owns building and removing it.
+ *
+ * open():
+ *   - role="dialog", aria-modal and aria-labelledby (the label gets an id)
+ *   - Focus moves to the label (or `initialFocus`); Tab / Shift+Tab cycle
+ *     through the dialog's focusable elements and focus can't leave it
+ *   - InputManager is suspended, so WASD / Space / E typed or pressed in the
+ *     dialog don't drive the player; `close` (Esc / gamepad B) still fires
+ *
+ * close():
+ *   - Input resumes and focus returns to the game canvas (or `returnFocus`)
+ *
+ * Dialogs can stack: each suspends input under its own key and only the
+ * topmost one traps focus.
+ */
+export class ModalDialog {
+  /**
+   * @param {HTMLElement} element - Dialog container (the part that gets the role)
+   * @param {Object} [options]
+   * @param {HTMLElement} [options.label] - Heading that names the dialog
+   * @param {HTMLElement} [options.initialFocus] - Defaults to the label
+   * @param {HTMLElement} [options.returnFocus] - Defaults to the game canvas
+   */
+  constructor(element, options = {}) {
+    this.experience = new Experience()
+    this.element = element
+    this.label = options.label ?? null
+    this.initialFocus = options.initialFocus ?? this.label
+    this.returnFocus = options.returnFocus ?? null
+    this.isOpen = false
+    this._key = `dialog-${++dialogCount}`
+
+    this._onKeyDown = (e) => {
+      if (e.key === 'Tab' && this._isTop) this._trapTab(e)
+    }
+    this._onFocusIn = (e) => {
+      if (this._isTop && !this.element.contains(e.target)) this._focusFirst()
+    }
+  }
+
+  open() {
+    if (this.isOpen) return
+    this.isOpen = true
+
+    const element = this.element
+    element.setAttribute('role', 'dialog')
+    element.setAttribute('aria-modal', 'true')
+    if (this.label) {
+      this.label.id ||= `${this._key}-title`
+      element.setAttribute('aria-labelledby', this.label.id)
+    }
+
+    openDialogs.push(this)
+    this.experience.inputManager?.suspend(this._key)
+    document.addEventListener('keydown', this._onKeyDown, true)
+    document.addEventListener('focusin', this._onFocusIn)
+
+    this._focus(this.initialFocus ?? this._focusables()[0] ?? element)
+  }
+
+  close() {
+    if (!this.isOpen) return
+    this.isOpen = false
+
+    document.removeEventListener('keydown', this._onKeyDown, true)
+    document.removeEventListener('focusin', this._onFocusIn)
+    this.experience.inputManager?.resume(this._key)
+    openDialogs.splice(openDialogs.indexOf(this), 1)
+
+    const target = this.returnFocus ?? this.experience.canvas
+    if (target?.isConnected) this._focus(target)
+  }
+
+  get _isTop() {
+    return openDialogs[openDialogs.length - 1] === this
+  }
+
+  _focusables() {
+    return [...this.element.querySelectorAll(FOCUSABLE)]
+      .filter(node => node.getClientRects().length > 0 && !node.closest('[inert]'))
+  }
+
+  _trapTab(e) {
+    const focusables = this._focusables()
+    if (focusables.length === 0) {
+      e.preventDefault()
+      this._focus(this.initialFocus ?? this.element)
+      return
+    }
+
+    const first = focusables[0]
+    const last = focusables[focusables.length - 1]
+    const active = document.activeElement
+    const inside = this.element.contains(active)
+
+    if (e.shiftKey && (!inside || active === first || active === this.initialFocus)) {
+      e.preventDefault()
+      this._focus(last)
+    } else if (!e.shiftKey && (!inside || active === last)) {
+      e.preventDefault()
+      this._focus(first)
+    }
+  }
+
+  _focusFirst() {
+    this._focus(this.initialFocus ?? this._focusables()[0] ?? this.element)
+  }
+
+  /**
+   * Focus anything, making it programmatically focusable first if needed
+   */
+  _focus(node) {
+    if (!node.matches(FOCUSABLE) && !node.hasAttribute('tabindex')) node.setAttribute('tabindex', '-1')
+    node.focus({ preventScroll: true })
+  }
+}
+
+/**
+ * LiveRegion — Visually hidden aria-live region for screen reader announcements
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Repeating the same text is still announced (the region is cleared first).
+ */
+export class LiveRegion {
+  /**
+   * @param {string} id - Element id
+   * @param {'polite'|'assertive'} [politeness='polite']
+   */
+  constructor(id, politeness = 'polite') {
+    this.element = document.createElement('div')
+    this.element.id = id
+    this.element.className = 'sr-only'
+    this.element.setAttribute('aria-live', politeness)
+    this.element.setAttribute('aria-atomic', 'true')
+    this.element.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status')
+    document.body.appendChild(this.element)
+    this._timer = null
+  }
+
+  announce(text) {
+    clearTimeout(this._timer)
+    this.element.textContent = ''
+    if (!text) return
+    // A fresh text node in a later task is what screen readers pick up
+    this._timer = setTimeout(() => { this.element.textContent = text }, 50)
+  }
+
+  dispose() {
+    clearTimeout(this._timer)
+    this.element.remove()
+  }
+}
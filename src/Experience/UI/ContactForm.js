@@ -0,0 +1,298 @@
+import { el } from '../Utils/SafeDOM.js'
+import { BUDGETS, validateContactMessage } from '../Systems/ContactService.js'
+
+const FIELDS = ['name', 'email', 'company', 'budget', 'projectType', 'message']
+
+/**
+ * ContactForm — Enquiry form for the contact detail view
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Fields: name, email, company, budget, project type (from the zone names),
+ * message. Sending goes through a ContactService, which does the spam checks,
+ * rate limiting and backend call.
+ *
+ * - Validation runs on submit and per field on blur; errors sit under each
+ *   field and are linked with aria-describedby / aria-invalid
+ * - Every edit is saved as a draft, so closing the overlay (or reloading)
+ *   keeps what was typed
+ * - A visually hidden honeypot field catches form-filling bots
+ */
+export class ContactForm {
+  /**
+   * @param {ContactService} service
+   * @param {string[]} projectTypes - Options for the project type picker
+   */
+  constructor(service, projectTypes = []) {
+    this.service = service
+    this.projectTypes = projectTypes
+
+    const draft = service.getDraft()
+    // Fill time counts from the first edit; a restored draft was typed earlier
+    this._timeFill = !draft
+    this._startedAt = null
+
+    ContactForm.injectStyles()
+    this._build()
+    if (draft) this._setValues(draft)
+  }
+
+  // ═══════════════════════════════════════
+  // DOM
+  // ═══════════════════════════════════════
+
+  _build() {
+    this.controls = {}
+    this.errors = {}
+
+    const option = (value, label = value) => el('option', { value }, label)
+
+    const fields = [
+      this._field('name', 'Name', el('input', { type: 'text', autocomplete: 'name', required: true, maxlength: 100 })),
+      this._field('email', 'Email', el('input', { type: 'email', autocomplete: 'email', required: true, maxlength: 254 })),
+      this._field('company', 'Company (optional)', el('input', { type: 'text', autocomplete: 'organization', maxlength: 100 })),
+      this._field('projectType', 'Project type', el('select', {}, [
+        option('', 'Choose one…'),
+        this.projectTypes.map(type => option(type)),
+      ])),
+      this._field('budget', 'Budget', el('select', {}, [
+        option('', 'Choose one…'),
+        BUDGETS.map(budget => option(budget)),
+      ])),
+      this._field('message', 'Message', el('textarea', { rows: 5, required: true, maxlength: 5000 }), 'contact-field-wide'),
+    ]
+
+    // Off-screen, skipped by Tab and screen readers; people never fill it
+    this.honeypot = el('input', { type: 'text', name: 'website', tabindex: '-1', autocomplete: 'off' })
+    const trap = el('div', { className: 'contact-hp', 'aria-hidden': 'true' }, [
+      el('label', {}, ['Leave this empty', this.honeypot]),
+    ])
+
+    this.submitButton = el('button', { type: 'submit', className: 'contact-submit' }, 'Send message')
+    this.status = el('p', { className: 'contact-status', role: 'status', 'aria-live': 'polite' })
+
+    this.element = el('form', {
+      className: 'contact-form',
+      novalidate: true,
+      'aria-label': 'Contact form',
+      on: {
+        submit: (e) => {
+          e.preventDefault()
+          this.submit()
+        },
+        input: (e) => this._onInput(e),
+      },
+    }, [
+      el('div', { className: 'contact-fields' }, fields),
+      trap,
+      el('div', { className: 'contact-actions' }, [this.submitButton, this.status]),
+    ])
+  }
+
+  _field(key, label, control, className = '') {
+    const id = `contact-${key}`
+    const errorId = `${id}-error`
+
+    control.id = id
+    control.name = key
+    control.setAttribute('aria-describedby', errorId)
+    control.addEventListener('blur', () => this._validateField(key))
+
+    this.controls[key] = control
+    this.errors[key] = el('p', { className: 'contact-error', id: errorId })
+
+    return el('div', { className: `contact-field ${className}`.trim() }, [
+      el('label', { for: id, text: label }),
+      control,
+      this.errors[key],
+    ])
+  }
+
+  // ═══════════════════════════════════════
+  // VALUES
+  // ═══════════════════════════════════════
+
+  getValues() {
+    const values = {}
+    for (const key of FIELDS) values[key] = this.controls[key].value
+    return values
+  }
+
+  _setValues(values) {
+    for (const key of FIELDS) {
+      const value = values[key]
+      if (typeof value !== 'string') continue
+      // Unknown select options (e.g. a zone that was renamed) are dropped
+      this.controls[key].value = value
+    }
+  }
+
+  _onInput(e) {
+    if (e.target === this.honeypot) return
+    this._startedAt ??= performance.now()
+    this.service.saveDraft(this.getValues())
+    if (e.target.name) this._showError(e.target.name, null)
+  }
+
+  // ═══════════════════════════════════════
+  // VALIDATION
+  // ═══════════════════════════════════════
+
+  _validateField(key) {
+    const value = this.controls[key].value
+    // Don't nag about fields nobody has touched yet
+    if (!value && !this.controls[key].hasAttribute('aria-invalid')) return
+    this._showError(key, validateContactMessage(this.getValues(), this.projectTypes)[key])
+  }
+
+  _showError(key, message) {
+    const control = this.controls[key]
+    if (!control) return
+    this.errors[key].textContent = message ?? ''
+    if (message) control.setAttribute('aria-invalid', 'true')
+    else control.removeAttribute('aria-invalid')
+  }
+
+  // ═══════════════════════════════════════
+  // SUBMIT
+  // ═══════════════════════════════════════
+
+  async submit() {
+    if (this.service.sending) return
+
+    const values = this.getValues()
+    const errors = validateContactMessage(values, this.projectTypes)
+    for (const key of FIELDS) this._showError(key, errors[key])
+
+    const invalid = FIELDS.find(key => errors[key])
+    if (invalid) {
+      this.controls[invalid].focus()
+      this._setStatus('Please check the highlighted fields.', 'error')
+      return
+    }
+
+    this.submitButton.disabled = true
+    this._setStatus('Sending…')
+
+    // Nothing typed into a fresh form counts as filled instantly
+    const startedAt = this._timeFill ? this._startedAt ?? performance.now() : null
+    const result = await this.service.submit(values, { honeypot: this.honeypot.value, startedAt })
+    this.submitButton.disabled = false
+
+    if (!result.ok) {
+      this._setStatus(result.error ?? 'Your message couldn\'t be sent.', 'error')
+      return
+    }
+
+    // The draft is gone from the save; clear the fields so closing doesn't save it again
+    this.element.reset()
+    this._timeFill = true
+    this._startedAt = null
+    this._setStatus(result.handoff
+      ? 'Your email app should open with the message ready to send.'
+      : 'Thanks! Your message is on its way — we\'ll reply soon.', 'success')
+  }
+
+  _setStatus(text, tone = '') {
+    this.status.textContent = text
+    this.status.dataset.tone = tone
+  }
+
+  destroy() {
+    // Keep the latest text even if the debounced save hasn't run yet
+    if (FIELDS.some(key => this.controls[key].value)) this.service.saveDraft(this.getValues())
+    this.element.remove()
+  }
+
+  static injectStyles() {
+    if (document.getElementById('contact-form-styles')) return
+
+    const style = document.createElement('style')
+    style.id = 'contact-form-styles'
+    style.textContent = `
+      .contact-form {
+        max-width: 640px;
+        margin: 0 auto 32px;
+        text-align: left;
+      }
+      .contact-fields {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 16px;
+      }
+      .contact-field {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+      }
+      .contact-field-wide {
+        grid-column: 1 / -1;
+      }
+      .contact-field label {
+        font-size: 13px;
+        color: rgba(255, 255, 255, 0.7);
+      }
+      .contact-field input,
+      .contact-field select,
+      .contact-field textarea {
+        padding: 10px 12px;
+        background: rgba(255, 255, 255, 0.06);
+        border: 1px solid rgba(255, 255, 255, 0.15);
+        border-radius: 8px;
+        color: #fff;
+        font: inherit;
+      }
+      .contact-field select option {
+        color: #000;
+      }
+      .contact-field textarea {
+        resize: vertical;
+      }
+      .contact-field [aria-invalid="true"] {
+        border-color: #FF6B6B;
+      }
+      .contact-error {
+        min-height: 1em;
+        margin: 0;
+        font-size: 12px;
+        color: #FF6B6B;
+      }
+      .contact-hp {
+        position: absolute;
+        left: -10000px;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+      }
+      .contact-actions {
+        display: flex;
+        align-items: center;
+        gap: 16px;
+        margin-top: 8px;
+      }
+      .contact-submit {
+        padding: 10px 24px;
+        background: #4A90D9;
+        border: none;
+        border-radius: 8px;
+        color: #fff;
+        font: inherit;
+        font-weight: 600;
+        cursor: pointer;
+      }
+      .contact-submit:disabled {
+        opacity: 0.6;
+        cursor: progress;
+      }
+      .contact-status {
+        margin: 0;
+        font-size: 14px;
+        color: rgba(255, 255, 255, 0.7);
+      }
+      .contact-status[data-tone="error"] { color: #FF6B6B; }
+      .contact-status[data-tone="success"] { color: #66BB6A; }
+      @media (max-width: 600px) {
+        .contact-fields { grid-template-columns: 1fr; }
+      }
+    `
+    document.head.appendChild(style)
+  }
+}
@@ -0,0 +1,333 @@
+import { Experience } from '../Experience.js'
+
+/**
+ * DebugPanel — Live tuning GUI for config objects (#debug only)
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Each section keeps its own copy of the values, seeded from the live object
+ * when the panel is built. Every edit writes the whole copy back through the
+ * section's `apply`, so the change shows on the next frame, and objects that
+ * get rebuilt (e.g. the showcase on an environment swap) are found again.
+ *
+ * SECTIONS:
+ *   Physics      → Physics.config
+ *   Camera       → ThirdPersonCamera.settings
+ *   Environment  → Environment.presets (one sub-section per preset)
+ *   Interaction  → InteractionSystem.config
+ *   Panels       → WorldSpacePanel fade / cull distances
+ *
+ * "Copy JSON" puts the current values on the clipboard (colors as 0x hex
+ * literals, ready to paste into config); "Reset" restores the values the page
+ * loaded with.
+ */
+export class DebugPanel {
+  constructor() {
+    this.experience = new Experience()
+    this.sections = [] // { id, values, defaults, fields, apply, inputs }
+
+    this._build()
+    this._registerSections()
+
+    // The showcase is rebuilt on environment swaps; carry tuned values over
+    this._onEnvironmentChanged = () => {
+      for (const section of this.sections) {
+        if (section.id === 'interaction' || section.id === 'panels') section.apply({ ...section.values })
+      }
+    }
+    window.addEventListener('environmentChanged', this._onEnvironmentChanged)
+
+    console.log('🎛️ Debug panel ready')
+  }
+
+  // ═══════════════════════════════════════
+  // SECTIONS
+  // ═══════════════════════════════════════
+
+  _registerSections() {
+    const experience = this.experience
+    const physics = experience.physics
+    const camera = experience.camera?.thirdPerson
+    const environment = experience.world?.environment
+    const showcase = () => experience.world?.portfolioShowcase
+
+    this.addSection('physics', 'Physics', physics.config, [
+      { key: 'gravity', min: -60, max: 0, step: 0.5 },
+      { key: 'solverIterations', min: 1, max: 30, step: 1 },
+      { key: 'timestep', min: 1 / 240, max: 1 / 30, step: 0.0005 },
+      { key: 'maxSubSteps', min: 1, max: 10, step: 1 },
+    ], (values) => {
+      Object.assign(physics.config, values)
+      physics.applyConfig()
+    })
+
+    if (camera) {
+      this.addSection('camera', 'Camera', camera.settings, [
+        { key: 'distance', min: camera.settings.minDistance, max: 60, step: 0.5 },
+        { key: 'height', min: 0, max: 20, step: 0.1 },
+        { key: 'smoothness', min: 0.01, max: 1, step: 0.01 },
+        { key: 'rotationSmoothness', min: 0.01, max: 1, step: 0.01 },
+        { key: 'minDistance', min: 1, max: 20, step: 0.5 },
+        { key: 'maxDistance', min: 20, max: 600, step: 5 },
+        { key: 'minPitch', min: -1.5, max: 1.5, step: 0.01 },
+        { key: 'maxPitch', min: -1.5, max: 1.5, step: 0.01 },
+        { key: 'collisionRadius', min: 0, max: 2, step: 0.05 },
+        { key: 'armRecovery', min: 0.5, max: 20, step: 0.5 },
+        { key: 'occluderOpacity', min: 0, max: 1, step: 0.05 },
+      ], (values) => {
+        // `distance` is the smoothed live value; steer the zoom target instead
+        const { distance, ...rest } = values
+        Object.assign(camera.settings, rest)
+        camera.targetDistance = Math.min(rest.maxDistance, Math.max(rest.minDistance, distance))
+      })
+    }
+
+    if (environment) {
+      const parent = this.addGroup('environment', 'Environment')
+      const colorKeys = ['sunColor', 'fillColor', 'ambientColor', 'hemiSky', 'hemiGround', 'skyColor', 'fogColor']
+      const intensity = (key) => ({ key, min: 0, max: 4, step: 0.05 })
+
+      for (const [name, preset] of Object.entries(environment.presets)) {
+        this.addSection(`environment.${name}`, name, preset, [
+          { key: 'time', min: 0, max: 1, step: 0.01 },
+          ...colorKeys.map(key => ({ key, type: 'color' })),
+          intensity('sunIntensity'),
+          intensity('fillIntensity'),
+          intensity('ambientIntensity'),
+          intensity('hemiIntensity'),
+          { key: 'fogNear', min: 0, max: 2000, step: 10 },
+          { key: 'fogFar', min: 0, max: 3000, step: 10 },
+        ], (values) => {
+          Object.assign(environment.presets[name], values)
+          environment.sortKeyframes()
+          environment.setTime(environment.timeOfDay)
+        }, parent)
+      }
+    }
+
+    const interaction = showcase()?.interactionSystem
+    if (interaction) {
+      this.addSection('interaction', 'Interaction', interaction.config, [
+        { key: 'interactionRadius', min: 1, max: 20, step: 0.5 },
+        { key: 'raycastDistance', min: 1, max: 40, step: 0.5 },
+        { key: 'interactionCooldown', min: 0, max: 2000, step: 50 },
+        { key: 'promptFadeDistance', min: 0, max: 10, step: 0.5 },
+      ], (values) => {
+        const system = showcase()?.interactionSystem
+        if (!system) return
+        Object.assign(system.config, values)
+        system.raycaster.far = values.raycastDistance
+      })
+    }
+
+    const panel = showcase()?.uiManager.getAllPanels()[0]
+    this.addSection('panels', 'Panels', {
+      fadeDistance: panel?.config.fadeDistance ?? 50,
+      maxDistance: panel?.config.maxDistance ?? 80,
+    }, [
+      { key: 'fadeDistance', min: 0, max: 200, step: 1 },
+      { key: 'maxDistance', min: 1, max: 300, step: 1 },
+    ], (values) => {
+      showcase()?.uiManager.setQuality({
+        maxDistance: values.maxDistance,
+        fadeDistance: Math.min(values.fadeDistance, values.maxDistance),
+      })
+    })
+  }
+
+  /**
+   * Collapsible heading that nests other sections
+   * @returns {HTMLElement} Container to pass as `parent`
+   */
+  addGroup(id, title, parent = this.elements.body) {
+    const details = document.createElement('details')
+    details.className = 'debug-group'
+    details.dataset.section = id
+    const summary = document.createElement('summary')
+    summary.textContent = title
+    details.append(summary)
+    parent.append(details)
+    return details
+  }
+
+  /**
+   * Expose an object's fields as controls
+   * @param {string} id - Key in the copied JSON (dots nest: 'environment.noon')
+   * @param {Object} source - Object to seed values from
+   * @param {Array<{ key: string, type?: 'color', min?: number, max?: number, step?: number }>} fields
+   *   Numbers get a slider, booleans a checkbox, `type: 'color'` a color picker
+   * @param {Function} apply - Receives the section's values after every change
+   */
+  addSection(id, title, source, fields, apply, parent = this.elements.body) {
+    const values = {}
+    for (const { key } of fields) values[key] = source[key]
+
+    const section = {
+      id,
+      values,
+      defaults: { ...values },
+      fields,
+      apply,
+      inputs: new Map(),
+    }
+
+    const container = this.addGroup(id, title, parent)
+    for (const field of fields) container.append(this._createControl(section, field))
+
+    this.sections.push(section)
+    return section
+  }
+
+  _createControl(section, field) {
+    const { key } = field
+    const value = section.values[key]
+    const type = field.type ?? (typeof value === 'boolean' ? 'boolean' : 'number')
+
+    const row = document.createElement('label')
+    row.className = 'debug-row'
+    const name = document.createElement('span')
+    name.className = 'debug-name'
+    name.textContent = key
+    row.append(name)
+
+    const input = document.createElement('input')
+    const output = document.createElement('span')
+    output.className = 'debug-output'
+
+    if (type === 'color') {
+      input.type = 'color'
+      input.addEventListener('input', () => this._set(section, key, parseInt(input.value.slice(1), 16)))
+    } else if (type === 'boolean') {
+      input.type = 'checkbox'
+      input.addEventListener('change', () => this._set(section, key, input.checked))
+    } else {
+      input.type = 'range'
+      input.min = field.min ?? 0
+      input.max = field.max ?? 1
+      input.step = field.step ?? 0.01
+      input.addEventListener('input', () => this._set(section, key, parseFloat(input.value)))
+    }
+
+    row.append(input)
+    if (type === 'number') row.append(output)
+    section.inputs.set(key, { input, output, type, step: field.step })
+    this._show(section, key)
+    return row
+  }
+
+  _set(section, key, value) {
+    section.values[key] = value
+    this._show(section, key)
+    section.apply({ ...section.values })
+  }
+
+  /**
+   * Reflect a value in its control
+   */
+  _show(section, key) {
+    const { input, output, type, step } = section.inputs.get(key)
+    const value = section.values[key]
+
+    if (type === 'color') {
+      input.value = `#${value.toString(16).padStart(6, '0')}`
+    } else if (type === 'boolean') {
+      input.checked = value
+    } else {
+      input.value = value
+      const decimals = Math.max(0, Math.ceil(-Math.log10(step ?? 0.01)))
+      output.textContent = Number.isInteger(value) ? String(value) : value.toFixed(decimals)
+    }
+  }
+
+  // ═══════════════════════════════════════
+  // ACTIONS
+  // ═══════════════════════════════════════
+
+  reset() {
+    for (const section of this.sections) {
+      Object.assign(section.values, section.defaults)
+      for (const key of section.inputs.keys()) this._show(section, key)
+      section.apply({ ...section.values })
+    }
+    this.experience.uiManager?.notify('Debug values reset', 'info', 1500)
+  }
+
+  /**
+   * Current values keyed by section id ('environment.noon' → { environment: { noon } })
+   */
+  toJSON() {
+    const data = {}
+    for (const { id, values, fields } of this.sections) {
+      const path = id.split('.')
+      let node = data
+      for (const part of path.slice(0, -1)) node = node[part] ??= {}
+
+      const out = {}
+      for (const { key, type } of fields) {
+        out[key] = type === 'color' ? `0x${values[key].toString(16).padStart(6, '0')}` : values[key]
+      }
+      node[path[path.length - 1]] = out
+    }
+    return data
+  }
+
+  async copyJSON() {
+    // Unquote colors so the text pastes straight into a JS config object
+    const text = JSON.stringify(this.toJSON(), null, 2).replace(/"(0x[0-9a-f]{6})"/g, '$1')
+    try {
+      await navigator.clipboard.writeText(text)
+      this.experience.uiManager?.notify('Debug values copied', 'success', 1500)
+    } catch {
+      console.log(text)
+      this.experience.uiManager?.notify('Clipboard blocked — values logged to console', 'warning')
+    }
+  }
+
+  toggle(visible = this.elements.root.classList.contains('collapsed')) {
+    this.elements.root.classList.toggle('collapsed', !visible)
+  }
+
+  // ═══════════════════════════════════════
+  // DOM
+  // ═══════════════════════════════════════
+
+  _build() {
+    const root = document.createElement('div')
+    root.className = 'debug-panel'
+    root.id = 'debug-panel'
+
+    const header = document.createElement('div')
+    header.className = 'debug-header'
+    const title = document.createElement('button')
+    title.type = 'button'
+    title.className = 'debug-title'
+    title.textContent = 'Debug'
+    title.addEventListener('click', () => this.toggle())
+
+    const copy = document.createElement('button')
+    copy.type = 'button'
+    copy.className = 'debug-action'
+    copy.textContent = 'Copy JSON'
+    copy.addEventListener('click', () => this.copyJSON())
+
+    const reset = document.createElement('button')
+    reset.type = 'button'
+    reset.className = 'debug-action'
+    reset.textContent = 'Reset'
+    reset.addEventListener('click', () => this.reset())
+
+    header.append(title, copy, reset)
+
+    const body = document.createElement('div')
+    body.className = 'debug-body'
+
+    root.append(header, body)
+    document.body.append(root)
+
+    this.elements = { root, body }
+  }
+
+  destroy() {
+    window.removeEventListener('environmentChanged', this._onEnvironmentChanged)
+    this.elements.root.remove()
+    this.sections = []
+  }
+}
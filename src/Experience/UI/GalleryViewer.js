@@ -0,0 +1,522 @@
+import { el } from '../Utils/SafeDOM.js'
+import { ModalDialog } from './Accessibility.js'
+
+/**
+ * GalleryViewer — Image viewer with thumbnails, paging, swipe and pinch-zoom
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Used inline in the gallery detail view and as a full-screen lightbox
+ * (GalleryViewer.openLightbox) from any project with screenshots.
+ *
+ * - Main image + caption + "2 / 5" counter, thumbnail strip below
+ * - ← / → (Home / End) page while focus is inside the viewer's key scope,
+ *   swipe pages on touch, the adjacent images are preloaded
+ * - Pinch or double-tap / double-click zooms (1–4×); drag pans while zoomed
+ * - Thumbnails lazy-load; broken images show a placeholder instead
+ *
+ * Images are { src, caption } with src already checked by safeUrl().
+ */
+export class GalleryViewer {
+  /**
+   * @param {Array<{ src: string, caption?: string }>} images
+   * @param {Object} [options]
+   * @param {number} [options.index=0] - First image shown
+   * @param {HTMLElement} [options.keyScope] - Element whose key presses page
+   *   the viewer (defaults to the viewer itself)
+   * @param {Function} [options.onExpand] - Called with the index when the main
+   *   image is tapped once (inline viewer → lightbox); it waits out the
+   *   double-tap window so a double tap still zooms
+   */
+  constructor(images, options = {}) {
+    this.images = images
+    this.index = -1
+    this.options = options
+
+    this.settings = {
+      swipeThreshold: 50,   // px of horizontal travel that pages
+      maxZoom: 4,
+      doubleTapZoom: 2,
+      doubleTapDelay: 300,  // ms; a single tap expands only after this
+    }
+
+    this._zoom = { scale: 1, x: 0, y: 0 }
+    this._pointers = new Map() // pointerId → { x, y }
+    this._gesture = null       // { startX, startY, startDistance, startScale, panX, panY }
+    this._tapTimer = null
+    this._preloaded = new Set()
+
+    GalleryViewer.injectStyles()
+    this._build()
+    this._setListeners()
+    this.show(options.index ?? 0)
+  }
+
+  /**
+   * Project screenshots → viewer images (entries are URLs or { url, caption })
+   * @param {Array<string|{ url: string, caption?: string }>} screenshots
+   * @param {Function} resolve - URL check, returns null to drop an entry
+   */
+  static fromScreenshots(screenshots = [], resolve = (url) => url) {
+    return screenshots.flatMap((entry, i) => {
+      const url = typeof entry === 'string' ? entry : entry?.url
+      const src = resolve(url)
+      if (!src) return []
+      return { src, caption: (typeof entry === 'object' && entry.caption) || `Screenshot ${i + 1}` }
+    })
+  }
+
+  // ═══════════════════════════════════════
+  // DOM
+  // ═══════════════════════════════════════
+
+  _build() {
+    this.elements = {}
+    const e = this.elements
+
+    e.image = el('img', { className: 'gallery-main-image', alt: '', decoding: 'async', draggable: 'false' })
+    e.placeholder = el('div', { className: 'gallery-placeholder', text: 'Image unavailable', hidden: true })
+    e.stage = el('div', { className: 'gallery-stage' }, [e.image, e.placeholder])
+
+    e.previous = el('button', {
+      type: 'button',
+      className: 'gallery-nav gallery-previous',
+      'aria-label': 'Previous image',
+      on: { click: () => this.previous() },
+    }, '‹')
+    e.next = el('button', {
+      type: 'button',
+      className: 'gallery-nav gallery-next',
+      'aria-label': 'Next image',
+      on: { click: () => this.next() },
+    }, '›')
+
+    e.caption = el('span', { className: 'gallery-caption' })
+    e.counter = el('span', { className: 'gallery-counter', 'aria-live': 'polite' })
+
+    e.thumbnails = this.images.map((image, i) => {
+      const thumbnail = el('img', { src: image.src, alt: '', loading: 'lazy', decoding: 'async' })
+      thumbnail.addEventListener('error', () => thumbnail.closest('button')?.classList.add('is-broken'), { once: true })
+      return el('button', {
+        type: 'button',
+        className: 'gallery-thumbnail',
+        'aria-label': `Show image ${i + 1}: ${image.caption}`,
+        on: { click: () => this.show(i) },
+      }, thumbnail)
+    })
+
+    this.element = el('div', { className: 'gallery-viewer', role: 'group', 'aria-roledescription': 'gallery' }, [
+      el('figure', { className: 'gallery-figure' }, [
+        e.stage,
+        e.previous,
+        e.next,
+        el('figcaption', {}, [e.caption, e.counter]),
+      ]),
+      this.images.length > 1 ? el('div', { className: 'gallery-strip' }, e.thumbnails) : null,
+    ])
+
+    if (this.images.length === 0) {
+      e.placeholder.textContent = 'No images available'
+      e.placeholder.hidden = false
+      e.image.hidden = true
+    }
+  }
+
+  // ═══════════════════════════════════════
+  // NAVIGATION
+  // ═══════════════════════════════════════
+
+  show(index) {
+    const count = this.images.length
+    if (count === 0) return
+    index = ((index % count) + count) % count
+    if (index === this.index) return
+
+    const previous = this.elements.thumbnails[this.index]
+    previous?.classList.remove('active')
+    previous?.removeAttribute('aria-current')
+
+    this.index = index
+    const image = this.images[index]
+    const { image: main, placeholder, caption, counter, thumbnails } = this.elements
+
+    this._resetZoom()
+    main.hidden = false
+    placeholder.hidden = true
+    main.onerror = () => {
+      main.hidden = true
+      placeholder.hidden = false
+    }
+    main.src = image.src
+    main.alt = image.caption
+
+    caption.textContent = image.caption
+    counter.textContent = `${index + 1} / ${count}`
+
+    const thumbnail = thumbnails[index]
+    thumbnail.classList.add('active')
+    thumbnail.setAttribute('aria-current', 'true')
+    thumbnail.scrollIntoView?.({ block: 'nearest', inline: 'nearest' })
+
+    this.elements.previous.hidden = count < 2
+    this.elements.next.hidden = count < 2
+    this._preload(index + 1)
+    this._preload(index - 1)
+  }
+
+  next() {
+    this.show(this.index + 1)
+  }
+
+  previous() {
+    this.show(this.index - 1)
+  }
+
+  _preload(index) {
+    const count = this.images.length
+    const src = this.images[((index % count) + count) % count]?.src
+    if (!src || this._preloaded.has(src)) return
+    this._preloaded.add(src)
+    const image = new Image()
+    image.decoding = 'async'
+    image.src = src
+  }
+
+  // ═══════════════════════════════════════
+  // INPUT
+  // ═══════════════════════════════════════
+
+  _setListeners() {
+    this._onKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return
+      const tag = e.target?.tagName
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return
+
+      const actions = {
+        ArrowRight: () => this.next(),
+        ArrowLeft: () => this.previous(),
+        Home: () => this.show(0),
+        End: () => this.show(this.images.length - 1),
+      }
+      if (!actions[e.key]) return
+      e.preventDefault()
+      actions[e.key]()
+    }
+    this._keyScope = this.options.keyScope ?? this.element
+    this._keyScope.addEventListener('keydown', this._onKeyDown)
+
+    const stage = this.elements.stage
+    stage.addEventListener('pointerdown', (e) => this._onPointerDown(e))
+    stage.addEventListener('pointermove', (e) => this._onPointerMove(e))
+    stage.addEventListener('pointerup', (e) => this._onPointerUp(e))
+    stage.addEventListener('pointercancel', (e) => this._onPointerUp(e, true))
+    stage.addEventListener('dblclick', (e) => this._toggleZoom(e))
+  }
+
+  _onPointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return
+    this.elements.stage.setPointerCapture?.(e.pointerId)
+    this._pointers.set(e.pointerId, { x: e.clientX, y: e.clientY })
+
+    const [a, b] = [...this._pointers.values()]
+    this._gesture = {
+      startX: e.clientX,
+      startY: e.clientY,
+      startDistance: b ? Math.hypot(b.x - a.x, b.y - a.y) : 0,
+      startScale: this._zoom.scale,
+      panX: this._zoom.x,
+      panY: this._zoom.y,
+      moved: false,
+    }
+  }
+
+  _onPointerMove(e) {
+    if (!this._pointers.has(e.pointerId) || !this._gesture) return
+    this._pointers.set(e.pointerId, { x: e.clientX, y: e.clientY })
+    const gesture = this._gesture
+    const [a, b] = [...this._pointers.values()]
+
+    if (b && gesture.startDistance > 0) {
+      // Pinch
+      const scale = gesture.startScale * Math.hypot(b.x - a.x, b.y - a.y) / gesture.startDistance
+      this._setZoom(scale, this._zoom.x, this._zoom.y)
+      gesture.moved = true
+    } else if (this._zoom.scale > 1) {
+      // Pan while zoomed
+      this._setZoom(this._zoom.scale, gesture.panX + e.clientX - gesture.startX, gesture.panY + e.clientY - gesture.startY)
+      gesture.moved = true
+    }
+  }
+
+  _onPointerUp(e, cancelled = false) {
+    if (!this._pointers.has(e.pointerId)) return
+    this._pointers.delete(e.pointerId)
+    const gesture = this._gesture
+
+    // Lifting one finger of a pinch restarts the gesture from the other
+    if (this._pointers.size > 0) {
+      const [rest] = this._pointers.values()
+      this._gesture = { ...gesture, startX: rest.x, startY: rest.y, startDistance: 0, panX: this._zoom.x, panY: this._zoom.y }
+      return
+    }
+    this._gesture = null
+    if (cancelled || !gesture || gesture.moved) return
+
+    const dx = e.clientX - gesture.startX
+    const dy = e.clientY - gesture.startY
+
+    // Swipe pages when not zoomed
+    if (this._zoom.scale === 1 && Math.abs(dx) > this.settings.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+      if (dx < 0) this.next()
+      else this.previous()
+      return
+    }
+
+    if (Math.hypot(dx, dy) >= 10) return
+
+    // Second tap: double-tap zoom (mouse zooms on dblclick instead)
+    if (this._tapTimer) {
+      clearTimeout(this._tapTimer)
+      this._tapTimer = null
+      if (e.pointerType !== 'mouse') this._toggleZoom(e)
+      return
+    }
+
+    // First tap: expand only once no second tap followed
+    this._tapTimer = setTimeout(() => {
+      this._tapTimer = null
+      if (this._zoom.scale === 1) this.options.onExpand?.(this.index)
+    }, this.settings.doubleTapDelay)
+  }
+
+  _toggleZoom(e) {
+    if (this._zoom.scale > 1) {
+      this._resetZoom()
+      return
+    }
+
+    // Zoom toward the tapped point
+    const rect = this.elements.stage.getBoundingClientRect()
+    const scale = this.settings.doubleTapZoom
+    const x = (rect.left + rect.width / 2 - e.clientX) * (scale - 1)
+    const y = (rect.top + rect.height / 2 - e.clientY) * (scale - 1)
+    this._setZoom(scale, x, y)
+  }
+
+  _setZoom(scale, x, y) {
+    scale = Math.min(this.settings.maxZoom, Math.max(1, scale))
+
+    // Keep the image covering the stage: pan limited to the overflow
+    const rect = this.elements.stage.getBoundingClientRect()
+    const maxX = rect.width * (scale - 1) / 2
+    const maxY = rect.height * (scale - 1) / 2
+    this._zoom.scale = scale
+    this._zoom.x = Math.min(maxX, Math.max(-maxX, x))
+    this._zoom.y = Math.min(maxY, Math.max(-maxY, y))
+
+    const { image, stage } = this.elements
+    image.style.transform = scale === 1 ? '' : `translate(${this._zoom.x}px, ${this._zoom.y}px) scale(${scale})`
+    stage.classList.toggle('is-zoomed', scale > 1)
+  }
+
+  _resetZoom() {
+    this._setZoom(1, 0, 0)
+  }
+
+  destroy() {
+    clearTimeout(this._tapTimer)
+    this._keyScope.removeEventListener('keydown', this._onKeyDown)
+    this._pointers.clear()
+    this.element.remove()
+  }
+
+  // ═══════════════════════════════════════
+  // LIGHTBOX
+  // ═══════════════════════════════════════
+
+  /**
+   * Full-screen viewer as its own modal dialog (stacks over a detail view)
+   * @param {Array<{ src: string, caption?: string }>} images
+   * @param {Object} [options]
+   * @param {string} [options.title] - Dialog name for screen readers
+   * @param {number} [options.index=0]
+   * @param {Function} [options.onClose] - After the lightbox is removed
+   * @returns {{ viewer: GalleryViewer, close: Function }}
+   */
+  static openLightbox(images, { title = 'Gallery', index = 0, onClose } = {}) {
+    const heading = el('h2', { className: 'sr-only', text: title })
+    const closeButton = el('button', { type: 'button', className: 'gallery-lightbox-close', 'aria-label': 'Close gallery' }, '✕')
+    const root = el('div', { className: 'gallery-lightbox' }, [heading, closeButton])
+
+    const viewer = new GalleryViewer(images, { index, keyScope: root })
+    root.append(viewer.element)
+    document.body.append(root)
+
+    const dialog = new ModalDialog(root, { label: heading, initialFocus: closeButton, returnFocus: document.activeElement })
+    dialog.open()
+
+    let closed = false
+    const close = () => {
+      if (closed) return
+      closed = true
+      viewer.destroy()
+      root.remove()
+      dialog.close()
+      onClose?.()
+    }
+    closeButton.addEventListener('click', close)
+    root.addEventListener('click', (e) => {
+      if (e.target === root) close()
+    })
+
+    return { viewer, close }
+  }
+
+  static injectStyles() {
+    if (document.getElementById('gallery-viewer-styles')) return
+
+    const style = document.createElement('style')
+    style.id = 'gallery-viewer-styles'
+    style.textContent = `
+      .gallery-viewer {
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+        min-height: 0;
+      }
+      .gallery-figure {
+        position: relative;
+        margin: 0;
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        min-height: 0;
+      }
+      .gallery-stage {
+        position: relative;
+        height: min(60vh, 640px);
+        overflow: hidden;
+        border-radius: 8px;
+        background: rgba(0, 0, 0, 0.4);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        touch-action: none;
+        cursor: zoom-in;
+        user-select: none;
+      }
+      .gallery-stage.is-zoomed {
+        cursor: grab;
+      }
+      .gallery-main-image {
+        max-width: 100%;
+        max-height: 100%;
+        object-fit: contain;
+        transition: transform 0.15s ease-out;
+        transform-origin: center;
+      }
+      .gallery-placeholder {
+        color: rgba(255, 255, 255, 0.5);
+        font-size: 14px;
+      }
+      .gallery-placeholder[hidden],
+      .gallery-main-image[hidden],
+      .gallery-nav[hidden] {
+        display: none;
+      }
+      .gallery-nav {
+        position: absolute;
+        top: calc(50% - 36px);
+        width: 44px;
+        height: 44px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 50%;
+        background: rgba(10, 15, 30, 0.7);
+        color: #fff;
+        font-size: 24px;
+        line-height: 1;
+        cursor: pointer;
+      }
+      .gallery-previous { left: 12px; }
+      .gallery-next { right: 12px; }
+      .gallery-nav:hover {
+        background: rgba(255, 255, 255, 0.2);
+      }
+      .gallery-figure figcaption {
+        display: flex;
+        justify-content: space-between;
+        gap: 16px;
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 14px;
+      }
+      .gallery-counter {
+        color: rgba(255, 255, 255, 0.5);
+        font-variant-numeric: tabular-nums;
+      }
+      .gallery-strip {
+        display: flex;
+        gap: 8px;
+        overflow-x: auto;
+        padding-bottom: 4px;
+      }
+      .gallery-thumbnail {
+        flex: 0 0 auto;
+        width: 96px;
+        height: 64px;
+        padding: 0;
+        border: 2px solid transparent;
+        border-radius: 6px;
+        overflow: hidden;
+        background: rgba(255, 255, 255, 0.05);
+        cursor: pointer;
+        opacity: 0.6;
+        transition: opacity 0.2s, border-color 0.2s;
+      }
+      .gallery-thumbnail img {
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+      }
+      .gallery-thumbnail.active,
+      .gallery-thumbnail:hover {
+        opacity: 1;
+      }
+      .gallery-thumbnail.active {
+        border-color: #4A90D9;
+      }
+      .gallery-thumbnail.is-broken img {
+        visibility: hidden;
+      }
+      .gallery-lightbox {
+        position: fixed;
+        inset: 0;
+        z-index: 1100;
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        padding: 56px 24px 24px;
+        background: rgba(0, 0, 0, 0.95);
+      }
+      .gallery-lightbox .gallery-stage {
+        height: calc(100vh - 200px);
+      }
+      .gallery-lightbox-close {
+        position: absolute;
+        top: 12px;
+        right: 12px;
+        padding: 8px 14px;
+        background: rgba(255, 255, 255, 0.1);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 8px;
+        color: #fff;
+        cursor: pointer;
+      }
+      .gallery-lightbox :focus-visible {
+        outline: 2px solid #4A90D9;
+        outline-offset: 2px;
+      }
+      @media (prefers-reduced-motion: reduce) {
+        .gallery-main-image { transition: none; }
+      }
+    `
+    document.head.appendChild(style)
+  }
+}
@@ -0,0 +1,364 @@
+import { Experience } from '../Experience.js'
+import { CLOSE_PRIORITY } from '../Utils/InputManager.js'
+
+/**
+ * MiniMap — Corner map + full-screen world map
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Drawn on 2D canvases from the active environment's data:
+ * - zones (center, radius, color), portals and paths (if the environment has any)
+ * - player position and heading
+ *
+ * The corner map is centered on the player and rotates with the camera
+ * (ThirdPersonCamera.theta) so "up" is always the view direction. The full
+ * map (M key, the HUD button, or a click on the corner map) is north-up and
+ * fits the whole world; clicking a discovered zone fast-travels there. Zones
+ * not yet in World.visitedZones are fogged.
+ */
+export class MiniMap {
+  constructor() {
+    this.experience = new Experience()
+
+    this.settings = {
+      viewFraction: 0.35,   // Corner map shows this fraction of the world extent around the player
+      padding: 40,          // Full map padding in CSS pixels
+      hitSlop: 10,          // Extra click radius around zones in CSS pixels
+      pathColor: 'rgba(139, 115, 85, 0.8)',
+      fogFill: 'rgba(60, 64, 80, 0.75)',
+      fogStroke: 'rgba(150, 155, 170, 0.5)',
+      background: 'rgba(12, 18, 28, 0.55)',
+    }
+
+    this.elements = {
+      mini: document.getElementById('mini-map'),
+      button: document.getElementById('btn-map'),
+      miniCanvas: document.getElementById('mini-map-canvas'),
+      overlay: document.getElementById('world-map'),
+      fullCanvas: document.getElementById('world-map-canvas'),
+      close: document.getElementById('world-map-close'),
+    }
+
+    this.isExpanded = false
+    this.bounds = null
+    this._fullTransform = null // { scale, cx, cz, width, height } for click picking
+
+    this._setListeners()
+    this.rebuild()
+  }
+
+  _setListeners() {
+    const input = this.experience.inputManager
+    this._offMap = input?.on('map', () => this.toggle())
+    this._offClose = input?.on('close', () => {
+      if (!this.isExpanded) return false
+      this.close()
+      return true
+    }, { priority: CLOSE_PRIORITY.overlay })
+    this._onMiniClick = () => this.open()
+    this._onCloseClick = () => this.close()
+    this._onOverlayClick = (e) => {
+      if (e.target === this.elements.overlay) this.close()
+    }
+    this._onFullClick = (e) => this._handleFullMapClick(e)
+    this._onFullMove = (e) => {
+      const zone = this._pickZone(e)
+      this.elements.fullCanvas.style.cursor = zone ? 'pointer' : 'default'
+    }
+    this._onEnvironmentChanged = () => this.rebuild()
+
+    window.addEventListener('environmentChanged', this._onEnvironmentChanged)
+    this.elements.mini?.addEventListener('click', this._onMiniClick)
+    this.elements.button?.addEventListener('click', this._onMiniClick)
+    this.elements.close?.addEventListener('click', this._onCloseClick)
+    this.elements.overlay?.addEventListener('click', this._onOverlayClick)
+    this.elements.fullCanvas?.addEventListener('click', this._onFullClick)
+    this.elements.fullCanvas?.addEventListener('mousemove', this._onFullMove)
+  }
+
+  /**
+   * Recompute world bounds for the active environment
+   */
+  rebuild() {
+    const env = this.experience.world?.activeEnvironment
+    if (!env?.zones) {
+      this.bounds = null
+      return
+    }
+
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity
+    for (const zone of Object.values(env.zones)) {
+      minX = Math.min(minX, zone.center.x - zone.radius)
+      maxX = Math.max(maxX, zone.center.x + zone.radius)
+      minZ = Math.min(minZ, zone.center.z - zone.radius)
+      maxZ = Math.max(maxZ, zone.center.z + zone.radius)
+    }
+    for (const path of env.paths ?? []) {
+      for (const [x, , z] of [path.from, path.to]) {
+        minX = Math.min(minX, x)
+        maxX = Math.max(maxX, x)
+        minZ = Math.min(minZ, z)
+        maxZ = Math.max(maxZ, z)
+      }
+    }
+
+    this.bounds = { minX, maxX, minZ, maxZ, extent: Math.max(maxX - minX, maxZ - minZ) }
+  }
+
+  // ── Open / close ──
+
+  toggle() {
+    if (this.isExpanded) this.close()
+    else this.open()
+  }
+
+  open() {
+    if (!this.elements.overlay) return
+    this.isExpanded = true
+    this.elements.overlay.classList.add('active')
+  }
+
+  close() {
+    this.isExpanded = false
+    this.elements.overlay?.classList.remove('active')
+  }
+
+  // ── Drawing ──
+
+  /**
+   * Size a canvas backing store to its CSS size
+   * @returns {{ ctx: CanvasRenderingContext2D, width: number, height: number, dpr: number }|null}
+   */
+  _prepareCanvas(canvas) {
+    const width = canvas.clientWidth
+    const height = canvas.clientHeight
+    if (!width || !height) return null
+
+    const dpr = Math.min(window.devicePixelRatio || 1, 2)
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+      canvas.width = Math.round(width * dpr)
+      canvas.height = Math.round(height * dpr)
+    }
+
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    ctx.clearRect(0, 0, width, height)
+    return { ctx, width, height, dpr }
+  }
+
+  /**
+   * Draw zones, paths, portals and the player in world XZ coordinates.
+   * The context transform must already map world units to CSS pixels.
+   * @param {number} px - Size of one CSS pixel in world units
+   */
+  _drawWorld(ctx, px) {
+    const world = this.experience.world
+    const env = world.activeEnvironment
+    const s = this.settings
+
+    // Paths
+    ctx.strokeStyle = s.pathColor
+    ctx.lineCap = 'round'
+    for (const path of env.paths ?? []) {
+      ctx.lineWidth = Math.max(path.w, 2 * px)
+      ctx.beginPath()
+      ctx.moveTo(path.from[0], path.from[2])
+      ctx.lineTo(path.to[0], path.to[2])
+      ctx.stroke()
+    }
+
+    // Zones
+    for (const [id, zone] of Object.entries(env.zones)) {
+      const discovered = world.visitedZones.has(id)
+      const color = '#' + zone.color.toString(16).padStart(6, '0')
+
+      ctx.beginPath()
+      ctx.arc(zone.center.x, zone.center.z, zone.radius, 0, Math.PI * 2)
+
+      if (discovered) {
+        ctx.globalAlpha = 0.35
+        ctx.fillStyle = color
+        ctx.fill()
+        ctx.globalAlpha = 1
+        ctx.strokeStyle = color
+        ctx.setLineDash([])
+      } else {
+        ctx.fillStyle = s.fogFill
+        ctx.fill()
+        ctx.strokeStyle = s.fogStroke
+        ctx.setLineDash([4 * px, 3 * px])
+      }
+      ctx.lineWidth = (id === world.currentZone ? 3 : 1.5) * px
+      ctx.stroke()
+    }
+    ctx.setLineDash([])
+
+    // Portals
+    const size = 3.5 * px
+    for (const portal of env.portals ?? []) {
+      const toZone = env.zones[portal.userData?.toZone]
+      const { x, z } = portal.position
+      ctx.fillStyle = toZone ? '#' + toZone.color.toString(16).padStart(6, '0') : '#4A90D9'
+      ctx.beginPath()
+      ctx.moveTo(x, z - size)
+      ctx.lineTo(x + size, z)
+      ctx.lineTo(x, z + size)
+      ctx.lineTo(x - size, z)
+      ctx.closePath()
+      ctx.fill()
+    }
+
+    // Player (mesh faces +Z local, so heading is (sin, cos) of rotation.y)
+    const player = world.player?.mesh
+    if (player) {
+      const { x, z } = player.position
+      const heading = player.rotation.y
+      const hx = Math.sin(heading)
+      const hz = Math.cos(heading)
+      const len = 9 * px
+      const half = 5 * px
+
+      ctx.fillStyle = '#ffffff'
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)'
+      ctx.lineWidth = 1.5 * px
+      ctx.beginPath()
+      ctx.moveTo(x + hx * len, z + hz * len)
+      ctx.lineTo(x - hx * half + hz * half, z - hz * half - hx * half)
+      ctx.lineTo(x - hx * half - hz * half, z - hz * half + hx * half)
+      ctx.closePath()
+      ctx.fill()
+      ctx.stroke()
+    }
+  }
+
+  _drawMini() {
+    const canvas = this.elements.miniCanvas
+    const player = this.experience.world?.player?.mesh
+    if (!canvas || !player) return
+
+    const prepared = this._prepareCanvas(canvas)
+    if (!prepared) return
+    const { ctx, width, height, dpr } = prepared
+
+    ctx.fillStyle = this.settings.background
+    ctx.fillRect(0, 0, width, height)
+
+    // Player-centered, rotated so the camera's forward points up
+    const viewRadius = this.bounds.extent * this.settings.viewFraction * 0.5
+    const scale = Math.min(width, height) / (viewRadius * 2)
+    const theta = this.experience.camera?.thirdPerson?.theta ?? 0
+
+    ctx.save()
+    ctx.translate(width / 2, height / 2)
+    ctx.rotate(theta)
+    ctx.scale(scale, scale)
+    ctx.translate(-player.position.x, -player.position.z)
+    this._drawWorld(ctx, 1 / scale)
+    ctx.restore()
+
+    // North marker on the rim
+    const r = Math.min(width, height) / 2 - 9
+    const nx = width / 2 + Math.sin(theta) * r
+    const ny = height / 2 - Math.cos(theta) * r
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)'
+    ctx.font = '600 10px system-ui, sans-serif'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillText('N', nx, ny)
+  }
+
+  _drawFull() {
+    const canvas = this.elements.fullCanvas
+    if (!canvas) return
+
+    const prepared = this._prepareCanvas(canvas)
+    if (!prepared) return
+    const { ctx, width, height } = prepared
+    const b = this.bounds
+    const pad = this.settings.padding
+
+    const scale = Math.min((width - pad * 2) / (b.maxX - b.minX), (height - pad * 2) / (b.maxZ - b.minZ))
+    const cx = (b.minX + b.maxX) / 2
+    const cz = (b.minZ + b.maxZ) / 2
+    this._fullTransform = { scale, cx, cz, width, height }
+
+    ctx.save()
+    ctx.translate(width / 2, height / 2)
+    ctx.scale(scale, scale)
+    ctx.translate(-cx, -cz)
+    this._drawWorld(ctx, 1 / scale)
+    ctx.restore()
+
+    // Zone labels (screen space so text stays upright)
+    const world = this.experience.world
+    ctx.font = '600 13px system-ui, sans-serif'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    for (const [id, zone] of Object.entries(world.activeEnvironment.zones)) {
+      const discovered = world.visitedZones.has(id)
+      const sx = (zone.center.x - cx) * scale + width / 2
+      const sy = (zone.center.z - cz) * scale + height / 2
+      ctx.fillStyle = discovered ? 'rgba(255, 255, 255, 0.95)' : 'rgba(200, 205, 220, 0.6)'
+      ctx.fillText(discovered ? zone.name : '???', sx, sy)
+    }
+  }
+
+  // ── Fast travel ──
+
+  _pickZone(event) {
+    const t = this._fullTransform
+    const env = this.experience.world?.activeEnvironment
+    if (!t || !env?.zones) return null
+
+    const rect = this.elements.fullCanvas.getBoundingClientRect()
+    const x = (event.clientX - rect.left - t.width / 2) / t.scale + t.cx
+    const z = (event.clientY - rect.top - t.height / 2) / t.scale + t.cz
+    const slop = this.settings.hitSlop / t.scale
+
+    let best = null
+    let bestDist = Infinity
+    for (const [id, zone] of Object.entries(env.zones)) {
+      const dist = Math.hypot(x - zone.center.x, z - zone.center.z)
+      if (dist <= zone.radius + slop && dist < bestDist) {
+        best = { id, zone }
+        bestDist = dist
+      }
+    }
+    return best
+  }
+
+  _handleFullMapClick(event) {
+    const picked = this._pickZone(event)
+    if (!picked) return
+
+    const world = this.experience.world
+    const ui = this.experience.uiManager
+
+    if (!world.visitedZones.has(picked.id)) {
+      ui?.notify('Undiscovered — reach this zone on foot first', 'info')
+      return
+    }
+
+    world.teleportToZone(picked.id)
+    this.close()
+    ui?.notify(`Traveled to ${picked.zone.name}`, 'success')
+  }
+
+  update() {
+    if (!this.bounds || !this.experience.world?.activeEnvironment) return
+
+    this._drawMini()
+    if (this.isExpanded) this._drawFull()
+  }
+
+  destroy() {
+    this._offMap?.()
+    this._offClose?.()
+    window.removeEventListener('environmentChanged', this._onEnvironmentChanged)
+    this.elements.mini?.removeEventListener('click', this._onMiniClick)
+    this.elements.button?.removeEventListener('click', this._onMiniClick)
+    this.elements.close?.removeEventListener('click', this._onCloseClick)
+    this.elements.overlay?.removeEventListener('click', this._onOverlayClick)
+    this.elements.fullCanvas?.removeEventListener('click', this._onFullClick)
+    this.elements.fullCanvas?.removeEventListener('mousemove', this._onFullMove)
+  }
+}
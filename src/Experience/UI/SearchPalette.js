@@ -0,0 +1,459 @@
+import { Experience } from '../Experience.js'
+import { getPortfolioZones, getProjectsByType } from '../Data/portfolioData.js'
+import { PROJECT_TYPES } from '../Data/portfolioLoader.js'
+import { el } from '../Utils/SafeDOM.js'
+import { CLOSE_PRIORITY } from '../Utils/InputManager.js'
+import { ModalDialog } from './Accessibility.js'
+
+const TYPE_LABELS = {
+  unity_webgl: 'Playable',
+  webapp: 'Web App',
+  video: 'Video',
+  gallery: 'Gallery',
+  info: 'Info',
+  contact: 'Contact',
+}
+
+// Searched fields; fuzzy ones also match letters in order ("advq" → "Adventure
+// Quest") and words with a typo ("dashbaord")
+const FIELDS = [
+  { key: 'title', weight: 4, fuzzy: true },
+  { key: 'tags', weight: 3, fuzzy: true },
+  { key: 'subtitle', weight: 2, fuzzy: true },
+  { key: 'description', weight: 1, fuzzy: false },
+]
+
+const normalize = (text) => String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+
+/**
+ * Edit distance counting a swap of neighbouring letters as one edit
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i])
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1)
+      }
+    }
+  }
+  return rows[a.length][b.length]
+}
+
+/**
+ * How well one query token matches a (normalized) text, 0 when it doesn't:
+ * substring (best at a word start) → letters in order → a word with a typo
+ */
+function matchToken(token, text, fuzzy) {
+  const index = text.indexOf(token)
+  if (index !== -1) return index === 0 || !/[a-z0-9]/.test(text[index - 1]) ? 1 : 0.75
+  if (!fuzzy || token.length < 2) return 0
+
+  let last = -1
+  let gaps = 0
+  for (const char of token) {
+    const next = text.indexOf(char, last + 1)
+    if (next === -1) {
+      gaps = Infinity
+      break
+    }
+    if (last !== -1) gaps += next - last - 1
+    last = next
+  }
+
+  // Letters scattered across a long text aren't a match
+  const maxGaps = token.length * 3
+  if (gaps <= maxGaps) return 0.5 * (1 - gaps / (maxGaps + 1))
+
+  // One typo per four letters
+  const allowed = Math.floor(token.length / 4)
+  if (allowed === 0) return 0
+  const closest = Math.min(...text.split(/[^a-z0-9]+/).map(word => (
+    Math.abs(word.length - token.length) > allowed ? Infinity : editDistance(token, word)
+  )))
+  return closest <= allowed ? 0.4 / closest : 0
+}
+
+/**
+ * SearchPalette — Find any project from anywhere in the world
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Opened with the `search` action (/), Ctrl+K / ⌘K or the HUD button.
+ *
+ * - Fuzzy search over title, subtitle, tags and description of every zone in
+ *   the portfolio data; every word typed has to match somewhere
+ * - Facets narrow the results by type, zone and tag
+ * - Each result can open its details (PortfolioShowcase) or take the player
+ *   there: teleport to the project's zone, camera turned toward its panel
+ *
+ * Keyboard: Enter opens the top result, Shift+Enter travels to it, ↑ / ↓ move
+ * through the results, Esc closes.
+ */
+export class SearchPalette {
+  constructor() {
+    this.experience = new Experience()
+
+    this.elements = {
+      button: document.getElementById('btn-search'),
+      overlay: document.getElementById('project-search'),
+      modal: document.querySelector('#project-search .project-search'),
+      title: document.getElementById('project-search-title'),
+      close: document.getElementById('project-search-close'),
+      input: document.getElementById('project-search-input'),
+      facets: document.getElementById('project-search-facets'),
+      status: document.getElementById('project-search-status'),
+      results: document.getElementById('project-search-results'),
+    }
+
+    this.isOpen = false
+    this.entries = []   // { project, text: { title, subtitle, tags, description } }
+    this.results = []   // projects currently listed
+    this.filters = { type: null, zone: null, tag: null }
+
+    this.dialog = this.elements.modal
+      ? new ModalDialog(this.elements.modal, { label: this.elements.title, initialFocus: this.elements.input })
+      : null
+
+    this._setListeners()
+  }
+
+  _setListeners() {
+    const input = this.experience.inputManager
+    this._unsubscribe = input ? [
+      input.on('search', () => this.open()),
+      input.on('close', () => {
+        if (!this.isOpen) return false
+        this.close()
+        return true
+      }, { priority: CLOSE_PRIORITY.overlay }),
+    ] : []
+
+    // Ctrl+K / ⌘K: InputManager leaves modifier shortcuts alone, so listen here
+    this._onKeyDown = (e) => {
+      if (e.code !== 'KeyK' || !(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return
+      if (this.isOpen) {
+        e.preventDefault()
+        this.elements.input.select()
+        return
+      }
+      // Another dialog has the keyboard
+      if (input?.isSuspended) return
+      e.preventDefault()
+      this.open()
+    }
+    this._onButton = () => this.open()
+    this._onCloseClick = () => this.close()
+    this._onOverlayClick = (e) => {
+      if (e.target === this.elements.overlay) this.close()
+    }
+    this._onInput = () => this._render()
+    this._onInputKeyDown = (e) => this._handleInputKey(e)
+    this._onResultsKeyDown = (e) => this._handleResultsKey(e)
+
+    window.addEventListener('keydown', this._onKeyDown)
+    this.elements.button?.addEventListener('click', this._onButton)
+    this.elements.close?.addEventListener('click', this._onCloseClick)
+    this.elements.overlay?.addEventListener('click', this._onOverlayClick)
+    this.elements.input?.addEventListener('input', this._onInput)
+    this.elements.input?.addEventListener('keydown', this._onInputKeyDown)
+    this.elements.results?.addEventListener('keydown', this._onResultsKeyDown)
+  }
+
+  // ── Open / close ──
+
+  open() {
+    if (this.isOpen || !this.dialog) return
+    this.isOpen = true
+
+    this.experience.miniMap?.close()
+
+    // Rebuilt on every open so a late portfolio.json is picked up
+    this._buildIndex()
+    this._renderFacets()
+    this._render()
+
+    this.elements.overlay.classList.add('active')
+    this.dialog.open()
+    this.elements.input.select()
+  }
+
+  close() {
+    if (!this.isOpen) return
+    this.isOpen = false
+    this.elements.overlay.classList.remove('active')
+    this.dialog.close()
+  }
+
+  // ── Search ──
+
+  _buildIndex() {
+    this.entries = []
+    for (const [zoneId, zone] of Object.entries(getPortfolioZones())) {
+      for (const project of zone.projects) {
+        this.entries.push({
+          project: { ...project, zoneId, zoneName: zone.zoneName, accentColor: zone.accentColor },
+          text: {
+            title: normalize(project.title),
+            subtitle: normalize(project.subtitle),
+            tags: normalize((project.tags ?? []).join(' ')),
+            description: normalize(project.description),
+          },
+        })
+      }
+    }
+  }
+
+  /**
+   * Projects matching a query and the facet filters, best first
+   * @param {string} query
+   * @param {{ type: ?string, zone: ?string, tag: ?string }} [filters]
+   * @returns {Object[]} Projects with zoneId / zoneName / accentColor
+   */
+  search(query, filters = this.filters) {
+    const tokens = normalize(query).split(/\s+/).filter(Boolean)
+    const ofType = filters.type ? new Set(getProjectsByType(filters.type).map(p => p.id)) : null
+
+    const scored = []
+    this.entries.forEach(({ project, text }, order) => {
+      if (ofType && !ofType.has(project.id)) return
+      if (filters.zone && project.zoneId !== filters.zone) return
+      if (filters.tag && !(project.tags ?? []).includes(filters.tag)) return
+
+      let score = project.featured ? 0.1 : 0
+      for (const token of tokens) {
+        const best = Math.max(...FIELDS.map(({ key, weight, fuzzy }) => weight * matchToken(token, text[key], fuzzy)))
+        if (best === 0) return
+        score += best
+      }
+      scored.push({ project, score, order })
+    })
+
+    scored.sort((a, b) => b.score - a.score || a.order - b.order)
+    return scored.map(({ project }) => project)
+  }
+
+  // ── Actions ──
+
+  /**
+   * Close the palette and open a project's detail view. Detail views belong
+   * to the test world's showcase; switching there from the forest moves the
+   * player anyway, so they travel to the project first.
+   */
+  openDetails(project) {
+    const world = this.experience.world
+    if (!world) return
+
+    if (world.activeMode === 'test') this.close()
+    else this.travelTo(project)
+
+    const showcase = world.portfolioShowcase
+    if (!showcase) return
+    showcase.closeDetailView()
+    showcase._showProjectDetail(project, project.zoneId)
+  }
+
+  /**
+   * Close the palette, teleport to the project's zone and face its panel
+   */
+  travelTo(project) {
+    const world = this.experience.world
+    if (!world?.player || this.experience.portalTransition?.active) return
+
+    this.close()
+    this.experience.guidedTour?.exit()
+    world.portfolioShowcase?.closeDetailView()
+
+    // Panels only exist in the test world
+    if (world.activeMode !== 'test') world.createTestEnvironment()
+    world.teleportToZone(project.zoneId)
+
+    // A fly-through would keep the camera somewhere else
+    this.experience.cameraDirector?.release(false)
+    const panel = world.portfolioShowcase?.uiManager.getPanel(project.id)
+    if (panel) this.experience.camera?.thirdPerson?.lookToward(panel.getWorldPosition(), world.player.mesh.position, true)
+
+    this.experience.uiManager?.notify(`Traveled to ${project.title}`, 'success')
+  }
+
+  // ── Rendering ──
+
+  _renderFacets() {
+    const zones = getPortfolioZones()
+    const tags = new Map()
+    const zoneCounts = new Map()
+    for (const { project } of this.entries) {
+      zoneCounts.set(project.zoneId, (zoneCounts.get(project.zoneId) ?? 0) + 1)
+      for (const tag of project.tags ?? []) tags.set(tag, (tags.get(tag) ?? 0) + 1)
+    }
+
+    // Drop filters that no longer match anything (e.g. after a manifest reload)
+    if (this.filters.zone && !zoneCounts.has(this.filters.zone)) this.filters.zone = null
+    if (this.filters.tag && !tags.has(this.filters.tag)) this.filters.tag = null
+
+    const types = PROJECT_TYPES
+      .map(type => [type, getProjectsByType(type).length])
+      .filter(([, count]) => count > 0)
+
+    const tagSelect = el('select', {
+      className: 'search-facet-select',
+      'aria-label': 'Tag',
+      on: {
+        change: (e) => {
+          this.filters.tag = e.target.value || null
+          this._render()
+        },
+      },
+    }, [
+      el('option', { value: '' }, 'Any tag'),
+      [...tags].sort(([a], [b]) => a.localeCompare(b)).map(([tag, count]) => el('option', { value: tag }, `${tag} (${count})`)),
+    ])
+    tagSelect.value = this.filters.tag ?? ''
+
+    this.elements.facets.replaceChildren(
+      this._facetGroup('Type', 'type', types.map(([type, count]) => [type, TYPE_LABELS[type] ?? type, count])),
+      this._facetGroup('Zone', 'zone', [...zoneCounts].map(([zoneId, count]) => [zoneId, zones[zoneId]?.zoneName ?? zoneId, count])),
+      el('div', { className: 'search-facet' }, [
+        el('span', { className: 'search-facet-label', 'aria-hidden': 'true' }, 'Tag'),
+        tagSelect,
+      ]),
+    )
+  }
+
+  /**
+   * A row of toggle chips; one value per facet, clicking it again clears it
+   * @param {Array<[string, string, number]>} options - value, label, count
+   */
+  _facetGroup(label, key, options) {
+    const chips = options.map(([value, text, count]) => el('button', {
+      type: 'button',
+      className: 'search-chip',
+      'aria-pressed': String(this.filters[key] === value),
+      on: {
+        click: (e) => {
+          this.filters[key] = this.filters[key] === value ? null : value
+          for (const chip of chips) chip.setAttribute('aria-pressed', String(chip === e.currentTarget && this.filters[key] !== null))
+          this._render()
+        },
+      },
+    }, [text, el('span', { className: 'search-chip-count', text: count })]))
+
+    return el('div', { className: 'search-facet', role: 'group', 'aria-label': label }, [
+      el('span', { className: 'search-facet-label', 'aria-hidden': 'true' }, label),
+      chips,
+    ])
+  }
+
+  _render() {
+    const query = this.elements.input.value
+    const tokens = normalize(query).split(/\s+/).filter(Boolean)
+    this.results = this.search(query)
+
+    this.elements.results.replaceChildren(...this.results.map(project => this._renderResult(project, tokens)))
+
+    const count = this.results.length
+    this.elements.status.textContent = count === 0
+      ? 'No projects match — try fewer words or clear a filter'
+      : `${count} project${count === 1 ? '' : 's'}`
+  }
+
+  _renderResult(project, tokens) {
+    const item = el('li', { className: 'search-result' }, [
+      el('div', { className: 'search-result-text' }, [
+        el('span', { className: 'search-result-title' }, this._highlight(project.title ?? '', tokens)),
+        project.subtitle ? el('span', { className: 'search-result-subtitle', text: project.subtitle }) : null,
+        el('span', { className: 'search-result-meta', text: `${project.zoneName} · ${TYPE_LABELS[project.type] ?? project.type}` }),
+      ]),
+      el('div', { className: 'search-result-actions' }, [
+        el('button', {
+          type: 'button',
+          className: 'search-action',
+          'data-action': 'open',
+          'aria-label': `Open ${project.title} details`,
+          on: { click: () => this.openDetails(project) },
+        }, 'Details'),
+        el('button', {
+          type: 'button',
+          className: 'search-action search-action-travel',
+          'data-action': 'travel',
+          'aria-label': `Take me to ${project.title}`,
+          on: { click: () => this.travelTo(project) },
+        }, 'Take me there'),
+      ]),
+    ])
+    item.style.setProperty('--accent', `#${project.accentColor.toString(16).padStart(6, '0')}`)
+    return item
+  }
+
+  /**
+   * Wrap the parts of a title that contain a query word in <mark>
+   */
+  _highlight(text, tokens) {
+    const lower = text.toLowerCase()
+    const ranges = []
+    for (const token of tokens) {
+      for (let i = lower.indexOf(token); i !== -1; i = lower.indexOf(token, i + token.length)) {
+        ranges.push([i, i + token.length])
+      }
+    }
+    if (ranges.length === 0 || lower.length !== text.length) return text
+
+    ranges.sort((a, b) => a[0] - b[0])
+    const parts = []
+    let cursor = 0
+    for (const [start, end] of ranges) {
+      if (end <= cursor) continue
+      const from = Math.max(start, cursor)
+      if (from > cursor) parts.push(text.slice(cursor, from))
+      parts.push(el('mark', { text: text.slice(from, end) }))
+      cursor = end
+    }
+    parts.push(text.slice(cursor))
+    return parts
+  }
+
+  // ── Keyboard ──
+
+  _handleInputKey(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      const top = this.results[0]
+      if (!top) return
+      if (e.shiftKey) this.travelTo(top)
+      else this.openDetails(top)
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      this.elements.results.querySelector('[data-action="open"]')?.focus()
+    }
+  }
+
+  /**
+   * ↑ / ↓ move between results in the same column; ↑ from the first goes
+   * back to the input
+   */
+  _handleResultsKey(e) {
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return
+    const action = e.target.dataset?.action
+    if (!action) return
+    e.preventDefault()
+
+    const buttons = [...this.elements.results.querySelectorAll(`[data-action="${action}"]`)]
+    const index = buttons.indexOf(e.target) + (e.key === 'ArrowDown' ? 1 : -1)
+    if (index < 0) this.elements.input.focus()
+    else buttons[Math.min(index, buttons.length - 1)].focus()
+  }
+
+  destroy() {
+    this.close()
+    this._unsubscribe.forEach(off => off?.())
+    window.removeEventListener('keydown', this._onKeyDown)
+    this.elements.button?.removeEventListener('click', this._onButton)
+    this.elements.close?.removeEventListener('click', this._onCloseClick)
+    this.elements.overlay?.removeEventListener('click', this._onOverlayClick)
+    this.elements.input?.removeEventListener('input', this._onInput)
+    this.elements.input?.removeEventListener('keydown', this._onInputKeyDown)
+    this.elements.results?.removeEventListener('keydown', this._onResultsKeyDown)
+  }
+}
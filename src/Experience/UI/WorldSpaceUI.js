@@ -501,6 +501,28 @@ export class WorldSpacePanel {
     this._renderContent()
   }
 
+  /**
+   * Change canvas pixels per unit and redraw
+   */
+  setResolution(resolution) {
+    if (resolution === this.config.resolution) return
+    this.config.resolution = resolution
+    this.canvas.width = Math.floor(this.config.width * resolution)
+    this.canvas.height = Math.floor(this.config.height * resolution)
+
+    // Texture storage is sized on upload, so drop the old one
+    this.texture.dispose()
+    this._renderContent()
+  }
+
+  /**
+   * Change cull distance (fade starts at the same ratio as the defaults)
+   */
+  setCullDistance(maxDistance) {
+    this.config.maxDistance = maxDistance
+    this.config.fadeDistance = maxDistance * 0.625
+  }
+
   /**
    * Get world position
    */
@@ -543,6 +565,9 @@ export class WorldSpaceUIManager {
     this.experience = new Experience()
     this.panels = new Map()
 
+    // Quality overrides applied to every panel (set by QualityManager)
+    this.quality = {}
+
     // Pre-allocated for updates
     this._tempVec = new THREE.Vector3()
   }
@@ -560,6 +585,7 @@ export class WorldSpaceUIManager {
     }
 
     const panel = new WorldSpacePanel(options)
+    this._applyQuality(panel)
     this.panels.set(id, panel)
 
     // Load thumbnail if provided
@@ -570,6 +596,25 @@ export class WorldSpaceUIManager {
     return panel
   }
 
+  /**
+   * Set canvas resolution and cull distance for all panels
+   * @param {{ resolution?: number, maxDistance?: number, fadeDistance?: number }} quality
+   */
+  setQuality(quality) {
+    Object.assign(this.quality, quality)
+    for (const panel of this.panels.values()) {
+      this._applyQuality(panel)
+    }
+  }
+
+  _applyQuality(panel) {
+    if (this.quality.resolution) panel.setResolution(this.quality.resolution)
+    if (this.quality.maxDistance) panel.setCullDistance(this.quality.maxDistance)
+    if (this.quality.fadeDistance !== undefined) {
+      panel.config.fadeDistance = Math.min(this.quality.fadeDistance, panel.config.maxDistance)
+    }
+  }
+
   /**
    * Get panel by ID
    */
@@ -1,4 +1,5 @@
 import { Experience } from './Experience.js'
+import { InputManager, ACTIONS, CLOSE_PRIORITY } from './Utils/InputManager.js'
 
 /**
  * UI Manager - Handles all glass UI interactions
@@ -25,10 +26,20 @@ export class UIManager {
       // Settings controls
       qualitySlider: document.getElementById('quality-slider'),
       qualityValue: document.getElementById('quality-value'),
+      toggleAutoQuality: document.getElementById('toggle-auto-quality'),
       volumeSlider: document.getElementById('volume-slider'),
       volumeValue: document.getElementById('volume-value'),
+      musicSlider: document.getElementById('music-slider'),
+      musicValue: document.getElementById('music-value'),
+      sfxSlider: document.getElementById('sfx-slider'),
+      sfxValue: document.getElementById('sfx-value'),
+      deadzoneSlider: document.getElementById('deadzone-slider'),
+      deadzoneValue: document.getElementById('deadzone-value'),
       toggleCycle: document.getElementById('toggle-cycle'),
       toggleFps: document.getElementById('toggle-fps'),
+      btnResetProgress: document.getElementById('btn-reset-progress'),
+      bindingList: document.getElementById('binding-list'),
+      btnResetBindings: document.getElementById('btn-reset-bindings'),
       
       // Portal UI
       portalUI: document.getElementById('portal-ui'),
@@ -48,7 +59,11 @@ export class UIManager {
       fpsCounter: document.getElementById('fps-counter'),
       
       // Notifications
-      notificationContainer: document.getElementById('notification-container')
+      notificationContainer: document.getElementById('notification-container'),
+
+      // Sprint stamina
+      staminaBar: document.getElementById('stamina-bar'),
+      staminaFill: document.getElementById('stamina-fill')
     }
 
     this.currentPortalData = null
@@ -56,6 +71,11 @@ export class UIManager {
     this.setupEventListeners()
     this.setupPortalEvents()
     this.setupEnvironmentToggle()
+    this.setupBindings()
+
+    // Quality tier was chosen before the UI existed
+    const quality = this.experience.qualityManager
+    if (quality) this.updateQualityDisplay(quality.tier, quality.auto)
   }
 
   /** Helper to add event listener with auto-tracking for cleanup */
@@ -110,10 +130,14 @@ export class UIManager {
 
     // Quality slider
     this._listen(this.elements.qualitySlider, 'input', (e) => {
-      const levels = ['Low', 'Medium', 'High']
-      const value = parseInt(e.target.value)
-      this.elements.qualityValue.textContent = levels[value]
-      this.setQuality(value)
+      this.setQuality(parseInt(e.target.value))
+    })
+
+    // Auto quality (FPS governor)
+    this._listen(this.elements.toggleAutoQuality, 'click', () => {
+      const enabled = this.elements.toggleAutoQuality.classList.toggle('active')
+      this.experience.qualityManager?.setAuto(enabled)
+      this.notify(enabled ? 'Auto quality on' : 'Auto quality off')
     })
 
     // Volume slider
@@ -123,6 +147,29 @@ export class UIManager {
       this.setVolume(value / 100)
     })
 
+    // Music / SFX bus sliders
+    this._listen(this.elements.musicSlider, 'input', (e) => {
+      const value = parseInt(e.target.value)
+      this.elements.musicValue.textContent = `${value}%`
+      this.experience.audioManager?.setMusicVolume(value / 100)
+      this.experience.persistence?.scheduleSave()
+    })
+
+    this._listen(this.elements.sfxSlider, 'input', (e) => {
+      const value = parseInt(e.target.value)
+      this.elements.sfxValue.textContent = `${value}%`
+      this.experience.audioManager?.setSfxVolume(value / 100)
+      this.experience.persistence?.scheduleSave()
+    })
+
+    // Gamepad stick deadzone
+    this._listen(this.elements.deadzoneSlider, 'input', (e) => {
+      const value = parseInt(e.target.value)
+      this.elements.deadzoneValue.textContent = `${value}%`
+      this.experience.gamepadControls?.setDeadzone(value / 100)
+      this.experience.persistence?.scheduleSave()
+    })
+
     // Toggle cycle
     this._listen(this.elements.toggleCycle, 'click', () => {
       this.elements.toggleCycle.classList.toggle('active')
@@ -133,6 +180,14 @@ export class UIManager {
     this._listen(this.elements.toggleFps, 'click', () => {
       this.elements.toggleFps.classList.toggle('active')
       this.toggleFpsDisplay()
+      this.experience.persistence?.scheduleSave()
+    })
+
+    // Reset exploration progress
+    this._listen(this.elements.btnResetProgress, 'click', () => {
+      if (!window.confirm('Forget visited zones, viewed projects and your saved position?')) return
+      this.experience.persistence?.resetProgress()
+      this.notify('Progress reset', 'info')
     })
 
     // Portal close
@@ -157,13 +212,96 @@ export class UIManager {
       }
     })
 
-    // Escape key to close panels
-    this._listen(document, 'keydown', (e) => {
-      if (e.key === 'Escape') {
-        this.closeAllPanels()
-        this.closeProjectModal()
+    // Close action (Escape / gamepad B) closes panels
+    this._offClose = this.experience.inputManager?.on('close', () => {
+      const open = [this.elements.timeControl, this.elements.settingsPanel].some(panel => panel?.classList.contains('visible')) ||
+        !!this.elements.projectModal?.classList.contains('active')
+      this.closeAllPanels()
+      this.closeProjectModal()
+      return open
+    }, { priority: CLOSE_PRIORITY.panels })
+  }
+
+  /**
+   * Build the key binding rows in the settings panel
+   */
+  setupBindings() {
+    const list = this.elements.bindingList
+    const input = this.experience.inputManager
+    if (!list || !input) return
+
+    for (const [action, { label, debug }] of Object.entries(ACTIONS)) {
+      if (debug && !this.experience.debug) continue
+
+      const row = document.createElement('div')
+      row.className = 'binding-row'
+
+      const name = document.createElement('span')
+      name.textContent = label
+      row.appendChild(name)
+
+      for (let slot = 0; slot < input.bindings[action].length; slot++) {
+        const button = document.createElement('button')
+        button.className = 'binding-slot'
+        button.dataset.action = action
+        button.dataset.slot = slot
+        row.appendChild(button)
+      }
+      list.appendChild(row)
+    }
+
+    this._listen(list, 'click', (e) => {
+      const button = e.target.closest('.binding-slot')
+      if (button) this.captureBinding(button)
+    })
+
+    this._listen(this.elements.btnResetBindings, 'click', () => {
+      input.resetBindings()
+      this.notify('Controls reset to defaults', 'info')
+    })
+
+    this._listen(window, 'inputBindingsChanged', () => this.updateBindingDisplay())
+    this.updateBindingDisplay()
+  }
+
+  /**
+   * Wait for the next key press and bind it to the clicked slot
+   */
+  captureBinding(button) {
+    const input = this.experience.inputManager
+    const { action } = button.dataset
+
+    // Keep Space/Enter from re-clicking the button once it's bound
+    button.blur()
+
+    input.startCapture(action, Number(button.dataset.slot), ({ code, displaced }) => {
+      button.classList.remove('listening')
+      this.updateBindingDisplay()
+      if (displaced) {
+        this.notify(`${InputManager.formatCode(code)} unbound from ${ACTIONS[displaced.action].label}`, 'info')
       }
     })
+
+    button.classList.add('listening')
+    button.textContent = 'Press a key…'
+  }
+
+  /**
+   * Refresh binding labels in the settings panel and on-screen instructions
+   */
+  updateBindingDisplay() {
+    const input = this.experience.inputManager
+    if (!input) return
+
+    this.elements.bindingList?.querySelectorAll('.binding-slot').forEach(button => {
+      const code = input.bindings[button.dataset.action]?.[Number(button.dataset.slot)]
+      button.textContent = InputManager.formatCode(code)
+      button.classList.toggle('empty', !code)
+    })
+
+    document.querySelectorAll('[data-binding]').forEach(key => {
+      key.textContent = input.getLabel(key.dataset.binding)
+    })
   }
 
   setupPortalEvents() {
@@ -217,39 +355,81 @@ export class UIManager {
     const env = this.experience.world?.environment
     if (env) {
       env.setPreset(preset)
+      this.experience.persistence?.scheduleSave()
     }
   }
 
+  /**
+   * Manual quality choice — overrides the FPS governor
+   */
   setQuality(level) {
-    const renderer = this.experience.renderer
-    if (!renderer) return
-
-    switch (level) {
-      case 0: // Low
-        renderer.instance.setPixelRatio(1)
-        if (this.experience.postProcessing) {
-          this.experience.postProcessing.bloomEffect.intensity = 0
-        }
-        break
-      case 1: // Medium
-        renderer.instance.setPixelRatio(Math.min(window.devicePixelRatio, 1.5))
-        if (this.experience.postProcessing) {
-          this.experience.postProcessing.bloomEffect.intensity = 0.3
-        }
-        break
-      case 2: // High
-        renderer.instance.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-        if (this.experience.postProcessing) {
-          this.experience.postProcessing.bloomEffect.intensity = 0.5
-        }
-        break
+    this.experience.qualityManager?.setManualTier(level)
+  }
+
+  /**
+   * Reflect the active quality tier in the settings panel
+   */
+  updateQualityDisplay(tier, auto) {
+    const levels = ['Low', 'Medium', 'High']
+    if (this.elements.qualitySlider) {
+      this.elements.qualitySlider.value = tier
+    }
+    if (this.elements.qualityValue) {
+      this.elements.qualityValue.textContent = auto ? `${levels[tier]} · Auto` : levels[tier]
     }
+    this.elements.toggleAutoQuality?.classList.toggle('active', auto)
+  }
+
+  /**
+   * Sync settings DOM and systems with a saved settings object
+   * @param {Object} settings - Persistence settings section
+   */
+  restoreSettings(settings) {
+    const { volume, timePreset, showFps, gamepadDeadzone } = settings
+    const audioManager = this.experience.audioManager
+
+    if (volume) {
+      const sliders = [
+        ['master', this.elements.volumeSlider, this.elements.volumeValue],
+        ['music', this.elements.musicSlider, this.elements.musicValue],
+        ['sfx', this.elements.sfxSlider, this.elements.sfxValue],
+      ]
+      for (const [bus, slider, label] of sliders) {
+        if (typeof volume[bus] !== 'number') continue
+        const percent = Math.round(volume[bus] * 100)
+        if (slider) slider.value = percent
+        if (label) label.textContent = `${percent}%`
+      }
+
+      if (audioManager) {
+        if (typeof volume.master === 'number') audioManager.setMasterVolume(volume.master)
+        if (typeof volume.music === 'number') audioManager.setMusicVolume(volume.music)
+        if (typeof volume.sfx === 'number') audioManager.setSfxVolume(volume.sfx)
+      }
+    }
+
+    if (typeof gamepadDeadzone === 'number') {
+      const percent = Math.round(gamepadDeadzone * 100)
+      if (this.elements.deadzoneSlider) this.elements.deadzoneSlider.value = percent
+      if (this.elements.deadzoneValue) this.elements.deadzoneValue.textContent = `${percent}%`
+      this.experience.gamepadControls?.setDeadzone(gamepadDeadzone)
+    }
+
+    if (timePreset) {
+      this.elements.timePresets?.forEach(p => {
+        p.classList.toggle('active', p.dataset.preset === timePreset)
+      })
+    }
+
+    this.elements.toggleFps?.classList.toggle('active', !!showFps)
+    this.elements.perfStats?.classList.toggle('visible', !!showFps)
   }
 
   setVolume(value) {
     const audioManager = this.experience.audioManager
     if (audioManager) {
       audioManager.setMasterVolume(value)
+      this.experience.persistence?.scheduleSave()
     }
     // Update UI regardless
     if (this.elements.volumeValue) {
@@ -258,8 +438,12 @@ export class UIManager {
   }
 
   toggleDayNightCycle() {
-    // Auto day/night cycle not yet implemented
-    this.notify('Auto cycle coming soon')
+    const env = this.experience.world?.environment
+    if (!env) return
+
+    const enabled = this.elements.toggleCycle?.classList.contains('active') ?? !env.cycle.enabled
+    env.setAutoCycle(enabled)
+    this.notify(enabled ? 'Day/night cycle on' : 'Day/night cycle off')
   }
 
   toggleFpsDisplay() {
@@ -333,6 +517,22 @@ export class UIManager {
     }, duration)
   }
 
+  /**
+   * Sprint stamina bar — hidden while full
+   * @param {number} ratio - 0..1
+   * @param {boolean} exhausted - Sprint locked until stamina recovers
+   */
+  updateStamina(ratio, exhausted) {
+    const percent = Math.round(ratio * 100)
+    if (percent === this._staminaPercent && exhausted === this._staminaExhausted) return
+    this._staminaPercent = percent
+    this._staminaExhausted = exhausted
+
+    if (this.elements.staminaFill) this.elements.staminaFill.style.width = `${percent}%`
+    this.elements.staminaBar?.classList.toggle('visible', percent < 100)
+    this.elements.staminaBar?.classList.toggle('exhausted', exhausted)
+  }
+
   /**
    * Update FPS counter
    */
@@ -343,6 +543,9 @@ export class UIManager {
   }
 
   destroy() {
+    this._offClose?.()
+    this.experience.inputManager?.cancelCapture()
+
     // Remove all tracked event listeners
     for (const { target, event, handler, options } of this._listeners) {
       target.removeEventListener(event, handler, options)
@@ -0,0 +1,224 @@
+import { Howl, Howler } from 'howler'
+import { Experience } from '../Experience.js'
+
+/**
+ * AudioManager — Howler-based sound system
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Provides:
+ * - Master / music / SFX volume buses and global mute
+ * - One-shot effects (footsteps, jump, portal, hover)
+ * - Looping ambient music bed
+ * - 3D positional emitters placed at zone landmarks
+ *
+ * Sound files live in public/sounds/ (see README there). Any file that is
+ * missing or fails to decode is marked unavailable and plays as silence.
+ */
+export class AudioManager {
+  constructor() {
+    this.experience = new Experience()
+
+    // Buses (0..1), combined with each sound's base volume
+    this.volumes = {
+      master: 0.7,
+      music: 0.5,
+      sfx: 0.8,
+    }
+    this.muted = false
+
+    // Sound definitions
+    const basePath = import.meta.env.BASE_URL || './'
+    this.definitions = {
+      step:     { src: `${basePath}sounds/step.mp3`, bus: 'sfx', volume: 0.35 },
+      jump:     { src: `${basePath}sounds/jump.mp3`, bus: 'sfx', volume: 0.6 },
+      portal:   { src: `${basePath}sounds/portal.mp3`, bus: 'sfx', volume: 0.8 },
+      hover:    { src: `${basePath}sounds/hover.mp3`, bus: 'sfx', volume: 0.3 },
+      ambient:  { src: `${basePath}sounds/ambient.mp3`, bus: 'music', volume: 0.6, loop: true },
+      landmark: { src: `${basePath}sounds/landmark.mp3`, bus: 'sfx', volume: 0.5, loop: true },
+    }
+
+    // Spatial settings for landmark emitters
+    this.spatial = {
+      refDistance: 4,
+      maxDistance: 60,
+      rolloffFactor: 1,
+    }
+
+    // State
+    this.sounds = {}
+    this.unavailable = new Set()
+    this.emitters = [] // { soundId, position }
+    this.ambientId = null
+
+    // Footstep throttle (seconds)
+    this.stepInterval = 0.18
+    this._lastStepTime = 0
+
+    Howler.volume(this.volumes.master)
+
+    this.loadSounds()
+    this.setListeners()
+    this.startAmbient()
+    this.rebuildEmitters()
+  }
+
+  loadSounds() {
+    for (const [name, def] of Object.entries(this.definitions)) {
+      this.sounds[name] = new Howl({
+        src: [def.src],
+        loop: def.loop ?? false,
+        volume: def.volume * this.volumes[def.bus],
+        preload: true,
+        onloaderror: () => {
+          // Degrade silently: the sound just never plays
+          this.unavailable.add(name)
+          this.sounds[name]?.unload()
+        },
+      })
+    }
+  }
+
+  setListeners() {
+    this._onHover = (e) => {
+      if (e.detail?.userData?.panelRef) this.play('hover')
+    }
+    this._onEnvironmentChanged = () => this.rebuildEmitters()
+
+    window.addEventListener('interactableHover', this._onHover)
+    window.addEventListener('environmentChanged', this._onEnvironmentChanged)
+  }
+
+  isAvailable(name) {
+    return !!this.sounds[name] && !this.unavailable.has(name)
+  }
+
+  /**
+   * Play a one-shot sound
+   * @param {string} name - Sound name from definitions
+   * @returns {number|null} Howler sound id
+   */
+  play(name) {
+    if (!this.isAvailable(name)) return null
+    return this.sounds[name].play()
+  }
+
+  /**
+   * Footstep with throttle so fast walk cycles don't stack
+   */
+  playFootstep() {
+    const now = performance.now() / 1000
+    if (now - this._lastStepTime < this.stepInterval) return
+    this._lastStepTime = now
+
+    const id = this.play('step')
+    if (id !== null) {
+      // Slight pitch variation so steps don't sound mechanical
+      this.sounds.step.rate(0.9 + Math.random() * 0.2, id)
+    }
+  }
+
+  startAmbient() {
+    if (!this.isAvailable('ambient') || this.ambientId !== null) return
+    // Howler unlocks the audio context on the first user gesture
+    this.ambientId = this.sounds.ambient.play()
+  }
+
+  /**
+   * Place looping positional emitters at the active environment's landmarks
+   */
+  rebuildEmitters() {
+    this.clearEmitters()
+
+    const env = this.experience.world?.activeEnvironment
+    if (!env?.landmarks || !this.isAvailable('landmark')) return
+
+    const sound = this.sounds.landmark
+    for (const landmark of env.landmarks) {
+      if (!landmark.userData?.zoneId) continue
+
+      const position = landmark.position.clone()
+      const soundId = sound.play()
+      sound.pos(position.x, position.y, position.z, soundId)
+      sound.pannerAttr({
+        panningModel: 'HRTF',
+        distanceModel: 'linear',
+        refDistance: this.spatial.refDistance,
+        maxDistance: this.spatial.maxDistance,
+        rolloffFactor: this.spatial.rolloffFactor,
+      }, soundId)
+
+      this.emitters.push({ soundId, position, zoneId: landmark.userData.zoneId })
+    }
+  }
+
+  clearEmitters() {
+    const sound = this.sounds.landmark
+    for (const emitter of this.emitters) {
+      sound?.stop(emitter.soundId)
+    }
+    this.emitters = []
+  }
+
+  // ── Buses ──
+
+  setMasterVolume(value) {
+    this.volumes.master = Math.max(0, Math.min(1, value))
+    Howler.volume(this.volumes.master)
+  }
+
+  setMusicVolume(value) {
+    this._setBusVolume('music', value)
+  }
+
+  setSfxVolume(value) {
+    this._setBusVolume('sfx', value)
+  }
+
+  _setBusVolume(bus, value) {
+    this.volumes[bus] = Math.max(0, Math.min(1, value))
+    for (const [name, def] of Object.entries(this.definitions)) {
+      if (def.bus === bus && this.isAvailable(name)) {
+        this.sounds[name].volume(def.volume * this.volumes[bus])
+      }
+    }
+  }
+
+  /**
+   * Toggle global mute
+   * @returns {boolean} Whether audio is now muted
+   */
+  toggleMute() {
+    this.setMuted(!this.muted)
+    return this.muted
+  }
+
+  setMuted(muted) {
+    this.muted = muted
+    Howler.mute(muted)
+  }
+
+  /**
+   * Sync the Web Audio listener with the camera every frame
+   */
+  update() {
+    const camera = this.experience.camera?.instance
+    if (!camera || !Howler.ctx) return
+
+    const p = camera.position
+    Howler.pos(p.x, p.y, p.z)
+
+    const e = camera.matrixWorld.elements
+    // Camera looks down -Z; up is +Y (columns of the world matrix)
+    Howler.orientation(-e[8], -e[9], -e[10], e[4], e[5], e[6])
+  }
+
+  destroy() {
+    window.removeEventListener('interactableHover', this._onHover)
+    window.removeEventListener('environmentChanged', this._onEnvironmentChanged)
+
+    this.clearEmitters()
+    for (const sound of Object.values(this.sounds)) {
+      sound.unload()
+    }
+    this.sounds = {}
+  }
+}
@@ -0,0 +1,289 @@
+import * as THREE from 'three'
+import * as CANNON from 'cannon-es'
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js'
+
+// Name tags → collider kind. Matched as whole tokens: "Tree_02_trunk", "Rock003", "ground-main"
+const NAME_TAGS = [
+  ['nocol', 'none'],
+  ['trunk', 'cylinder'],
+  ['rock', 'convex'],
+  ['ground', 'heightfield'],
+  ['terrain', 'heightfield'],
+  ['trimesh', 'trimesh'],
+  ['box', 'box'],
+].map(([tag, kind]) => [new RegExp(`(?:^|[_\\-\\s.])${tag}(?:$|[_\\-\\s.\\d])`, 'i'), kind])
+
+const PROXY_TAG = /(?:^|[_\-\s.])col(?:$|[_\-\s.\d])/i
+const KINDS = ['none', 'box', 'cylinder', 'convex', 'heightfield', 'trimesh']
+
+/**
+ * ColliderBuilder — Static cannon colliders generated from a loaded model
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Each mesh is classified by its (or an ancestor's) name or glTF extras, and
+ * falls back to a size heuristic when untagged:
+ *
+ *   userData.collider   'none' | 'box' | 'cylinder' | 'convex' | 'heightfield' | 'trimesh'
+ *                       (false = none); wins over name tags
+ *   _nocol              no collider
+ *   _trunk              upright cylinder fitted to the base of the mesh
+ *   _rock               convex hull
+ *   _ground / _terrain  heightfield sampled by raycasting the mesh from above
+ *   _box                box rotated with the mesh
+ *   _col                collision-only proxy: hidden, convex hull unless another tag says otherwise
+ *
+ * Untagged: tiny meshes are skipped, meshes covering most of the model become
+ * heightfields, meshes much narrower at the base than overall (trees) become
+ * cylinders, the rest rotated boxes.
+ *
+ * build() returns plain { kind, shape, position, quaternion } descriptors in
+ * world space, so callers can cache them and create bodies as needed.
+ */
+export class ColliderBuilder {
+  constructor(options = {}) {
+    this.settings = {
+      minSize: 0.5,                 // Untagged meshes smaller than this on every axis are skipped
+      groundCoverage: 0.4,          // Untagged footprint (fraction of the model) treated as ground
+      trunkSlice: 0.2,              // Base fraction of the height sampled for trunk radius
+      trunkRatio: 0.35,             // Base radius / half-width below which an untagged mesh is a tree
+      heightfieldSpacing: 1,        // Preferred distance between height samples
+      heightfieldMaxSamples: 64,    // Per axis, bounds raycast cost on big terrains
+      maxHullVertices: 64,          // Larger hulls fall back to a rotated box
+      ...options,
+    }
+
+    this._raycaster = new THREE.Raycaster()
+    this._down = new THREE.Vector3(0, -1, 0)
+  }
+
+  /**
+   * Tags for a mesh, looked up on the mesh first, then its ancestors
+   * @returns {{ kind: string|null, proxy: boolean }}
+   */
+  static readTags(object, root = null) {
+    let kind = null
+    let proxy = false
+
+    for (let node = object; node; node = node.parent) {
+      const data = node.userData?.collider
+      if (kind === null && data === false) kind = 'none'
+      if (kind === null && KINDS.includes(data)) kind = data
+
+      if (node.name) {
+        if (PROXY_TAG.test(node.name)) proxy = true
+        if (kind === null) kind = NAME_TAGS.find(([pattern]) => pattern.test(node.name))?.[1] ?? null
+      }
+
+      if (node === root) break
+    }
+
+    return { kind, proxy }
+  }
+
+  /**
+   * @param {THREE.Object3D} model - Placed where the colliders should end up
+   * @returns {Array<{ kind: string, shape: CANNON.Shape, position: CANNON.Vec3, quaternion: CANNON.Quaternion }>}
+   */
+  build(model) {
+    model.updateMatrixWorld(true)
+
+    const modelBox = new THREE.Box3().setFromObject(model)
+    const modelSize = modelBox.getSize(new THREE.Vector3())
+    const colliders = []
+
+    model.traverse((child) => {
+      if (!child.isMesh || !child.geometry?.attributes.position) return
+
+      const tags = ColliderBuilder.readTags(child, model)
+      const kind = tags.kind ?? (tags.proxy ? 'convex' : this._guessKind(child, modelSize))
+      if (kind === 'none') return
+
+      const collider = this._buildKind(kind, child)
+      if (collider) colliders.push(collider)
+    })
+
+    return colliders
+  }
+
+  _buildKind(kind, mesh) {
+    switch (kind) {
+      case 'box': return this._buildBox(mesh)
+      case 'cylinder': return this._buildCylinder(mesh)
+      case 'convex': return this._buildConvex(mesh) ?? this._buildBox(mesh)
+      case 'heightfield': return this._buildHeightfield(mesh)
+      case 'trimesh': return this._buildTrimesh(mesh)
+      default: return null
+    }
+  }
+
+  // ═══════════════════════════════════════
+  // CLASSIFICATION
+  // ═══════════════════════════════════════
+
+  _guessKind(mesh, modelSize) {
+    const box = new THREE.Box3().setFromObject(mesh)
+    const size = box.getSize(new THREE.Vector3())
+    const { minSize, groundCoverage, trunkRatio } = this.settings
+
+    if (size.x < minSize && size.y < minSize && size.z < minSize) return 'none'
+
+    if (size.x >= modelSize.x * groundCoverage && size.z >= modelSize.z * groundCoverage) return 'heightfield'
+
+    // Narrow base under a wide top: a tree, collide with the trunk only
+    const halfWidth = Math.max(size.x, size.z) / 2
+    if (size.y > halfWidth && this._measureBase(mesh).radius < halfWidth * trunkRatio) return 'cylinder'
+
+    return 'box'
+  }
+
+  _worldVertices(mesh) {
+    const position = mesh.geometry.attributes.position
+    const points = []
+    for (let i = 0; i < position.count; i++) {
+      points.push(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld))
+    }
+    return points
+  }
+
+  /**
+   * Centre and radius of the lowest slice of the mesh, in world space
+   */
+  _measureBase(mesh) {
+    const points = this._worldVertices(mesh)
+    let minY = Infinity
+    let maxY = -Infinity
+    for (const p of points) {
+      minY = Math.min(minY, p.y)
+      maxY = Math.max(maxY, p.y)
+    }
+
+    const sliceTop = minY + (maxY - minY) * this.settings.trunkSlice
+    const slice = points.filter(p => p.y <= sliceTop)
+    const center = new THREE.Vector2() // x, z
+    for (const p of slice) {
+      center.x += p.x
+      center.y += p.z
+    }
+    center.divideScalar(slice.length)
+
+    let radius = 0
+    for (const p of slice) radius = Math.max(radius, Math.hypot(p.x - center.x, p.z - center.y))
+
+    return { center, radius, minY, maxY }
+  }
+
+  // ═══════════════════════════════════════
+  // SHAPES
+  // ═══════════════════════════════════════
+
+  _buildBox(mesh) {
+    const geometry = mesh.geometry
+    if (!geometry.boundingBox) geometry.computeBoundingBox()
+
+    const position = new THREE.Vector3()
+    const quaternion = new THREE.Quaternion()
+    const scale = new THREE.Vector3()
+    mesh.matrixWorld.decompose(position, quaternion, scale)
+
+    const size = geometry.boundingBox.getSize(new THREE.Vector3())
+    const center = geometry.boundingBox.getCenter(new THREE.Vector3()).applyMatrix4(mesh.matrixWorld)
+    const half = (axis) => Math.max(Math.abs(size[axis] * scale[axis]) / 2, 0.05)
+
+    return {
+      kind: 'box',
+      shape: new CANNON.Box(new CANNON.Vec3(half('x'), half('y'), half('z'))),
+      position: new CANNON.Vec3(center.x, center.y, center.z),
+      quaternion: new CANNON.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w),
+    }
+  }
+
+  _buildCylinder(mesh) {
+    const { center, radius, minY, maxY } = this._measureBase(mesh)
+    const height = Math.max(maxY - minY, 0.1)
+    const r = Math.max(radius, 0.1)
+
+    return {
+      kind: 'cylinder',
+      shape: new CANNON.Cylinder(r, r, height, 8),
+      position: new CANNON.Vec3(center.x, minY + height / 2, center.y),
+      quaternion: new CANNON.Quaternion(),
+    }
+  }
+
+  _buildConvex(mesh) {
+    const hull = new ConvexHull().setFromPoints(this._worldVertices(mesh))
+
+    // hull.vertices holds every input point; the hull itself is what the faces use
+    const loops = hull.faces.map((face) => {
+      const loop = []
+      let edge = face.edge
+      do {
+        loop.push(edge.head())
+        edge = edge.next
+      } while (edge !== face.edge)
+      return loop
+    })
+    const nodes = [...new Set(loops.flat())]
+    if (nodes.length < 4 || nodes.length > this.settings.maxHullVertices) return null
+
+    // Vertices relative to the hull centre, faces wound CCW from outside
+    const center = new THREE.Box3().setFromPoints(nodes.map(v => v.point)).getCenter(new THREE.Vector3())
+    const indexOf = new Map(nodes.map((v, i) => [v, i]))
+    const vertices = nodes.map(v => new CANNON.Vec3(v.point.x - center.x, v.point.y - center.y, v.point.z - center.z))
+    const faces = loops.map(loop => loop.map(v => indexOf.get(v)))
+
+    return {
+      kind: 'convex',
+      shape: new CANNON.ConvexPolyhedron({ vertices, faces }),
+      position: new CANNON.Vec3(center.x, center.y, center.z),
+      quaternion: new CANNON.Quaternion(),
+    }
+  }
+
+  _buildHeightfield(mesh) {
+    const box = new THREE.Box3().setFromObject(mesh)
+    const width = box.max.x - box.min.x
+    const depth = box.max.z - box.min.z
+    const { heightfieldSpacing, heightfieldMaxSamples } = this.settings
+    const elementSize = Math.max(heightfieldSpacing, Math.max(width, depth) / (heightfieldMaxSamples - 1))
+    const cols = Math.ceil(width / elementSize) + 1
+    const rows = Math.ceil(depth / elementSize) + 1
+
+    // Rotated -90° about X: local x → world x, local y → world -z, local z (height) → world y
+    const origin = new THREE.Vector3()
+    const data = []
+    this._raycaster.far = box.max.y - box.min.y + 2
+    for (let xi = 0; xi < cols; xi++) {
+      const column = []
+      for (let yi = 0; yi < rows; yi++) {
+        origin.set(box.min.x + xi * elementSize, box.max.y + 1, box.max.z - yi * elementSize)
+        this._raycaster.set(origin, this._down)
+        const hit = this._raycaster.intersectObject(mesh, false)[0]
+        column.push(hit ? hit.point.y : box.min.y)
+      }
+      data.push(column)
+    }
+
+    const quaternion = new CANNON.Quaternion()
+    quaternion.setFromEuler(-Math.PI / 2, 0, 0)
+
+    return {
+      kind: 'heightfield',
+      shape: new CANNON.Heightfield(data, { elementSize }),
+      position: new CANNON.Vec3(box.min.x, 0, box.max.z),
+      quaternion,
+    }
+  }
+
+  _buildTrimesh(mesh) {
+    const vertices = this._worldVertices(mesh).flatMap(p => [p.x, p.y, p.z])
+    const index = mesh.geometry.index
+    const indices = index ? Array.from(index.array) : Array.from({ length: vertices.length / 3 }, (_, i) => i)
+
+    return {
+      kind: 'trimesh',
+      shape: new CANNON.Trimesh(vertices, indices),
+      position: new CANNON.Vec3(),
+      quaternion: new CANNON.Quaternion(),
+    }
+  }
+}
@@ -0,0 +1,170 @@
+import { Experience } from '../Experience.js'
+
+/**
+ * Gamepad controls (Gamepad API, standard mapping)
+ * Polled once per frame. Sticks are read as analog `input`; buttons feed
+ * InputManager actions (held state via isActionDown, presses via trigger).
+ *
+ * Left stick   → movement (merged in InputManager.getMoveAxis)
+ * Right stick  → camera orbit (merged in ThirdPersonCamera.follow)
+ * LT / RT      → zoom out / in
+ * A → jump · LB → sprint · X → interact · Y → overview · B → close
+ */
+export class GamepadControls {
+  constructor() {
+    this.experience = new Experience()
+
+    // State
+    this.isEnabled = false
+    this.gamepadIndex = null
+    this._prevButtons = []
+
+    // Standard mapping button indices
+    this.buttons = { A: 0, B: 1, X: 2, Y: 3, LB: 4, LT: 6, RT: 7 }
+
+    // Button → InputManager action
+    this.actionButtons = { jump: 'A', sprint: 'LB', interact: 'X', overview: 'Y', close: 'B' }
+    this.actions = {} // action → held
+
+    // Settings
+    this.settings = {
+      deadzone: 0.15,         // Stick radial deadzone (0..1)
+      triggerDeadzone: 0.05,
+      lookSpeed: 2.5,         // Radians per second at full tilt
+      zoomSpeed: 1.2,         // Fraction of distance per second at full pull
+      invertY: false,
+    }
+
+    // Current analog input (read by InputManager / ThirdPersonCamera)
+    this.input = {
+      moveX: 0,
+      moveY: 0,
+      cameraX: 0,
+      cameraY: 0,
+    }
+
+    this.setupEventListeners()
+  }
+
+  setupEventListeners() {
+    this._onConnected = (e) => {
+      if (this.gamepadIndex === null) this._attach(e.gamepad)
+      this.experience.uiManager?.notify(`🎮 Controller connected: ${this._shortName(e.gamepad.id)}`, 'success')
+    }
+    this._onDisconnected = (e) => {
+      if (e.gamepad.index === this.gamepadIndex) {
+        this._detach()
+        // Fall back to another pad that's still plugged in
+        const other = Array.from(navigator.getGamepads?.() ?? []).find(pad => pad?.connected)
+        if (other) this._attach(other)
+      }
+      this.experience.uiManager?.notify('🎮 Controller disconnected', 'info')
+    }
+
+    window.addEventListener('gamepadconnected', this._onConnected)
+    window.addEventListener('gamepaddisconnected', this._onDisconnected)
+  }
+
+  _attach(gamepad) {
+    this.gamepadIndex = gamepad.index
+    this.isEnabled = true
+    this._prevButtons = gamepad.buttons.map(b => b.pressed)
+    console.log(`🎮 Gamepad ${gamepad.index} attached (${gamepad.mapping || 'non-standard'} mapping)`)
+  }
+
+  _detach() {
+    this.gamepadIndex = null
+    this.isEnabled = false
+    this._resetInput()
+  }
+
+  _resetInput() {
+    this.input.moveX = 0
+    this.input.moveY = 0
+    this.input.cameraX = 0
+    this.input.cameraY = 0
+    this.actions = {}
+  }
+
+  _shortName(id) {
+    // Browsers append vendor/product info in parentheses
+    return id.replace(/\s*\(.*\)\s*$/, '') || 'Gamepad'
+  }
+
+  setDeadzone(value) {
+    this.settings.deadzone = Math.max(0, Math.min(0.9, value))
+  }
+
+  /**
+   * Radial deadzone, rescaled so output still ramps from 0 to 1
+   */
+  _applyDeadzone(x, y) {
+    const magnitude = Math.hypot(x, y)
+    const dz = this.settings.deadzone
+    if (magnitude < dz) return [0, 0]
+
+    const scaled = Math.min(1, (magnitude - dz) / (1 - dz))
+    return [(x / magnitude) * scaled, (y / magnitude) * scaled]
+  }
+
+  _pressed(gamepad, button) {
+    return !!gamepad.buttons[button]?.pressed
+  }
+
+  _justPressed(gamepad, button) {
+    return this._pressed(gamepad, button) && !this._prevButtons[button]
+  }
+
+  isActionDown(action) {
+    return !!this.actions[action]
+  }
+
+  _trigger(gamepad, button) {
+    const value = gamepad.buttons[button]?.value ?? 0
+    return value > this.settings.triggerDeadzone ? value : 0
+  }
+
+  /**
+   * Poll the pad and dispatch button actions
+   * @param {number} deltaTime - Seconds since last frame
+   */
+  update(deltaTime) {
+    if (!this.isEnabled) return
+
+    const gamepad = navigator.getGamepads?.()[this.gamepadIndex]
+    if (!gamepad) {
+      this._resetInput()
+      return
+    }
+
+    // Sticks (screen-down is +Y on the pad; forward is +moveY for Player)
+    const [lx, ly] = this._applyDeadzone(gamepad.axes[0] ?? 0, gamepad.axes[1] ?? 0)
+    const [rx, ry] = this._applyDeadzone(gamepad.axes[2] ?? 0, gamepad.axes[3] ?? 0)
+    const look = this.settings.lookSpeed * deltaTime
+
+    this.input.moveX = lx
+    this.input.moveY = -ly
+    this.input.cameraX = rx * look
+    this.input.cameraY = (this.settings.invertY ? -ry : ry) * look
+
+    // Triggers: RT zooms in, LT zooms out
+    const inputManager = this.experience.inputManager
+    const zoom = this._trigger(gamepad, this.buttons.LT) - this._trigger(gamepad, this.buttons.RT)
+    if (zoom !== 0 && !inputManager?.isSuspended) this.experience.camera?.thirdPerson?.zoom(zoom * this.settings.zoomSpeed * deltaTime)
+
+    // Buttons → actions
+    for (const [action, name] of Object.entries(this.actionButtons)) {
+      const button = this.buttons[name]
+      this.actions[action] = this._pressed(gamepad, button)
+      if (this._justPressed(gamepad, button)) inputManager?.trigger(action, 'gamepad')
+    }
+
+    this._prevButtons = gamepad.buttons.map(b => b.pressed)
+  }
+
+  destroy() {
+    window.removeEventListener('gamepadconnected', this._onConnected)
+    window.removeEventListener('gamepaddisconnected', this._onDisconnected)
+    this._detach()
+  }
+}
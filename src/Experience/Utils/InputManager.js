@@ -0,0 +1,418 @@
+import { Experience } from '../Experience.js'
+
+/**
+ * Named actions and their default bindings (up to two per action).
+ * Codes are KeyboardEvent.code values, or Mouse1/Mouse3/Mouse4 for the
+ * middle and side mouse buttons. `debug` actions are only listed in the
+ * settings under #debug.
+ */
+export const ACTIONS = {
+  moveForward:  { label: 'Move Forward',        keys: ['KeyW', 'ArrowUp'] },
+  moveBackward: { label: 'Move Backward',       keys: ['KeyS', 'ArrowDown'] },
+  moveLeft:     { label: 'Move Left',           keys: ['KeyA', 'ArrowLeft'] },
+  moveRight:    { label: 'Move Right',          keys: ['KeyD', 'ArrowRight'] },
+  jump:         { label: 'Jump',                keys: ['Space'] },
+  sprint:       { label: 'Sprint',              keys: ['ShiftLeft', 'ShiftRight'] },
+  interact:     { label: 'Interact',            keys: ['KeyE'] },
+  overview:     { label: 'Bird\'s-eye View',    keys: ['KeyF'] },
+  map:          { label: 'World Map',           keys: ['KeyM'] },
+  tour:         { label: 'Guided Tour',         keys: ['KeyT'] },
+  tourNext:     { label: 'Tour: Next Stop',     keys: ['KeyN'] },
+  tourPrevious: { label: 'Tour: Previous Stop', keys: ['KeyB'] },
+  search:       { label: 'Search Projects',     keys: ['Slash'] },
+  physicsDebug: { label: 'Physics Debug Overlay', keys: ['Backquote'], debug: true },
+  close:        { label: 'Close / Back',        keys: ['Escape'] },
+}
+
+/**
+ * `close` handler priorities: the topmost open layer gets Esc / gamepad B
+ * first and returns true to consume it, so one press closes one layer
+ */
+export const CLOSE_PRIORITY = {
+  detailView: 40,  // Detail overlay (an open lightbox inside it closes first)
+  overlay: 30,     // Search palette, world map
+  panels: 20,      // HUD settings / time panels, portal project modal
+  tour: 10,        // Guided tour
+}
+
+const SLOTS = 2
+const BINDABLE_MOUSE_BUTTONS = [1, 3, 4]
+
+const KEY_LABELS = {
+  Space: 'Space',
+  Escape: 'Esc',
+  Enter: 'Enter',
+  Tab: 'Tab',
+  Backquote: '`',
+  Minus: '-',
+  Equal: '=',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backslash: '\\',
+  Semicolon: ';',
+  Quote: '\'',
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ShiftLeft: 'Shift',
+  ShiftRight: 'R-Shift',
+  ControlLeft: 'Ctrl',
+  ControlRight: 'R-Ctrl',
+  AltLeft: 'Alt',
+  AltRight: 'R-Alt',
+  Mouse1: 'Middle Click',
+  Mouse3: 'Mouse 4',
+  Mouse4: 'Mouse 5',
+}
+
+/**
+ * InputManager — Maps physical inputs to named actions
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Sources:
+ * - Keyboard / mouse buttons → rebindable bindings (saved via Persistence)
+ * - Touch → TouchControls joystick, jump and action buttons
+ * - Gamepad → GamepadControls sticks and buttons
+ *
+ * Systems either poll (`isDown`, `getMoveAxis`) or subscribe to presses
+ * (`on(action, cb)`, which returns an unsubscribe function). Keys typed into
+ * form fields are ignored, except for `close`.
+ *
+ * Handlers run highest `priority` first (newest first on ties); one that
+ * returns true consumes the press and later handlers don't see it.
+ *
+ * While suspended (e.g. a modal dialog is open) every source reads as idle
+ * and only `close` still fires; keys reach the page untouched.
+ *
+ * Fires `inputBindingsChanged` on window whenever a binding changes.
+ */
+export class InputManager {
+  constructor() {
+    this.experience = new Experience()
+
+    // State
+    this.bindings = {}     // action → [code|null, code|null]
+    this.held = new Set()  // codes currently held
+    this._handlers = {}    // action → [{ callback, priority }], in call order
+    this._capture = null   // { action, slot, callback } while rebinding
+    this._suspended = new Set() // keys of whoever suspended input
+    this._axis = { x: 0, y: 0 }
+
+    this.load()
+    this._setListeners()
+  }
+
+  // ── Bindings ──
+
+  load() {
+    const saved = this.experience.persistence?.data.settings.keyBindings ?? {}
+
+    for (const [action, { keys }] of Object.entries(ACTIONS)) {
+      const codes = Array.isArray(saved[action]) ? saved[action] : keys
+      this.bindings[action] = Array.from({ length: SLOTS }, (_, i) => (typeof codes[i] === 'string' ? codes[i] : null))
+    }
+  }
+
+  /**
+   * Bindings that differ from the defaults (null when nothing is customised)
+   */
+  getCustomBindings() {
+    const custom = {}
+    for (const [action, codes] of Object.entries(this.bindings)) {
+      const defaults = ACTIONS[action].keys
+      if (codes.some((code, i) => code !== (defaults[i] ?? null))) custom[action] = [...codes]
+    }
+    return Object.keys(custom).length > 0 ? custom : null
+  }
+
+  /**
+   * Bind a code to an action slot; the code is removed from wherever else it was bound
+   * @returns {{ action: string, slot: number }|null} The binding that lost the code
+   */
+  setBinding(action, slot, code) {
+    if (!this.bindings[action]) return null
+
+    let displaced = null
+    for (const [other, codes] of Object.entries(this.bindings)) {
+      const index = codes.indexOf(code)
+      if (index !== -1 && !(other === action && index === slot)) {
+        codes[index] = null
+        if (other !== action) displaced = { action: other, slot: index }
+      }
+    }
+
+    this.bindings[action][slot] = code
+    this._onBindingsChanged()
+    return displaced
+  }
+
+  clearBinding(action, slot) {
+    if (!this.bindings[action]) return
+    this.bindings[action][slot] = null
+    this._onBindingsChanged()
+  }
+
+  resetBindings() {
+    for (const [action, { keys }] of Object.entries(ACTIONS)) {
+      this.bindings[action] = Array.from({ length: SLOTS }, (_, i) => keys[i] ?? null)
+    }
+    this._onBindingsChanged()
+  }
+
+  _onBindingsChanged() {
+    this.held.clear()
+    window.dispatchEvent(new CustomEvent('inputBindingsChanged', { detail: { bindings: this.bindings } }))
+    this.experience.persistence?.scheduleSave()
+  }
+
+  /**
+   * Human-readable name for a binding code
+   */
+  static formatCode(code) {
+    if (!code) return '—'
+    if (KEY_LABELS[code]) return KEY_LABELS[code]
+    if (code.startsWith('Key')) return code.slice(3)
+    if (code.startsWith('Digit')) return code.slice(5)
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`
+    return code
+  }
+
+  /**
+   * Label for an action's first bound code (e.g. "E" for interact)
+   */
+  getLabel(action) {
+    const code = this.bindings[action]?.find(Boolean)
+    return InputManager.formatCode(code)
+  }
+
+  // ── Rebinding ──
+
+  /**
+   * Wait for the next key or mouse button and bind it to an action slot.
+   * Escape or a left click cancels; Backspace/Delete clears the slot.
+   * @param {Function} callback - Receives { status: 'bound'|'cleared'|'cancelled', code, displaced }
+   */
+  startCapture(action, slot, callback) {
+    this.cancelCapture()
+    this._capture = { action, slot, callback }
+  }
+
+  cancelCapture() {
+    if (!this._capture) return
+    const { callback } = this._capture
+    this._capture = null
+    callback?.({ status: 'cancelled' })
+  }
+
+  get isCapturing() {
+    return this._capture !== null
+  }
+
+  _completeCapture(code) {
+    const { action, slot, callback } = this._capture
+    this._capture = null
+
+    if (code === 'Backspace' || code === 'Delete') {
+      this.clearBinding(action, slot)
+      callback?.({ status: 'cleared' })
+      return
+    }
+
+    const displaced = this.setBinding(action, slot, code)
+    callback?.({ status: 'bound', code, displaced })
+  }
+
+  // ── Suspension ──
+
+  /**
+   * Stop game input until every caller has resumed
+   * @param {string} key - Identifies the caller (e.g. one per open dialog)
+   */
+  suspend(key) {
+    this._suspended.add(key)
+    this.held.clear()
+  }
+
+  resume(key) {
+    this._suspended.delete(key)
+  }
+
+  get isSuspended() {
+    return this._suspended.size > 0
+  }
+
+  // ── Actions ──
+
+  /**
+   * Subscribe to presses of an action
+   * @param {string} action
+   * @param {Function} callback - Return true to consume the press
+   * @param {{ priority?: number }} [options] - Higher runs first (see CLOSE_PRIORITY)
+   * @returns {Function} Unsubscribe
+   */
+  on(action, callback, { priority = 0 } = {}) {
+    const handlers = (this._handlers[action] ??= [])
+    const entry = { callback, priority }
+    const index = handlers.findIndex(other => other.priority <= priority)
+    handlers.splice(index === -1 ? handlers.length : index, 0, entry)
+
+    return () => {
+      const list = this._handlers[action]
+      const at = list?.indexOf(entry) ?? -1
+      if (at !== -1) list.splice(at, 1)
+    }
+  }
+
+  /**
+   * Fire an action press (also used by touch and gamepad sources)
+   * @param {string} action
+   * @param {string} source - 'keyboard' | 'pointer' | 'touch' | 'gamepad'
+   */
+  trigger(action, source = 'keyboard') {
+    if (this.isSuspended && action !== 'close') return
+    const handlers = this._handlers[action]
+    if (!handlers) return
+    for (const { callback } of [...handlers]) {
+      if (callback({ action, source }) === true) return
+    }
+  }
+
+  /**
+   * Is the action held on any source?
+   */
+  isDown(action) {
+    if (this.isSuspended) return false
+    if (this.bindings[action]?.some(code => code && this.held.has(code))) return true
+
+    const gamepad = this.experience.gamepadControls
+    if (gamepad?.isEnabled && gamepad.isActionDown(action)) return true
+
+    const touch = this.experience.touchControls
+    if (action === 'jump' && touch?.isEnabled && touch.jumpRequested) return true
+
+    return false
+  }
+
+  /**
+   * Combined movement input: x = right, y = forward. Digital keys give ±1 per
+   * axis; analog sources are added on top.
+   */
+  getMoveAxis() {
+    const axis = this._axis
+    axis.x = 0
+    axis.y = 0
+    if (this.isSuspended) return axis
+
+    if (this.isDown('moveForward')) axis.y += 1
+    if (this.isDown('moveBackward')) axis.y -= 1
+    if (this.isDown('moveLeft')) axis.x -= 1
+    if (this.isDown('moveRight')) axis.x += 1
+
+    const touch = this.experience.touchControls
+    if (touch?.isEnabled && touch.moveJoystick.active) {
+      const { moveX, moveY } = touch.getInput()
+      axis.x += moveX
+      axis.y += moveY
+    }
+
+    const gamepad = this.experience.gamepadControls
+    if (gamepad?.isEnabled) {
+      axis.x += gamepad.input.moveX
+      axis.y += gamepad.input.moveY
+    }
+
+    return axis
+  }
+
+  // ── DOM listeners ──
+
+  _actionsFor(code) {
+    const actions = []
+    for (const [action, codes] of Object.entries(this.bindings)) {
+      if (codes.includes(code)) actions.push(action)
+    }
+    return actions
+  }
+
+  _isEditable(target) {
+    const tag = target?.tagName
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || !!target?.isContentEditable
+  }
+
+  _setListeners() {
+    this._onKeyDown = (e) => {
+      if (this._capture) {
+        e.preventDefault()
+        e.stopPropagation()
+        if (e.code === 'Escape') this.cancelCapture()
+        else this._completeCapture(e.code)
+        return
+      }
+
+      // Leave browser/OS shortcuts alone
+      if (e.ctrlKey || e.metaKey || e.altKey) return
+
+      let actions = this._actionsFor(e.code)
+      if (actions.length === 0) return
+
+      if (this._isEditable(e.target) || this.isSuspended) {
+        actions = actions.filter(action => action === 'close')
+        if (actions.length === 0) return
+      } else {
+        this.held.add(e.code)
+        if (e.code !== 'Escape') e.preventDefault()
+      }
+
+      if (e.repeat) return
+      for (const action of actions) this.trigger(action, 'keyboard')
+    }
+
+    this._onKeyUp = (e) => this.held.delete(e.code)
+
+    this._onPointerDown = (e) => {
+      if (this._capture) {
+        if (BINDABLE_MOUSE_BUTTONS.includes(e.button)) {
+          e.preventDefault()
+          this._completeCapture(`Mouse${e.button}`)
+        } else if (e.button === 0 && !e.target?.closest?.('.binding-slot')) {
+          this.cancelCapture()
+        }
+        return
+      }
+
+      const code = `Mouse${e.button}`
+      const actions = this._actionsFor(code)
+      if (actions.length === 0 || this.isSuspended) return
+
+      this.held.add(code)
+      for (const action of actions) this.trigger(action, 'pointer')
+    }
+
+    this._onPointerUp = (e) => this.held.delete(`Mouse${e.button}`)
+
+    // Keys released while the tab is in the background never fire keyup
+    this._onBlur = () => this.held.clear()
+
+    // Window-level capture so events arrive even if focus is elsewhere
+    window.addEventListener('keydown', this._onKeyDown, true)
+    window.addEventListener('keyup', this._onKeyUp, true)
+    window.addEventListener('pointerdown', this._onPointerDown, true)
+    window.addEventListener('pointerup', this._onPointerUp, true)
+    window.addEventListener('blur', this._onBlur)
+  }
+
+  destroy() {
+    window.removeEventListener('keydown', this._onKeyDown, true)
+    window.removeEventListener('keyup', this._onKeyUp, true)
+    window.removeEventListener('pointerdown', this._onPointerDown, true)
+    window.removeEventListener('pointerup', this._onPointerUp, true)
+    window.removeEventListener('blur', this._onBlur)
+    this._handlers = {}
+    this._capture = null
+    this._suspended.clear()
+    this.held.clear()
+  }
+}
@@ -0,0 +1,251 @@
+import { Experience } from '../Experience.js'
+
+const STORAGE_KEY = 'tobatech.save'
+const LEGACY_QUALITY_KEY = 'tobatech.quality'
+
+export const SAVE_VERSION = 1
+
+/**
+ * Migration hook — each entry upgrades a save from version N to N + 1.
+ * Add a new entry (and bump SAVE_VERSION) whenever the save shape changes.
+ */
+const MIGRATIONS = {
+  // v0 → v1: only the quality tier was stored, under its own key
+  0: (data) => ({
+    version: 1,
+    settings: { quality: data.quality ?? null },
+    progress: {},
+  }),
+}
+
+const defaultSave = () => ({
+  version: SAVE_VERSION,
+  settings: {
+    quality: null,       // { tier, auto } — null lets QualityManager decide
+    volume: null,        // { master, music, sfx } — null keeps AudioManager defaults
+    timePreset: null,
+    showFps: false,
+    gamepadDeadzone: null,
+    keyBindings: null,   // { action: [code, code] } — only actions changed from the defaults
+  },
+  progress: {
+    visitedZones: ['HUB'],
+    visitedProjects: [],
+    lastPosition: null,  // { x, y, z } in the test world
+  },
+  contact: {
+    draft: null,         // Unsent contact form values
+    sent: [],            // Send times (ms) in the last hour, for rate limiting
+  },
+})
+
+/**
+ * Persistence — Versioned localStorage save
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Stores settings (quality, volume, time of day, FPS toggle, gamepad
+ * deadzone, key bindings) and exploration progress (visited zones/projects,
+ * last safe player position), plus the contact form draft and recent send
+ * times (owned by ContactService).
+ *
+ * Lifecycle:
+ * - Constructed before World so systems can seed themselves from `data`
+ * - restore() runs once the UI exists and pushes settings to DOM and systems
+ * - Saves are debounced; the player position is sampled while grounded and
+ *   written every few seconds and when the page is hidden
+ */
+export class Persistence {
+  constructor() {
+    this.experience = new Experience()
+
+    this.autosaveInterval = 5 // seconds
+    this._autosaveTimer = 0
+    this._saveTimeout = null
+    this._lastSafePosition = null
+
+    this.data = this.load()
+
+    this._onZoneChange = () => this.scheduleSave()
+    this._onPageHide = () => this.save()
+    this._onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') this.save()
+    }
+
+    window.addEventListener('zoneChange', this._onZoneChange)
+    window.addEventListener('pagehide', this._onPageHide)
+    document.addEventListener('visibilitychange', this._onVisibilityChange)
+  }
+
+  /**
+   * Read, migrate and merge the stored save with defaults
+   */
+  load() {
+    let data = null
+
+    try {
+      data = JSON.parse(localStorage.getItem(STORAGE_KEY))
+
+      // Saves from before versioning
+      if (!data) {
+        const legacyQuality = JSON.parse(localStorage.getItem(LEGACY_QUALITY_KEY))
+        if (legacyQuality) data = { version: 0, quality: legacyQuality }
+      }
+    } catch (err) {
+      console.warn('⚠️ Save data unreadable, starting fresh')
+      data = null
+    }
+
+    if (!data || typeof data.version !== 'number') return defaultSave()
+
+    if (data.version > SAVE_VERSION) {
+      console.warn(`⚠️ Save v${data.version} is newer than this build (v${SAVE_VERSION}), ignoring it`)
+      return defaultSave()
+    }
+
+    while (data.version < SAVE_VERSION) {
+      const migrate = MIGRATIONS[data.version]
+      if (!migrate) {
+        console.warn(`⚠️ No migration from save v${data.version}, starting fresh`)
+        return defaultSave()
+      }
+      data = migrate(data)
+      console.log(`💾 Save migrated to v${data.version}`)
+    }
+
+    try {
+      localStorage.removeItem(LEGACY_QUALITY_KEY)
+    } catch (err) {
+      // Storage unavailable
+    }
+
+    const defaults = defaultSave()
+    return {
+      version: SAVE_VERSION,
+      settings: { ...defaults.settings, ...data.settings },
+      progress: { ...defaults.progress, ...data.progress },
+      contact: { ...defaults.contact, ...data.contact },
+    }
+  }
+
+  /**
+   * Apply saved settings and position (called once after UIManager exists)
+   */
+  restore() {
+    const { settings, progress } = this.data
+
+    this.experience.uiManager?.restoreSettings(settings)
+
+    const env = this.experience.world?.environment
+    if (settings.timePreset && env) {
+      env.setPreset(settings.timePreset, false)
+    }
+
+    const world = this.experience.world
+    if (progress.lastPosition && world?.activeMode === 'test') {
+      const { x, y, z } = progress.lastPosition
+      world.player.teleport({ x, y: y + 0.5, z })
+      this._lastSafePosition = { x, y, z }
+    }
+
+    console.log(`💾 Progress restored — ${progress.visitedZones.length} zones, ${progress.visitedProjects.length} projects visited`)
+  }
+
+  /**
+   * Gather current values from every system
+   */
+  snapshot() {
+    const world = this.experience.world
+    const showcase = world?.portfolioShowcase
+    const audio = this.experience.audioManager
+    const quality = this.experience.qualityManager
+    const input = this.experience.inputManager
+    const prev = this.data
+
+    return {
+      version: SAVE_VERSION,
+      settings: {
+        quality: quality ? { tier: quality.tier, auto: quality.auto } : prev.settings.quality,
+        volume: audio ? { ...audio.volumes } : prev.settings.volume,
+        timePreset: world?.environment?.currentPreset ?? prev.settings.timePreset,
+        showFps: this.experience.uiManager?.elements.perfStats?.classList.contains('visible') ?? prev.settings.showFps,
+        gamepadDeadzone: this.experience.gamepadControls?.settings.deadzone ?? prev.settings.gamepadDeadzone,
+        keyBindings: input ? input.getCustomBindings() : prev.settings.keyBindings,
+      },
+      progress: {
+        visitedZones: world ? [...world.visitedZones] : prev.progress.visitedZones,
+        // Showcase only exists in the test world; keep the last known list otherwise
+        visitedProjects: showcase ? [...showcase.visitedProjects] : prev.progress.visitedProjects,
+        lastPosition: this._lastSafePosition ?? prev.progress.lastPosition,
+      },
+      // Written in place by ContactService
+      contact: prev.contact,
+    }
+  }
+
+  save() {
+    clearTimeout(this._saveTimeout)
+    this._saveTimeout = null
+    this.data = this.snapshot()
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data))
+    } catch (err) {
+      // Storage full or disabled (private mode)
+    }
+  }
+
+  /**
+   * Debounced save for rapid changes (sliders)
+   */
+  scheduleSave(delay = 400) {
+    clearTimeout(this._saveTimeout)
+    this._saveTimeout = setTimeout(() => this.save(), delay)
+  }
+
+  /**
+   * Forget visited zones/projects and the saved position; settings are kept
+   */
+  resetProgress() {
+    const world = this.experience.world
+
+    this._lastSafePosition = null
+    this.data.progress = defaultSave().progress
+
+    if (world) {
+      world.visitedZones = new Set(this.data.progress.visitedZones)
+      world.portfolioShowcase?.visitedProjects.clear()
+      world.player?.teleport({ x: 0, y: 2, z: 5 })
+    }
+
+    this.save()
+    console.log('💾 Progress reset')
+  }
+
+  /**
+   * Track the last grounded position and autosave periodically
+   */
+  update(deltaTime) {
+    const world = this.experience.world
+    const player = world?.player
+
+    if (player && world.activeMode === 'test' && player.isGrounded && Math.abs(player.body.velocity.y) < 1) {
+      const p = player.body.position
+      if (!this._lastSafePosition) this._lastSafePosition = {}
+      this._lastSafePosition.x = Math.round(p.x * 100) / 100
+      this._lastSafePosition.y = Math.round(p.y * 100) / 100
+      this._lastSafePosition.z = Math.round(p.z * 100) / 100
+    }
+
+    this._autosaveTimer += deltaTime
+    if (this._autosaveTimer >= this.autosaveInterval) {
+      this._autosaveTimer = 0
+      this.save()
+    }
+  }
+
+  destroy() {
+    this.save()
+    window.removeEventListener('zoneChange', this._onZoneChange)
+    window.removeEventListener('pagehide', this._onPageHide)
+    document.removeEventListener('visibilitychange', this._onVisibilityChange)
+  }
+}
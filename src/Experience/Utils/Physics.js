@@ -19,6 +19,12 @@ export class Physics {
     this.zoneBodies = []
     this.dynamicBodies = [] // Track dynamic bodies for cleanup
 
+    // Collision filter groups (bit flags)
+    this.groups = {
+      default: 1,
+      player: 2,
+    }
+
     // Physics configuration
     this.config = {
       gravity: -20,           // Stronger gravity for snappy movement
@@ -49,13 +55,28 @@ export class Physics {
     // Enable faster AABB checks
     this.world.quatNormalizeSkip = 0
     this.world.quatNormalizeFast = false
+
+    // Static bodies are usually positioned after construction, which leaves the
+    // AABB computed at the origin — SAP would then never pair them with anything
+    this.world.addEventListener('addBody', ({ body }) => {
+      body.aabbNeedsUpdate = true
+    })
+  }
+
+  /**
+   * Push edited config values into the live world (timestep and
+   * maxSubSteps are read every step already)
+   */
+  applyConfig() {
+    this.world.gravity.set(0, this.config.gravity, 0)
+    this.world.solver.iterations = this.config.solverIterations
   }
 
   setMaterials() {
     // Default material (general surfaces)
     this.defaultMaterial = new CANNON.Material('default')
 
-    // Player material (less friction for responsive controls)
+    // Player material (the character controller handles grip itself)
     this.playerMaterial = new CANNON.Material('player')
 
     // Slippery material (ice, wet surfaces)
@@ -71,22 +92,24 @@ export class Physics {
       { friction: 0.4, restitution: 0.1 }
     )
 
+    // Player contacts are frictionless: the controller owns horizontal
+    // velocity and scales its grip per surface (Player controller.surfaceGrip)
     this.playerGroundContact = new CANNON.ContactMaterial(
       this.playerMaterial,
       this.defaultMaterial,
-      { friction: 0.3, restitution: 0.0 }
+      { friction: 0.0, restitution: 0.0 }
     )
 
     this.slipperyContact = new CANNON.ContactMaterial(
       this.playerMaterial,
       this.slipperyMaterial,
-      { friction: 0.02, restitution: 0.0 }
+      { friction: 0.0, restitution: 0.0 }
     )
 
     this.bouncyContact = new CANNON.ContactMaterial(
       this.playerMaterial,
       this.bouncyMaterial,
-      { friction: 0.3, restitution: 0.8 }
+      { friction: 0.0, restitution: 0.8 }
     )
 
     // Add contact materials to world
@@ -118,6 +141,8 @@ export class Physics {
    * segs: number of segments per side (e.g. 32)
    */
   setHeightfield(heightData, size, segs) {
+    if (this.heightfieldBody) this.world.removeBody(this.heightfieldBody)
+
     // Remove flat ground — heightfield replaces it
     if (this.groundBody) {
       this.world.removeBody(this.groundBody)
@@ -164,6 +189,16 @@ export class Physics {
     console.log(`⛰️ Heightfield collider: ${cols}x${rows}, elementSize=${elementSize.toFixed(2)}`)
   }
 
+  /**
+   * Remove the terrain heightfield and restore the flat fallback ground
+   */
+  removeHeightfield() {
+    if (!this.heightfieldBody) return
+    this.world.removeBody(this.heightfieldBody)
+    this.heightfieldBody = null
+    if (!this.groundBody) this.setGround()
+  }
+
   /**
    * Add zone-specific elevated ground colliders to match terrain mesh
    * Called by TestEnvironment after zones are defined
@@ -224,8 +259,9 @@ export class Physics {
   /**
    * Raycast from a point in a direction
    * Returns { hit: boolean, point: Vec3, normal: Vec3, body: Body, distance: number }
+   * @param {number} [collisionFilterMask] - Groups the ray can hit (default: all)
    */
-  raycast(from, direction, maxDistance = 100) {
+  raycast(from, direction, maxDistance = 100, collisionFilterMask = -1) {
     const ray = new CANNON.Ray(
       new CANNON.Vec3(from.x, from.y, from.z),
       new CANNON.Vec3(
@@ -235,11 +271,14 @@ export class Physics {
       )
     )
 
-    ray.mode = CANNON.Ray.CLOSEST
-    ray.skipBackfaces = true
-
+    // intersectWorld resets mode/backface/filter settings from its options
     const result = new CANNON.RaycastResult()
-    ray.intersectWorld(this.world, { result })
+    ray.intersectWorld(this.world, {
+      result,
+      mode: CANNON.Ray.CLOSEST,
+      skipBackfaces: true,
+      collisionFilterMask,
+    })
 
     if (result.hasHit) {
       return {
@@ -255,13 +294,14 @@ export class Physics {
   }
 
   /**
-   * Ground check - raycast downward from a position
+   * Ground check - raycast downward from a position (ignores the player body)
    */
   groundCheck(position, distance = 2) {
     return this.raycast(
       { x: position.x, y: position.y + 0.1, z: position.z },
       { x: 0, y: -1, z: 0 },
-      distance
+      distance,
+      ~this.groups.player
     )
   }
 
@@ -0,0 +1,286 @@
+import * as THREE from 'three'
+import * as CANNON from 'cannon-es'
+import { Experience } from '../Experience.js'
+
+const SHAPE = CANNON.Shape.types
+
+/**
+ * PhysicsDebugger — Wireframe overlay of every cannon body (#debug only)
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Draws Box, Sphere, Cylinder/ConvexPolyhedron, Heightfield, Plane and
+ * Trimesh shapes at their body transforms, plus the solver's contact points
+ * and the player's ground probe. Toggle with the `physicsDebug` action (`).
+ *
+ * COLORS:
+ *   static → orange · kinematic → magenta · dynamic → green
+ *   sleeping → grey · player → cyan
+ *   contacts → red dots · ground probe → green when grounded, red otherwise
+ *
+ * Bodies are picked up as they appear in the world and dropped when removed,
+ * so environment swaps need no extra wiring. Geometry is cached per shape.
+ */
+export class PhysicsDebugger {
+  constructor() {
+    this.experience = new Experience()
+    this.scene = this.experience.scene
+    this.physics = this.experience.physics
+    this.world = this.physics.world
+
+    this.settings = {
+      maxContacts: 256,
+      contactSize: 0.08,
+      planeSize: 1000,
+    }
+
+    this.visible = true
+    this.entries = new Map()            // CANNON.Body → THREE.Group
+    this._geometries = new WeakMap()    // CANNON.Shape → THREE.BufferGeometry
+
+    this.group = new THREE.Group()
+    this.group.name = 'PhysicsDebugger'
+    this.scene.add(this.group)
+
+    const wire = (color) => new THREE.MeshBasicMaterial({ color, wireframe: true, transparent: true, opacity: 0.6 })
+    this.materials = {
+      static: wire(0xFF9800),
+      kinematic: wire(0xE040FB),
+      dynamic: wire(0x76FF03),
+      sleeping: wire(0x78909C),
+      player: wire(0x18FFFF),
+    }
+
+    this._setContacts()
+    this._setGroundProbe()
+    this._setListeners()
+
+    console.log(`🐞 Physics debugger on — press ${this.experience.inputManager?.getLabel('physicsDebug') ?? '`'} to toggle`)
+  }
+
+  _setContacts() {
+    const geometry = new THREE.SphereGeometry(this.settings.contactSize, 6, 4)
+    const material = new THREE.MeshBasicMaterial({ color: 0xFF1744, depthTest: false })
+    this.contacts = new THREE.InstancedMesh(geometry, material, this.settings.maxContacts)
+    this.contacts.count = 0
+    this.contacts.renderOrder = 999
+    this.contacts.frustumCulled = false
+    this.group.add(this.contacts)
+    this._matrix = new THREE.Matrix4()
+  }
+
+  _setGroundProbe() {
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(12), 3))
+    this.groundProbe = new THREE.LineSegments(
+      geometry,
+      new THREE.LineBasicMaterial({ color: 0xFF1744, depthTest: false })
+    )
+    this.groundProbe.renderOrder = 999
+    this.groundProbe.frustumCulled = false
+    this.group.add(this.groundProbe)
+  }
+
+  _setListeners() {
+    this._offToggle = this.experience.inputManager?.on('physicsDebug', () => this.toggle())
+
+    this._onRemoveBody = ({ body }) => this._removeEntry(body)
+    this.world.addEventListener('removeBody', this._onRemoveBody)
+  }
+
+  toggle(visible = !this.visible) {
+    this.visible = visible
+    this.group.visible = visible
+    this.experience.uiManager?.notify(`Physics debug ${visible ? 'on' : 'off'}`, 'info', 1500)
+  }
+
+  // ═══════════════════════════════════════
+  // GEOMETRY
+  // ═══════════════════════════════════════
+
+  _geometryFor(shape) {
+    let geometry = this._geometries.get(shape)
+    if (geometry !== undefined) return geometry
+
+    switch (shape.type) {
+      case SHAPE.BOX: {
+        const e = shape.halfExtents
+        geometry = new THREE.BoxGeometry(e.x * 2, e.y * 2, e.z * 2)
+        break
+      }
+      case SHAPE.SPHERE:
+        geometry = new THREE.SphereGeometry(shape.radius, 12, 8)
+        break
+      case SHAPE.PLANE: {
+        // Cannon planes face +Z locally, same as PlaneGeometry
+        const size = this.settings.planeSize
+        geometry = new THREE.PlaneGeometry(size, size, 20, 20)
+        break
+      }
+      case SHAPE.CYLINDER:
+      case SHAPE.CONVEXPOLYHEDRON:
+        geometry = this._polygonGeometry(shape.vertices, shape.faces)
+        break
+      case SHAPE.HEIGHTFIELD:
+        geometry = this._heightfieldGeometry(shape)
+        break
+      case SHAPE.TRIMESH:
+        geometry = new THREE.BufferGeometry()
+        geometry.setAttribute('position', new THREE.BufferAttribute(Float32Array.from(shape.vertices), 3))
+        geometry.setIndex(Array.from(shape.indices))
+        break
+      default:
+        geometry = null
+    }
+
+    this._geometries.set(shape, geometry)
+    return geometry
+  }
+
+  _polygonGeometry(vertices, faces) {
+    const positions = vertices.flatMap(v => [v.x, v.y, v.z])
+    const indices = []
+    // Fan-triangulate each face
+    for (const face of faces) {
+      for (let i = 1; i < face.length - 1; i++) indices.push(face[0], face[i], face[i + 1])
+    }
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+    geometry.setIndex(indices)
+    return geometry
+  }
+
+  _heightfieldGeometry(shape) {
+    // data[xi][yi] is the local Z height at (xi, yi) * elementSize
+    const { data, elementSize } = shape
+    const cols = data.length
+    const rows = data[0].length
+    const positions = new Float32Array(cols * rows * 3)
+    const indices = []
+
+    for (let xi = 0; xi < cols; xi++) {
+      for (let yi = 0; yi < rows; yi++) {
+        const i = (xi * rows + yi) * 3
+        positions[i] = xi * elementSize
+        positions[i + 1] = yi * elementSize
+        positions[i + 2] = data[xi][yi]
+        if (xi < cols - 1 && yi < rows - 1) {
+          const a = xi * rows + yi
+          const b = a + rows
+          indices.push(a, b, a + 1, b, b + 1, a + 1)
+        }
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+    geometry.setIndex(indices)
+    return geometry
+  }
+
+  // ═══════════════════════════════════════
+  // BODIES
+  // ═══════════════════════════════════════
+
+  _createEntry(body) {
+    const group = new THREE.Group()
+    body.shapes.forEach((shape, i) => {
+      const geometry = this._geometryFor(shape)
+      if (!geometry) return
+      const mesh = new THREE.Mesh(geometry, this.materials.static)
+      const offset = body.shapeOffsets[i]
+      const orientation = body.shapeOrientations[i]
+      mesh.position.set(offset.x, offset.y, offset.z)
+      mesh.quaternion.set(orientation.x, orientation.y, orientation.z, orientation.w)
+      group.add(mesh)
+    })
+    this.group.add(group)
+    this.entries.set(body, group)
+    return group
+  }
+
+  _removeEntry(body) {
+    const group = this.entries.get(body)
+    if (!group) return
+    this.group.remove(group)
+    this.entries.delete(body)
+    // Shared shapes re-upload on their next draw, so disposing here is safe
+    for (const mesh of group.children) mesh.geometry.dispose()
+  }
+
+  _materialFor(body) {
+    if (body.collisionFilterGroup & this.physics.groups.player) return this.materials.player
+    if (body.type === CANNON.Body.STATIC) return this.materials.static
+    if (body.sleepState === CANNON.Body.SLEEPING) return this.materials.sleeping
+    if (body.type === CANNON.Body.KINEMATIC) return this.materials.kinematic
+    return this.materials.dynamic
+  }
+
+  // ═══════════════════════════════════════
+  // UPDATE
+  // ═══════════════════════════════════════
+
+  update() {
+    if (!this.visible) return
+
+    for (const body of this.world.bodies) {
+      const group = this.entries.get(body) ?? this._createEntry(body)
+      group.position.set(body.position.x, body.position.y, body.position.z)
+      group.quaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w)
+
+      const material = this._materialFor(body)
+      for (const mesh of group.children) mesh.material = material
+    }
+
+    this._updateContacts()
+    this._updateGroundProbe()
+  }
+
+  _updateContacts() {
+    const contacts = this.world.contacts
+    const count = Math.min(contacts.length, this.settings.maxContacts)
+
+    for (let i = 0; i < count; i++) {
+      const { bi, ri } = contacts[i]
+      this._matrix.makeTranslation(bi.position.x + ri.x, bi.position.y + ri.y, bi.position.z + ri.z)
+      this.contacts.setMatrixAt(i, this._matrix)
+    }
+
+    this.contacts.count = count
+    this.contacts.instanceMatrix.needsUpdate = true
+  }
+
+  _updateGroundProbe() {
+    const player = this.experience.world?.player
+    this.groundProbe.visible = !!player
+    if (!player) return
+
+    // Same probe as Player._updateGround, plus the ground normal
+    const { x, y, z } = player.body.position
+    const length = 0.1 + player.radius + player.controller.snapDistance
+    const n = player.groundNormal
+    const positions = this.groundProbe.geometry.attributes.position
+    positions.setXYZ(0, x, y + 0.1, z)
+    positions.setXYZ(1, x, y + 0.1 - length, z)
+    positions.setXYZ(2, x, y - player.radius, z)
+    positions.setXYZ(3, x + n.x, y - player.radius + n.y, z + n.z)
+    positions.needsUpdate = true
+
+    this.groundProbe.material.color.setHex(player.isGrounded ? 0x00E676 : 0xFF1744)
+  }
+
+  destroy() {
+    this._offToggle?.()
+    this.world.removeEventListener('removeBody', this._onRemoveBody)
+
+    this.scene.remove(this.group)
+    this.entries.clear()
+
+    const geometries = new Set()
+    this.group.traverse(child => {
+      if (child.geometry) geometries.add(child.geometry)
+    })
+    for (const geometry of geometries) geometry.dispose()
+    for (const material of Object.values(this.materials)) material.dispose()
+    this.contacts.material.dispose()
+    this.groundProbe.material.dispose()
+  }
+}
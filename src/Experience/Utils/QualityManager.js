@@ -0,0 +1,197 @@
+import * as THREE from 'three'
+import { Experience } from '../Experience.js'
+
+/**
+ * QualityManager — Adaptive quality governor
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Watches the measured FPS and steps the quality tier down or up with
+ * hysteresis. A tier controls:
+ * - Renderer pixel ratio and post-processing effect set
+ * - Sun shadow map size and type
+ * - Particle density in TestEnvironment
+ * - WorldSpacePanel canvas resolution and cull distance
+ *
+ * Picking a tier on the settings slider switches to manual mode and stops the
+ * governor until "Auto Quality" is turned back on. The choice is saved with
+ * the rest of the settings by Persistence.
+ */
+export class QualityManager {
+  constructor() {
+    this.experience = new Experience()
+
+    const dpr = window.devicePixelRatio || 1
+    this.tiers = [
+      {
+        name: 'Low',
+        pixelRatio: 1,
+        shadowMapSize: 512,
+        shadowType: THREE.BasicShadowMap,
+        particleDensity: 0.3,
+        panelResolution: 256,
+        panelMaxDistance: 50,
+      },
+      {
+        name: 'Medium',
+        pixelRatio: Math.min(dpr, 1.5),
+        shadowMapSize: 1024,
+        shadowType: THREE.BasicShadowMap,
+        particleDensity: 0.6,
+        panelResolution: 384,
+        panelMaxDistance: 65,
+      },
+      {
+        name: 'High',
+        pixelRatio: Math.min(dpr, 2),
+        shadowMapSize: 2048,
+        shadowType: THREE.PCFShadowMap,
+        particleDensity: 1,
+        panelResolution: 512,
+        panelMaxDistance: 80,
+      },
+    ]
+
+    // Governor thresholds (FPS samples arrive once per second)
+    this.config = {
+      downgradeBelow: 45,  // FPS under this counts as a slow second
+      downgradeAfter: 3,   // Consecutive slow seconds before stepping down
+      upgradeAbove: 57,    // FPS over this counts as a fast second
+      upgradeAfter: 10,    // Consecutive fast seconds before stepping up
+      cooldown: 5,         // Seconds to ignore samples after a change
+    }
+
+    // State
+    this.auto = true
+    this.tier = 2
+    this._slowSeconds = 0
+    this._fastSeconds = 0
+    this._cooldown = 0
+
+    this.load()
+
+    this._onEnvironmentChanged = () => this.applyTier()
+    window.addEventListener('environmentChanged', this._onEnvironmentChanged)
+
+    this.applyTier()
+  }
+
+  get current() {
+    return this.tiers[this.tier]
+  }
+
+  /**
+   * Feed one FPS sample (called from Experience.updateFPS once per second)
+   * @param {number} fps - Frames rendered in the last second
+   */
+  sample(fps) {
+    if (!this.auto) return
+
+    if (this._cooldown > 0) {
+      this._cooldown--
+      return
+    }
+
+    if (fps < this.config.downgradeBelow) {
+      this._slowSeconds++
+      this._fastSeconds = 0
+    } else if (fps > this.config.upgradeAbove) {
+      this._fastSeconds++
+      this._slowSeconds = 0
+    } else {
+      this._slowSeconds = 0
+      this._fastSeconds = 0
+    }
+
+    if (this._slowSeconds >= this.config.downgradeAfter && this.tier > 0) {
+      this.setTier(this.tier - 1)
+      console.log(`📉 Quality auto-lowered to ${this.current.name} (${fps} FPS)`)
+    } else if (this._fastSeconds >= this.config.upgradeAfter && this.tier < this.tiers.length - 1) {
+      this.setTier(this.tier + 1)
+      console.log(`📈 Quality auto-raised to ${this.current.name} (${fps} FPS)`)
+    }
+  }
+
+  /**
+   * Manual choice from the settings slider — disables the governor
+   */
+  setManualTier(tier) {
+    this.auto = false
+    this.setTier(tier)
+  }
+
+  setAuto(enabled) {
+    this.auto = enabled
+    this._slowSeconds = 0
+    this._fastSeconds = 0
+    this.save()
+    this.experience.uiManager?.updateQualityDisplay(this.tier, this.auto)
+  }
+
+  setTier(tier) {
+    this.tier = THREE.MathUtils.clamp(tier, 0, this.tiers.length - 1)
+    this._slowSeconds = 0
+    this._fastSeconds = 0
+    this._cooldown = this.config.cooldown
+    this.applyTier()
+    this.save()
+  }
+
+  /**
+   * Push the current tier's settings to every affected system
+   */
+  applyTier() {
+    const t = this.current
+    const renderer = this.experience.renderer
+    const world = this.experience.world
+
+    // Renderer + post-processing
+    renderer?.setPixelRatio(t.pixelRatio)
+    this.experience.postProcessing?.setQuality(this.tier)
+
+    // Shadows
+    const sun = world?.environment?.sunLight
+    if (sun && renderer) {
+      if (sun.shadow.mapSize.x !== t.shadowMapSize) {
+        sun.shadow.mapSize.set(t.shadowMapSize, t.shadowMapSize)
+        sun.shadow.map?.dispose()
+        sun.shadow.map = null
+      }
+      if (renderer.instance.shadowMap.type !== t.shadowType) {
+        renderer.instance.shadowMap.type = t.shadowType
+        // Shadow type is baked into shader programs
+        this.experience.scene.traverse((child) => {
+          if (!child.material) return
+          const mats = Array.isArray(child.material) ? child.material : [child.material]
+          mats.forEach(m => { m.needsUpdate = true })
+        })
+      }
+      renderer.instance.shadowMap.needsUpdate = true
+    }
+
+    // Particles
+    world?.activeEnvironment?.setParticleDensity?.(t.particleDensity)
+
+    // World-space panels
+    world?.portfolioShowcase?.uiManager.setQuality({
+      resolution: t.panelResolution,
+      maxDistance: t.panelMaxDistance,
+    })
+
+    this.experience.uiManager?.updateQualityDisplay(this.tier, this.auto)
+  }
+
+  load() {
+    const saved = this.experience.persistence?.data.settings.quality
+    if (saved && Number.isInteger(saved.tier) && this.tiers[saved.tier]) {
+      this.tier = saved.tier
+      this.auto = saved.auto !== false
+    }
+  }
+
+  save() {
+    this.experience.persistence?.scheduleSave()
+  }
+
+  destroy() {
+    window.removeEventListener('environmentChanged', this._onEnvironmentChanged)
+  }
+}
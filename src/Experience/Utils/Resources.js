@@ -3,13 +3,20 @@ import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js'
 import { EventEmitter } from './EventEmitter.js'
 
+/**
+ * Resources - Loads every source in sources.js before 'ready'
+ *
+ * Sources marked `optional` don't hold up 'ready' or the loading bar: they
+ * load alongside, fail soft (the item is null) and announce themselves with
+ * 'optionalLoaded' (name, file) whenever they finish.
+ */
 export class Resources extends EventEmitter {
   constructor(sources) {
     super()
 
     this.sources = sources
     this.items = {}
-    this.toLoad = this.sources.length
+    this.toLoad = this.sources.filter(source => !source.optional).length
     this.loaded = 0
 
     this.setLoaders()
@@ -37,7 +44,11 @@ export class Resources extends EventEmitter {
   }
 
   startLoading() {
-    // If no sources, trigger ready after a short delay
+    for (const source of this.sources) {
+      if (source.optional) this.loadOptional(source)
+    }
+
+    // If no required sources, trigger ready after a short delay
     // This ensures event listeners are set up first
     if (this.toLoad === 0) {
       setTimeout(() => {
@@ -70,36 +81,46 @@ export class Resources extends EventEmitter {
       }
     }
 
-    // Load each source
+    // Load each required source
     for (const source of this.sources) {
-      switch (source.type) {
-        case 'gltfModel':
-          this.loaders.gltfLoader.load(
-            source.path,
-            (file) => { this.sourceLoaded(source, file); updateBar() },
-            (xhr) => onProgress(source, xhr),
-            (err) => onError(source, err)
-          )
-          break
-
-        case 'texture':
-          this.loaders.textureLoader.load(
-            source.path,
-            (file) => { this.sourceLoaded(source, file); updateBar() },
-            undefined,
-            (err) => onError(source, err)
-          )
-          break
-
-        case 'cubeTexture':
-          this.loaders.cubeTextureLoader.load(
-            source.path,
-            (file) => { this.sourceLoaded(source, file); updateBar() },
-            undefined,
-            (err) => onError(source, err)
-          )
-          break
-      }
+      if (source.optional) continue
+      this.load(
+        source,
+        (file) => { this.sourceLoaded(source, file); updateBar() },
+        (xhr) => onProgress(source, xhr),
+        (err) => onError(source, err)
+      )
+    }
+  }
+
+  /**
+   * Load an optional source; a missing file is expected, so it only warns
+   */
+  loadOptional(source) {
+    const done = (file) => {
+      this.items[source.name] = file
+      this.trigger('optionalLoaded', [source.name, file])
+    }
+
+    this.load(source, done, undefined, () => {
+      console.warn(`⚠️ Optional ${source.type} not loaded: ${source.path}`)
+      done(null)
+    })
+  }
+
+  load(source, onLoad, onProgress, onError) {
+    switch (source.type) {
+      case 'gltfModel':
+        this.loaders.gltfLoader.load(source.path, onLoad, onProgress, onError)
+        break
+
+      case 'texture':
+        this.loaders.textureLoader.load(source.path, onLoad, undefined, onError)
+        break
+
+      case 'cubeTexture':
+        this.loaders.cubeTextureLoader.load(source.path, onLoad, undefined, onError)
+        break
     }
   }
 
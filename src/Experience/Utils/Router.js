@@ -0,0 +1,184 @@
+import { Experience } from '../Experience.js'
+import { getProjectById } from '../Data/portfolioData.js'
+
+/**
+ * Router — Shareable hash routes for zones and projects
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ROUTES:
+ *   #/                             → no route (detail view closed)
+ *   #/zone/Z2                      → teleport to zone
+ *   #/zone/Z2/project/z2_proj1     → teleport, face the panel, open details
+ *
+ * - The initial route is applied once portfolio content has loaded, so links
+ *   to projects that only exist in portfolio.json still resolve
+ * - Entering a zone or opening/closing a detail view pushes a history entry;
+ *   back/forward (popstate) re-applies the route
+ * - Unknown zone or project ids fall back to the HUB with a notification
+ * - `#debug` is not a route and is left untouched; while debug mode is on
+ *   the URL is never rewritten so the flag survives reloads
+ */
+export class Router {
+  constructor() {
+    this.experience = new Experience()
+
+    // Don't write the URL until the initial route has been applied
+    this._ready = false
+    // Suppress URL writes caused by applying a route
+    this._applying = false
+
+    this._onPortfolioLoaded = () => this._start()
+    this._onPopState = () => this.apply(Router.parse(window.location.hash))
+    this._onZoneChange = (e) => this._handleZoneChange(e.detail)
+    this._onDetailViewChange = (e) => this._handleDetailViewChange(e.detail)
+
+    window.addEventListener('portfolioLoaded', this._onPortfolioLoaded, { once: true })
+    window.addEventListener('popstate', this._onPopState)
+    window.addEventListener('zoneChange', this._onZoneChange)
+    window.addEventListener('detailViewChange', this._onDetailViewChange)
+  }
+
+  /**
+   * Parse a location hash into a route
+   * @param {string} hash - e.g. "#/zone/Z2/project/z2_proj1"
+   * @returns {{ zoneId: string|null, projectId: string|null }|null} null if the hash is not a route
+   */
+  static parse(hash) {
+    if (!hash || hash === '#' || hash === '#/') return { zoneId: null, projectId: null }
+    if (!hash.startsWith('#/')) return null
+
+    const parts = hash.slice(2).split('/').filter(Boolean).map(decodeURIComponent)
+    const route = { zoneId: null, projectId: null }
+
+    for (let i = 0; i < parts.length; i += 2) {
+      if (parts[i] === 'zone') route.zoneId = parts[i + 1] ?? null
+      else if (parts[i] === 'project') route.projectId = parts[i + 1] ?? null
+    }
+    return route
+  }
+
+  /**
+   * Build a hash from a route
+   */
+  static format({ zoneId, projectId }) {
+    if (!zoneId) return '#/'
+    let hash = `#/zone/${encodeURIComponent(zoneId)}`
+    if (projectId) hash += `/project/${encodeURIComponent(projectId)}`
+    return hash
+  }
+
+  _start() {
+    this._ready = true
+    const route = Router.parse(window.location.hash)
+    if (route?.zoneId) {
+      console.log(`🔗 Deep link: ${window.location.hash}`)
+      this.apply(route)
+    }
+  }
+
+  /**
+   * Move the world to match a route
+   */
+  apply(route) {
+    if (!route || !this._ready) return
+
+    const world = this.experience.world
+    if (!world) return
+
+    this._applying = true
+    try {
+      if (!route.zoneId) {
+        world.portfolioShowcase?.closeDetailView()
+        return
+      }
+
+      // Routes address the test world (the only one with portfolio panels)
+      if (world.activeMode !== 'test') world.createTestEnvironment()
+
+      const zones = world.activeEnvironment.zones
+      const project = route.projectId ? getProjectById(route.projectId) : null
+
+      if (!zones[route.zoneId] || (route.projectId && !project)) {
+        const missing = route.projectId && !project ? `project "${route.projectId}"` : `zone "${route.zoneId}"`
+        console.warn(`⚠️ Route ${window.location.hash}: unknown ${missing}`)
+        this.experience.uiManager?.notify(`Link not found (${missing}) — taking you to the hub`, 'error', 4000)
+
+        world.portfolioShowcase?.closeDetailView()
+        world.teleportToZone('HUB')
+        this._write({ zoneId: 'HUB' }, true)
+        return
+      }
+
+      // A project id is authoritative about its zone
+      const zoneId = project?.zoneId ?? route.zoneId
+      if (zoneId !== route.zoneId) this._write({ zoneId, projectId: project.id }, true)
+
+      if (world.currentZone !== zoneId) world.teleportToZone(zoneId)
+
+      const showcase = world.portfolioShowcase
+      if (!project) {
+        showcase?.closeDetailView()
+        return
+      }
+      if (showcase.activeDetailView && showcase.activeProjectId === project.id) return
+
+      showcase.closeDetailView()
+      this._facePanel(project.id)
+      showcase._showProjectDetail(project, zoneId)
+    } finally {
+      this._applying = false
+    }
+  }
+
+  _facePanel(projectId) {
+    const panel = this.experience.world.portfolioShowcase?.uiManager.getPanel(projectId)
+    const player = this.experience.world.player
+    const thirdPerson = this.experience.camera?.thirdPerson
+    if (!panel || !player || !thirdPerson) return
+
+    thirdPerson.lookToward(panel.getWorldPosition(), player.mesh.position, true)
+  }
+
+  _handleZoneChange({ zoneId }) {
+    if (!this._ready || this._applying || !zoneId) return
+    if (this.experience.world?.portfolioShowcase?.activeDetailView) return
+
+    // Already on this zone (or one of its projects)
+    if (Router.parse(window.location.hash)?.zoneId === zoneId) return
+    this._write({ zoneId })
+  }
+
+  _handleDetailViewChange({ open, projectId }) {
+    if (!this._ready || this._applying) return
+
+    if (open) {
+      const project = projectId ? getProjectById(projectId) : null
+      if (!project) return
+      this._write({ zoneId: project.zoneId, projectId })
+    } else {
+      const zoneId = this.experience.world?.currentZone ?? Router.parse(window.location.hash)?.zoneId
+      this._write({ zoneId })
+    }
+  }
+
+  /**
+   * Push (or replace) the URL hash without triggering navigation
+   */
+  _write(route, replace = false) {
+    if (this.experience.debug) return
+
+    const hash = Router.format(route)
+    if (hash === window.location.hash) return
+
+    // Nothing to go back to yet: don't add an entry for the first route
+    const current = Router.parse(window.location.hash)
+    const method = replace || !current?.zoneId ? 'replaceState' : 'pushState'
+    window.history[method](null, '', hash)
+  }
+
+  destroy() {
+    window.removeEventListener('portfolioLoaded', this._onPortfolioLoaded)
+    window.removeEventListener('popstate', this._onPopState)
+    window.removeEventListener('zoneChange', this._onZoneChange)
+    window.removeEventListener('detailViewChange', this._onDetailViewChange)
+  }
+}
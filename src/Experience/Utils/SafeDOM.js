@@ -0,0 +1,120 @@
+/**
+ * SafeDOM — Escaping-free DOM construction and URL allow-lists
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Portfolio content can come from portfolio.json, so nothing in it is ever
+ * parsed as HTML:
+ *
+ * - el() builds elements from props and children; strings always become
+ *   text nodes and inline `on*` attributes are refused (use `on: { click }`)
+ * - safeUrl() resolves a URL and only returns it if its scheme (and, for
+ *   embeds, its host) is on the policy's allow-list; otherwise null
+ * - iframeSandbox() gives each embed type the fewest sandbox permissions it
+ *   needs to run
+ *
+ * POLICIES:
+ *   link     → https, http, mailto, tel · any host
+ *   image    → https · any host, or a same-origin path
+ *   webgl    → https · EMBED_HOSTS.webgl, or a same-origin path
+ *   video    → https · EMBED_HOSTS.video
+ *   endpoint → https · any host, or a same-origin path (form submissions)
+ */
+
+// Hosts match exactly or as a parent domain ('itch.io' allows 'user.itch.io')
+export const EMBED_HOSTS = {
+  webgl: ['itch.io', 'itch.zone'],
+  video: ['youtube.com', 'youtube-nocookie.com', 'vimeo.com'],
+}
+
+const POLICIES = {
+  link: { schemes: ['https:', 'http:', 'mailto:', 'tel:'], hosts: null, sameOrigin: true },
+  image: { schemes: ['https:'], hosts: null, sameOrigin: true },
+  webgl: { schemes: ['https:'], hosts: EMBED_HOSTS.webgl, sameOrigin: true },
+  video: { schemes: ['https:'], hosts: EMBED_HOSTS.video, sameOrigin: false },
+  endpoint: { schemes: ['https:'], hosts: null, sameOrigin: true },
+}
+
+// Per project type; allow-same-origin is only added for cross-origin embeds
+// (with allow-scripts it would let a same-origin page remove its own sandbox)
+const SANDBOX = {
+  unity_webgl: ['allow-scripts', 'allow-pointer-lock', 'allow-downloads'],
+  video: ['allow-scripts', 'allow-presentation', 'allow-popups'],
+}
+
+/**
+ * Resolve and check a URL against a policy
+ * @param {string} value - Absolute URL or path relative to the page
+ * @param {'link'|'image'|'webgl'|'video'|'endpoint'} policy
+ * @returns {string|null} Normalized URL, or null if it isn't allowed
+ */
+export function safeUrl(value, policy) {
+  const rules = POLICIES[policy]
+  if (!rules || typeof value !== 'string' || !value.trim()) return null
+
+  let url
+  try {
+    url = new URL(value.trim(), window.location.href)
+  } catch {
+    return null
+  }
+
+  if (rules.sameOrigin && url.origin === window.location.origin) return url.href
+  if (!rules.schemes.includes(url.protocol)) return null
+  if (rules.hosts && !rules.hosts.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`))) {
+    return null
+  }
+  return url.href
+}
+
+/**
+ * Sandbox tokens for an embed of the given project type
+ * @param {string} type - Project type ('unity_webgl', 'video')
+ * @param {string} src - URL already checked by safeUrl()
+ */
+export function iframeSandbox(type, src) {
+  const tokens = [...(SANDBOX[type] ?? [])]
+  if (new URL(src).origin !== window.location.origin) tokens.push('allow-same-origin')
+  return tokens.join(' ')
+}
+
+/**
+ * Create an element
+ * @param {string} tag
+ * @param {Object} [props] - `className`, `text`, `on: { event: handler }`,
+ *   anything else is set as an attribute (null / undefined / false are skipped)
+ * @param {Array|Node|string} [children] - Nested arrays and null are allowed
+ * @returns {HTMLElement}
+ *
+ * @example
+ * el('a', { className: 'project-link', href: safeUrl(url, 'link') }, [icon, ' ', label])
+ */
+export function el(tag, props = {}, children = []) {
+  const element = document.createElement(tag)
+  const { className, text, on, ...attributes } = props
+
+  if (className) element.className = className
+  if (text !== undefined && text !== null) element.textContent = String(text)
+  for (const [event, handler] of Object.entries(on ?? {})) element.addEventListener(event, handler)
+
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value === null || value === undefined || value === false) continue
+    if (/^on/i.test(name)) {
+      console.warn(`⚠️ SafeDOM: refused inline handler attribute "${name}"`)
+      continue
+    }
+    element.setAttribute(name, value === true ? '' : String(value))
+  }
+
+  append(element, children)
+  return element
+}
+
+/**
+ * Append children as nodes (strings become text, never markup)
+ */
+export function append(parent, children) {
+  for (const child of [children].flat(Infinity)) {
+    if (child === null || child === undefined || child === false) continue
+    parent.append(child instanceof Node ? child : document.createTextNode(String(child)))
+  }
+  return parent
+}
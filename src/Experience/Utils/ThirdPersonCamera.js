@@ -1,11 +1,18 @@
 import * as THREE from 'three'
 import { Experience } from '../Experience.js'
 
+const HIDDEN_INSTANCE = new THREE.Matrix4().makeScale(0, 0, 0)
+
 /**
  * ThirdPersonCamera with:
  * - Mouse drag rotation, scroll zoom
  * - F key toggles bird's-eye overview (zooms way out, looks down)
  * - Extended zoom range (3 → 200) for forest overview
+ * - Spring arm: a physics ray from the player pulls the camera in front of
+ *   colliders and eases it back out once clear
+ * - Meshes between the camera and the player (canopies, landmarks) fade to
+ *   translucent; instanced meshes fade per instance. Only meshes up to
+ *   `maxOccluderRadius` are raycast, `occluderInterval` apart
  */
 export class ThirdPersonCamera {
   constructor(camera, canvas, options = {}) {
@@ -24,7 +31,14 @@ export class ThirdPersonCamera {
       minDistance: options.minDistance ?? 3,
       maxDistance: options.maxDistance ?? 200,
       minPitch: options.minPolarAngle ?? -0.3,
-      maxPitch: options.maxPolarAngle ?? 1.4
+      maxPitch: options.maxPolarAngle ?? 1.4,
+      collisionRadius: options.collisionRadius ?? 0.4,   // Gap kept between the camera and a hit
+      minArmLength: options.minArmLength ?? 1,           // Never pull closer than this to the player
+      armRecovery: options.armRecovery ?? 3,             // Ease-out rate (1/s) once the arm is clear
+      occluderOpacity: options.occluderOpacity ?? 0.25,
+      occluderFadeSpeed: options.occluderFadeSpeed ?? 8,
+      maxOccluderRadius: options.maxOccluderRadius ?? 25, // Bigger meshes (terrain) never fade
+      occluderInterval: options.occluderInterval ?? 0.2    // Seconds between occlusion raycasts
     }
 
     // State
@@ -38,6 +52,19 @@ export class ThirdPersonCamera {
     this.phi = 0.5
     this.targetDistance = this.settings.distance
 
+    // Spring arm: how far the camera is currently pulled in from its ideal spot
+    this.armPull = 0
+    this._armDirection = new THREE.Vector3()
+
+    // Faded occluders, keyed by mesh id (plus instance id for instanced meshes)
+    this.occluders = new Map()
+    this._occluderRoot = null
+    this._occluderTargets = []   // Meshes small enough to fade; the only ones raycast
+    this._occluderChildCount = 0
+    this._occluderTimer = 0
+    this._occlusionRaycaster = new THREE.Raycaster()
+    this._occlusionDirection = new THREE.Vector3()
+
     // Overview / bird's-eye mode (F key)
     this.overviewMode = false
     this.savedDistance = this.settings.distance
@@ -45,6 +72,9 @@ export class ThirdPersonCamera {
     this.overviewDistance = 600
     this.overviewPhi = 1.3  // near top-down
 
+    // Director shots (rails, panel focus) take the camera while paused
+    this.paused = false
+
     // Mouse/touch input
     this.isPointerDown = false
     this.previousPointer = { x: 0, y: 0 }
@@ -63,7 +93,6 @@ export class ThirdPersonCamera {
     this._onTouchStart = (e) => this.onTouchStart(e)
     this._onTouchMove = (e) => this.onTouchMove(e)
     this._onTouchEnd = () => this.onTouchEnd()
-    this._onKeyDown = (e) => { if (e.code === 'KeyF') this.toggleOverview() }
 
     this.canvas.addEventListener('pointerdown', this._onPointerDown)
     window.addEventListener('pointermove', this._onPointerMove)
@@ -76,8 +105,8 @@ export class ThirdPersonCamera {
     this.canvas.addEventListener('touchmove', this._onTouchMove, { passive: true })
     this.canvas.addEventListener('touchend', this._onTouchEnd)
 
-    // F key for overview toggle
-    document.addEventListener('keydown', this._onKeyDown)
+    // Overview toggle (F / gamepad Y by default)
+    this._offOverview = this.experience.inputManager?.on('overview', () => this.toggleOverview())
   }
 
   toggleOverview() {
@@ -99,7 +128,15 @@ export class ThirdPersonCamera {
     }
   }
 
+  /**
+   * Tell listeners (CameraDirector) the user is steering the camera
+   */
+  _userInput() {
+    window.dispatchEvent(new CustomEvent('cameraInput'))
+  }
+
   onPointerDown(event) {
+    this._userInput()
     this.isPointerDown = true
     this.previousPointer.x = event.clientX
     this.previousPointer.y = event.clientY
@@ -124,6 +161,8 @@ export class ThirdPersonCamera {
   }
 
   onWheel(event) {
+    this._userInput()
+
     // Scale zoom speed by distance so it feels proportional
     const zoomSpeed = Math.max(0.01, this.targetDistance * 0.05)
     this.targetDistance += event.deltaY > 0 ? zoomSpeed : -zoomSpeed
@@ -138,12 +177,30 @@ export class ThirdPersonCamera {
     }
   }
 
+  /**
+   * Continuous zoom (gamepad triggers)
+   * @param {number} amount - Fraction of the current distance; positive zooms out
+   */
+  zoom(amount) {
+    this._userInput()
+    this.targetDistance *= 1 + amount
+    this.targetDistance = Math.max(
+      this.settings.minDistance,
+      Math.min(this.settings.maxDistance, this.targetDistance)
+    )
+
+    if (this.overviewMode && this.targetDistance < this.overviewDistance * 0.5) {
+      this.overviewMode = false
+    }
+  }
+
   onTouchStart(event) {
     this.touches = [...event.touches]
   }
 
   onTouchMove(event) {
     if (event.touches.length === 2 && this.touches.length === 2) {
+      this._userInput()
       const prevDist = Math.hypot(
         this.touches[0].clientX - this.touches[1].clientX,
         this.touches[0].clientY - this.touches[1].clientY
@@ -166,19 +223,30 @@ export class ThirdPersonCamera {
   }
 
   follow(target, deltaTime) {
-    if (!target) return
+    if (!target || this.paused) return
 
     const targetPos = target.position.clone()
+    const suspended = this.experience.inputManager?.isSuspended
 
     // Apply touch camera joystick input
     const touch = this.experience.touchControls
-    if (touch?.isEnabled && touch.cameraJoystick.active) {
+    if (!suspended && touch?.isEnabled && touch.cameraJoystick.active) {
       const input = touch.getInput()
+      if (input.cameraX || input.cameraY) this._userInput()
       this.theta -= input.cameraX
       this.phi += input.cameraY
       this.phi = Math.max(this.settings.minPitch, Math.min(this.settings.maxPitch, this.phi))
     }
 
+    // Apply gamepad right stick
+    const gamepad = this.experience.gamepadControls
+    if (!suspended && gamepad?.isEnabled) {
+      if (gamepad.input.cameraX || gamepad.input.cameraY) this._userInput()
+      this.theta -= gamepad.input.cameraX
+      this.phi += gamepad.input.cameraY
+      this.phi = Math.max(this.settings.minPitch, Math.min(this.settings.maxPitch, this.phi))
+    }
+
     // Smoothly interpolate distance
     const distance = THREE.MathUtils.lerp(
       this.settings.distance,
@@ -187,16 +255,7 @@ export class ThirdPersonCamera {
     )
     this.settings.distance = distance
 
-    // Spherical coordinates → Cartesian
-    const offsetX = Math.sin(this.theta) * Math.cos(this.phi) * distance
-    const offsetY = Math.sin(this.phi) * distance + this.settings.height
-    const offsetZ = Math.cos(this.theta) * Math.cos(this.phi) * distance
-
-    this.targetPosition.set(
-      targetPos.x + offsetX,
-      targetPos.y + offsetY,
-      targetPos.z + offsetZ
-    )
+    this.getIdealPosition(targetPos, this.targetPosition)
 
     // First frame: snap immediately
     if (!this.initialized) {
@@ -209,13 +268,250 @@ export class ThirdPersonCamera {
     // Smooth camera movement (faster smoothing when in overview for responsive feel)
     const smooth = this.overviewMode ? this.settings.smoothness * 3 : this.settings.smoothness
     this.currentPosition.lerp(this.targetPosition, smooth)
-    this.camera.position.copy(this.currentPosition)
 
     // Look at target
     this.lookAtPosition.copy(targetPos)
     this.lookAtPosition.y += 1
+
+    this._applySpringArm(deltaTime)
+
     this.currentLookAt.lerp(this.lookAtPosition, this.settings.rotationSmoothness)
     this.camera.lookAt(this.currentLookAt)
+
+    this._updateOccluders(deltaTime)
+  }
+
+  /**
+   * Where follow() aims for a target position, before smoothing and collision
+   * @param {THREE.Vector3} targetPos - Player position
+   * @param {THREE.Vector3} [out]
+   */
+  getIdealPosition(targetPos, out = new THREE.Vector3()) {
+    // Spherical coordinates → Cartesian
+    const distance = this.settings.distance
+    return out.set(
+      targetPos.x + Math.sin(this.theta) * Math.cos(this.phi) * distance,
+      targetPos.y + Math.sin(this.phi) * distance + this.settings.height,
+      targetPos.z + Math.cos(this.theta) * Math.cos(this.phi) * distance
+    )
+  }
+
+  /**
+   * Forget smoothing state so the next follow() lands straight on the target
+   * instead of lerping across the map (teleports)
+   */
+  snap() {
+    this.initialized = false
+    this.armPull = 0
+    this._clearOccluders()
+  }
+
+  /**
+   * Hand the camera to something else; follow() stops moving it
+   */
+  pause() {
+    this.paused = true
+    this._clearOccluders()
+  }
+
+  /**
+   * Take the camera back from wherever it was left and ease into follow
+   * @param {THREE.Vector3} lookAt - What the camera was looking at
+   */
+  resume(lookAt) {
+    this.paused = false
+    this.currentPosition.copy(this.camera.position)
+    this.currentLookAt.copy(lookAt)
+    this.armPull = 0
+  }
+
+  // ═══════════════════════════════════════
+  // SPRING ARM
+  // ═══════════════════════════════════════
+
+  /**
+   * Cast from the player's head to the smoothed camera spot and keep the
+   * camera on the near side of the first collider. Pulls in instantly, eases out.
+   */
+  _applySpringArm(deltaTime) {
+    const pivot = this.lookAtPosition
+    const direction = this._armDirection.subVectors(this.currentPosition, pivot)
+    const length = direction.length()
+    if (length < 1e-4) {
+      this.camera.position.copy(this.currentPosition)
+      return
+    }
+    direction.divideScalar(length)
+
+    let pull = 0
+    const physics = this.experience.physics
+    if (physics && !this.overviewMode) {
+      const { collisionRadius, minArmLength } = this.settings
+      const hit = physics.raycast(pivot, direction, length + collisionRadius, ~physics.groups.player)
+      if (hit.hit) pull = Math.max(0, length - Math.max(minArmLength, hit.distance - collisionRadius))
+    }
+
+    if (pull >= this.armPull) {
+      this.armPull = pull
+    } else {
+      this.armPull += (pull - this.armPull) * (1 - Math.exp(-this.settings.armRecovery * deltaTime))
+    }
+
+    this.camera.position.copy(pivot).addScaledVector(direction, Math.max(0, length - this.armPull))
+  }
+
+  // ═══════════════════════════════════════
+  // OCCLUDERS
+  // ═══════════════════════════════════════
+
+  _updateOccluders(deltaTime) {
+    // Environment swapped or rebuilt: its meshes are gone, drop their faded
+    // copies and collect the new candidates once
+    const root = this.experience.world?.activeEnvironment?.group ?? null
+    const childCount = root?.children.length ?? 0
+    if (root !== this._occluderRoot || childCount !== this._occluderChildCount) {
+      this._clearOccluders()
+      this._occluderRoot = root
+      this._occluderChildCount = childCount
+      this._collectOccluderTargets(root)
+    }
+    if (!root) return
+
+    // Raycast a few times a second; fades keep running every frame
+    this._occluderTimer += deltaTime
+    if (this._occluderTimer >= this.settings.occluderInterval) {
+      this._occluderTimer = 0
+      this._castOccluders()
+    }
+
+    const k = 1 - Math.exp(-this.settings.occluderFadeSpeed * deltaTime)
+    for (const [key, entry] of this.occluders) {
+      const target = entry.occluding ? this.settings.occluderOpacity : 1
+      entry.opacity += (target - entry.opacity) * k
+
+      if (!entry.occluding && entry.opacity > 0.98) {
+        this._restoreOccluder(entry)
+        this.occluders.delete(key)
+        continue
+      }
+      for (const material of entry.materials) material.opacity = entry.opacity
+    }
+  }
+
+  _castOccluders() {
+    for (const entry of this.occluders.values()) entry.occluding = false
+    if (this.overviewMode) return
+
+    const direction = this._occlusionDirection.subVectors(this.lookAtPosition, this.camera.position)
+    const distance = direction.length()
+    if (distance < 1e-4) return
+    this._occlusionRaycaster.set(this.camera.position, direction.divideScalar(distance))
+    this._occlusionRaycaster.far = distance
+
+    for (const hit of this._occlusionRaycaster.intersectObjects(this._occluderTargets, false)) {
+      const object = hit.object
+      const key = object.userData.occluderKey ??
+        (hit.instanceId === undefined ? `${object.id}` : `${object.id}:${hit.instanceId}`)
+
+      const entry = this.occluders.get(key) ??
+        (this._isOccluder(object) ? this._addOccluder(key, object, hit.instanceId) : null)
+      if (entry) entry.occluding = true
+    }
+  }
+
+  /**
+   * Meshes that could ever fade: terrain, ground and anything opted out
+   * (`userData.occluder = false`) are never raycast
+   */
+  _collectOccluderTargets(root) {
+    this._occluderTargets = []
+    root?.updateMatrixWorld(true)
+    root?.traverse((object) => {
+      if (!object.isMesh || object.userData.occluder === false) return
+
+      const geometry = object.geometry
+      if (!geometry.boundingSphere) geometry.computeBoundingSphere()
+      if (geometry.boundingSphere.radius * object.matrixWorld.getMaxScaleOnAxis() <= this.settings.maxOccluderRadius) {
+        this._occluderTargets.push(object)
+      }
+    })
+  }
+
+  _isOccluder(object) {
+    if (!object.visible) return false
+    const materials = Array.isArray(object.material) ? object.material : [object.material]
+    return !materials.some(m => !m || m.transparent)
+  }
+
+  /**
+   * Swap in translucent copies of the mesh's materials. An instance is pulled
+   * out of its batch and drawn on its own so the rest stay opaque.
+   */
+  _addOccluder(key, mesh, instanceId) {
+    const original = mesh.material
+    const materials = (Array.isArray(original) ? original : [original]).map((material) => {
+      const faded = material.clone()
+      faded.transparent = true
+      faded.depthWrite = false
+      return faded
+    })
+    const faded = Array.isArray(original) ? materials : materials[0]
+
+    const entry = { mesh, instanceId, original, materials, opacity: 1, occluding: true, proxy: null, matrix: null }
+
+    if (instanceId === undefined) {
+      mesh.material = faded
+    } else {
+      entry.matrix = new THREE.Matrix4()
+      mesh.getMatrixAt(instanceId, entry.matrix)
+
+      // Child of the batch, so the instance matrix places it
+      entry.proxy = new THREE.Mesh(mesh.geometry, faded)
+      entry.proxy.matrixAutoUpdate = false
+      entry.proxy.matrix.copy(entry.matrix)
+      entry.proxy.userData.occluderKey = key
+      mesh.add(entry.proxy)
+      this._occluderTargets.push(entry.proxy)
+
+      mesh.setMatrixAt(instanceId, HIDDEN_INSTANCE)
+      mesh.instanceMatrix.needsUpdate = true
+    }
+
+    this.occluders.set(key, entry)
+    return entry
+  }
+
+  _restoreOccluder(entry) {
+    if (entry.proxy) {
+      entry.proxy.removeFromParent()
+      this._occluderTargets.splice(this._occluderTargets.indexOf(entry.proxy), 1)
+      entry.mesh.setMatrixAt(entry.instanceId, entry.matrix)
+      entry.mesh.instanceMatrix.needsUpdate = true
+    } else {
+      entry.mesh.material = entry.original
+    }
+    for (const material of entry.materials) material.dispose()
+  }
+
+  _clearOccluders() {
+    for (const entry of this.occluders.values()) this._restoreOccluder(entry)
+    this.occluders.clear()
+  }
+
+  /**
+   * Orbit around `from` so the camera looks toward `point`
+   * @param {THREE.Vector3} point - World position to face (e.g. a panel)
+   * @param {THREE.Vector3} from - Orbit center (usually the player)
+   * @param {boolean} snap - Jump straight there instead of easing (after teleports)
+   */
+  lookToward(point, from, snap = false) {
+    const dx = point.x - from.x
+    const dz = point.z - from.z
+    if (dx * dx + dz * dz < 1e-6) return
+
+    // Camera sits on the opposite side of the player from the point
+    this.theta = Math.atan2(-dx, -dz)
+    if (snap) this.initialized = false
   }
 
   resize() {
@@ -249,6 +545,7 @@ export class ThirdPersonCamera {
     this.canvas.removeEventListener('touchstart', this._onTouchStart)
     this.canvas.removeEventListener('touchmove', this._onTouchMove)
     this.canvas.removeEventListener('touchend', this._onTouchEnd)
-    document.removeEventListener('keydown', this._onKeyDown)
+    this._offOverview?.()
+    this._clearOccluders()
   }
 }
@@ -231,6 +231,7 @@ export class TouchControls {
     this.uiElements.jumpButton.addEventListener('touchstart', (e) => {
       e.preventDefault()
       this.jumpRequested = true
+      this.experience.inputManager?.trigger('jump', 'touch')
     })
     this.uiElements.jumpButton.addEventListener('touchend', () => {
       this.jumpRequested = false
@@ -239,7 +240,7 @@ export class TouchControls {
     // Action button
     this.uiElements.actionButton.addEventListener('touchstart', (e) => {
       e.preventDefault()
-      window.dispatchEvent(new CustomEvent('touchAction'))
+      this.experience.inputManager?.trigger('interact', 'touch')
     })
   }
 
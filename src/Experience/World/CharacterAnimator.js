@@ -0,0 +1,233 @@
+import * as THREE from 'three'
+
+/**
+ * Clip name aliases per state, matched case-insensitively against the GLB's
+ * animation names (exact match first, then substring)
+ */
+const CLIP_ALIASES = {
+  idle: ['idle', 'stand'],
+  walk: ['walk'],
+  run: ['run', 'sprint', 'jog'],
+  jumpStart: ['jump_start', 'jumpstart', 'jump_up', 'jump'],
+  airborne: ['airborne', 'fall', 'falling', 'jump_loop', 'jump_idle', 'inair'],
+  land: ['land', 'landing', 'jump_land'],
+  interact: ['interact', 'use', 'wave', 'punch'],
+}
+
+// When a clip is missing the state borrows another one
+const FALLBACK_STATES = {
+  run: 'walk',
+  jumpStart: 'airborne',
+  airborne: 'idle',
+  land: 'idle',
+  interact: 'idle',
+}
+
+const ONE_SHOT_STATES = ['jumpStart', 'land', 'interact']
+
+const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/**
+ * CharacterAnimator — AnimationMixer state machine for a skinned character
+ * ═══════════════════════════════════════════════════════════════════════════
+ * STATES:
+ *   locomotion  → idle / walk / run blended by horizontal speed
+ *   jumpStart   → one-shot on take-off, then airborne
+ *   airborne    → loop while off the ground
+ *   land        → one-shot on touchdown after a real fall
+ *   interact    → one-shot overlay, cancelled by moving or leaving the ground
+ *
+ * Every clip plays continuously; the state machine only moves effective
+ * weights toward their targets, so transitions are always cross-fades.
+ */
+export class CharacterAnimator {
+  /**
+   * @param {THREE.Object3D} root - Skinned model (scene of the GLB)
+   * @param {THREE.AnimationClip[]} clips
+   */
+  constructor(root, clips) {
+    this.root = root
+    this.mixer = new THREE.AnimationMixer(root)
+
+    this.settings = {
+      walkSpeed: 4,          // m/s where walk is fully weighted
+      runSpeed: 12,          // m/s where run is fully weighted
+      fadeSpeed: 10,         // Weight easing rate (1/s)
+      minAirTime: 0.25,      // Shorter hops skip the land clip
+      coyoteTime: 0.12,      // Ground contact flickers shorter than this are ignored
+      clipSpeeds: { walk: 2, run: 6 }, // Speed (m/s) each clip was authored at
+    }
+
+    this.state = 'locomotion'
+    this.stateTime = 0
+    this.airTime = 0
+
+    this.actions = {}           // state → AnimationAction
+    this.weights = new Map()    // AnimationAction → current weight
+    this._targets = new Map()   // AnimationAction → target weight (rebuilt each frame)
+
+    this._bindClips(clips)
+  }
+
+  _bindClips(clips) {
+    const byName = clips.map(clip => ({ clip, key: normalize(clip.name) }))
+    const used = new Set()
+
+    const find = (aliases, exact) => {
+      for (const alias of aliases) {
+        const key = normalize(alias)
+        const hit = byName.find(c => !used.has(c.clip) && (exact ? c.key === key : c.key.includes(key)))
+        if (hit) return hit.clip
+      }
+      return null
+    }
+
+    for (const exact of [true, false]) {
+      for (const [state, aliases] of Object.entries(CLIP_ALIASES)) {
+        if (this.actions[state]) continue
+        const clip = find(aliases, exact)
+        if (!clip) continue
+
+        used.add(clip)
+        const action = this.mixer.clipAction(clip)
+        if (ONE_SHOT_STATES.includes(state)) {
+          action.setLoop(THREE.LoopOnce, 1)
+          action.clampWhenFinished = true
+        }
+        action.setEffectiveWeight(0)
+        action.play()
+        this.actions[state] = action
+      }
+    }
+
+    // The first clip stands in for idle so the model never T-poses
+    if (!this.actions.idle && clips.length > 0) {
+      this.actions.idle = this.mixer.clipAction(clips[0])
+      this.actions.idle.play()
+    }
+
+    for (const action of Object.values(this.actions)) this.weights.set(action, 0)
+    if (this.actions.idle) {
+      this.actions.idle.setEffectiveWeight(1)
+      this.weights.set(this.actions.idle, 1)
+    }
+
+    const found = Object.keys(this.actions).join(', ') || 'none'
+    console.log(`🦾 Character clips: ${found}`)
+  }
+
+  get hasClips() {
+    return Object.keys(this.actions).length > 0
+  }
+
+  /**
+   * Resolve a state to an action, following fallbacks for missing clips
+   */
+  _actionFor(state) {
+    let current = state
+    while (current && !this.actions[current]) current = FALLBACK_STATES[current]
+    return current ? this.actions[current] : null
+  }
+
+  _enter(state) {
+    if (this.state === state) return
+    this.state = state
+    this.stateTime = 0
+
+    if (ONE_SHOT_STATES.includes(state)) this.actions[state]?.reset().play()
+  }
+
+  _clipDone(state) {
+    const action = this.actions[state]
+    if (!action) return true
+    return this.stateTime >= action.getClip().duration / Math.max(0.01, action.timeScale)
+  }
+
+  /**
+   * Play the interact one-shot (ignored while airborne)
+   */
+  playInteract() {
+    if (this.state === 'locomotion' || this.state === 'land') this._enter('interact')
+  }
+
+  /**
+   * Notify a take-off so the jump clip starts on the same frame as the impulse
+   */
+  jump() {
+    this._enter('jumpStart')
+  }
+
+  /**
+   * @param {number} deltaTime - Seconds
+   * @param {{ speed: number, grounded: boolean, verticalVelocity: number }} motion
+   */
+  update(deltaTime, { speed, grounded, verticalVelocity }) {
+    if (!this.hasClips) return
+
+    const s = this.settings
+    this.stateTime += deltaTime
+    this.airTime = grounded ? 0 : this.airTime + deltaTime
+    const airborne = this.airTime > s.coyoteTime
+
+    // ── Transitions ──
+    switch (this.state) {
+      case 'locomotion':
+        if (airborne) this._enter(verticalVelocity > 1 ? 'jumpStart' : 'airborne')
+        break
+      case 'jumpStart':
+        if (grounded && this.stateTime > s.coyoteTime) this._enter('locomotion')
+        else if (this._clipDone('jumpStart') || verticalVelocity < 0) this._enter('airborne')
+        break
+      case 'airborne':
+        if (grounded) this._enter(this.stateTime > s.minAirTime ? 'land' : 'locomotion')
+        break
+      case 'land':
+        if (airborne) this._enter('airborne')
+        else if (this._clipDone('land') || speed > s.walkSpeed) this._enter('locomotion')
+        break
+      case 'interact':
+        if (airborne) this._enter('airborne')
+        else if (this._clipDone('interact') || speed > 1) this._enter('locomotion')
+        break
+    }
+
+    // ── Target weights ──
+    const targets = this._targets
+    targets.clear()
+
+    if (this.state === 'locomotion') {
+      const walkBlend = THREE.MathUtils.clamp(speed / s.walkSpeed, 0, 1)
+      const runBlend = THREE.MathUtils.clamp((speed - s.walkSpeed) / (s.runSpeed - s.walkSpeed), 0, 1)
+      this._addTarget('idle', 1 - walkBlend)
+      this._addTarget('walk', walkBlend * (1 - runBlend))
+      this._addTarget('run', walkBlend * runBlend)
+
+      // Match stride to ground speed
+      if (this.actions.walk) this.actions.walk.timeScale = THREE.MathUtils.clamp(speed / s.clipSpeeds.walk, 0.5, 2)
+      if (this.actions.run) this.actions.run.timeScale = THREE.MathUtils.clamp(speed / s.clipSpeeds.run, 0.6, 1.6)
+    } else {
+      this._addTarget(this.state, 1)
+    }
+
+    // ── Ease weights ──
+    const k = Math.min(1, deltaTime * s.fadeSpeed)
+    for (const [action, current] of this.weights) {
+      const weight = current + ((targets.get(action) ?? 0) - current) * k
+      this.weights.set(action, weight)
+      action.setEffectiveWeight(weight)
+    }
+
+    this.mixer.update(deltaTime)
+  }
+
+  _addTarget(state, weight) {
+    const action = this._actionFor(state)
+    if (!action || weight <= 0) return
+    this._targets.set(action, (this._targets.get(action) ?? 0) + weight)
+  }
+
+  dispose() {
+    this.mixer.stopAllAction()
+    this.mixer.uncacheRoot(this.root)
+  }
+}
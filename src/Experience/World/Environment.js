@@ -4,6 +4,9 @@ import { Experience } from '../Experience.js'
 /**
  * Environment - Lighting, fog, sky with Time of Day system
  * Presets: dawn, morning, noon, afternoon, dusk, night
+ *
+ * A 0..1 day clock drives everything: presets are keyframes on the clock,
+ * values are interpolated between neighbours and the sun follows an arc.
  */
 export class Environment {
   constructor() {
@@ -11,44 +14,51 @@ export class Environment {
     this.scene = this.experience.scene
 
     // Time of day presets (fog scaled for 1000x1000 world)
+    // time: position on the 0..1 day clock (0 = midnight, 0.5 = noon)
     this.presets = {
       dawn: {
-        sunColor: 0xffa366, sunIntensity: 1.0, sunPos: [50, 30, 80],
+        time: 0.25,
+        sunColor: 0xffa366, sunIntensity: 1.0,
         fillColor: 0x6688cc, fillIntensity: 0.2,
         ambientColor: 0x332244, ambientIntensity: 0.4,
         hemiSky: 0xff8855, hemiGround: 0x223344, hemiIntensity: 0.5,
         skyColor: 0xff7744, fogColor: 0x664433, fogNear: 200, fogFar: 800
       },
       morning: {
-        sunColor: 0xfff0cc, sunIntensity: 1.4, sunPos: [100, 100, 80],
+        time: 0.33,
+        sunColor: 0xfff0cc, sunIntensity: 1.4,
         fillColor: 0x88bbee, fillIntensity: 0.25,
         ambientColor: 0x556655, ambientIntensity: 0.5,
         hemiSky: 0x88ccee, hemiGround: 0x446644, hemiIntensity: 0.6,
         skyColor: 0x88ccee, fogColor: 0x667766, fogNear: 300, fogFar: 1000
       },
       noon: {
-        sunColor: 0xfff5e1, sunIntensity: 1.8, sunPos: [120, 180, 80],
+        time: 0.5,
+        sunColor: 0xfff5e1, sunIntensity: 1.8,
         fillColor: 0x88ccff, fillIntensity: 0.3,
         ambientColor: 0x4a6a5a, ambientIntensity: 0.5,
         hemiSky: 0x87ceeb, hemiGround: 0x2d4a3d, hemiIntensity: 0.6,
         skyColor: 0x87ceeb, fogColor: 0x5a7a6a, fogNear: 300, fogFar: 1200
       },
       afternoon: {
-        sunColor: 0xffe8b0, sunIntensity: 1.5, sunPos: [150, 120, -50],
+        time: 0.62,
+        sunColor: 0xffe8b0, sunIntensity: 1.5,
         fillColor: 0x7799bb, fillIntensity: 0.25,
         ambientColor: 0x556644, ambientIntensity: 0.45,
         hemiSky: 0x99bbdd, hemiGround: 0x445533, hemiIntensity: 0.55,
         skyColor: 0x99bbdd, fogColor: 0x667755, fogNear: 250, fogFar: 1000
       },
       dusk: {
-        sunColor: 0xff6633, sunIntensity: 0.9, sunPos: [-80, 30, -100],
+        time: 0.75,
+        sunColor: 0xff6633, sunIntensity: 0.9,
         fillColor: 0x443366, fillIntensity: 0.15,
         ambientColor: 0x332233, ambientIntensity: 0.35,
         hemiSky: 0xcc5533, hemiGround: 0x221122, hemiIntensity: 0.4,
         skyColor: 0xcc4422, fogColor: 0x442233, fogNear: 150, fogFar: 700
       },
       night: {
-        sunColor: 0x4466aa, sunIntensity: 0.3, sunPos: [-50, 80, -50],
+        time: 0.0,
+        sunColor: 0x4466aa, sunIntensity: 0.3,
         fillColor: 0x223355, fillIntensity: 0.1,
         ambientColor: 0x111122, ambientIntensity: 0.25,
         hemiSky: 0x112244, hemiGround: 0x0a0a15, hemiIntensity: 0.3,
@@ -56,6 +66,26 @@ export class Environment {
       }
     }
 
+    // Day/night cycle
+    this.cycle = {
+      enabled: false,
+      dayLength: 240,          // Seconds for a full 24h cycle
+      transitionDuration: 2.5, // Seconds for preset button tweens
+      sunDistance: 200,        // Radius of the sun arc
+      tilt: 0.4,               // Keeps the noon sun off the zenith for readable shadows
+      azimuth: 0.6,            // Rotation of the arc around Y (radians)
+    }
+
+    this.timeOfDay = 0.5
+    this.darkness = 0 // 0 = full daylight, 1 = deep night
+    this._transition = null
+
+    // Pre-allocated for interpolation
+    this._colorA = new THREE.Color()
+    this._colorB = new THREE.Color()
+    this._sunDir = new THREE.Vector3()
+
+    this.sortKeyframes()
     this.currentPreset = 'noon'
     this.setupLights()
     this.setupSkybox()
@@ -65,7 +95,7 @@ export class Environment {
   setupLights() {
     this.sunLight = new THREE.DirectionalLight(0xffffff, 1.8)
     this.sunLight.castShadow = true
-    this.sunLight.shadow.camera.far = 200
+    this.sunLight.shadow.camera.far = 400
     this.sunLight.shadow.camera.left = -100
     this.sunLight.shadow.camera.top = 100
     this.sunLight.shadow.camera.right = 100
@@ -94,47 +124,185 @@ export class Environment {
   }
 
   /**
-   * Apply a time-of-day preset
+   * Tween to a time-of-day preset
    * @param {string} preset - dawn|morning|noon|afternoon|dusk|night
-   * @param {boolean} animate - whether to smoothly transition (not implemented, instant)
+   * @param {boolean} animate - false to snap (e.g. restoring a saved preset)
    */
-  setPreset(preset) {
+  setPreset(preset, animate = true) {
     if (!this.presets[preset]) return
-    this.applyPreset(preset, false)
+    this.applyPreset(preset, animate)
   }
 
+  /**
+   * Apply a time-of-day preset
+   * @param {string} presetName - dawn|morning|noon|afternoon|dusk|night
+   * @param {boolean} animate - tween the clock to the preset instead of snapping
+   */
   applyPreset(presetName, animate) {
     const p = this.presets[presetName]
     if (!p) return
     this.currentPreset = presetName
 
+    if (animate) {
+      this.transitionTo(p.time)
+    } else {
+      this._transition = null
+      this.setTime(p.time)
+    }
+
+    console.log(`🌤️ Time of day: ${presetName}`)
+  }
+
+  /**
+   * Smoothly move the clock to a time, taking the shortest way round
+   * @param {number} time - Target time (0..1)
+   */
+  transitionTo(time) {
+    let delta = (time - this.timeOfDay) % 1
+    if (delta > 0.5) delta -= 1
+    if (delta < -0.5) delta += 1
+
+    this._transition = {
+      from: this.timeOfDay,
+      delta,
+      elapsed: 0,
+      duration: this.cycle.transitionDuration,
+    }
+  }
+
+  /**
+   * Jump the clock and re-evaluate lighting immediately
+   * @param {number} time - 0..1 (0 = midnight, 0.5 = noon)
+   */
+  setTime(time) {
+    this.timeOfDay = ((time % 1) + 1) % 1
+    this._evaluate(this.timeOfDay)
+  }
+
+  setAutoCycle(enabled) {
+    this.cycle.enabled = enabled
+    console.log(`🌗 Day/night cycle ${enabled ? 'ON' : 'OFF'}`)
+  }
+
+  setDayLength(seconds) {
+    this.cycle.dayLength = Math.max(10, seconds)
+  }
+
+  /**
+   * How dark it currently is (0 = day, 1 = night)
+   */
+  getDarkness() {
+    return this.darkness
+  }
+
+  /**
+   * Order the presets by clock time; call again after editing a preset's time
+   */
+  sortKeyframes() {
+    this._keyframes = Object.entries(this.presets).sort((a, b) => a[1].time - b[1].time)
+  }
+
+  /**
+   * Get the two presets around a clock time and the blend factor between them
+   */
+  _getKeyframes(time) {
+    const keys = this._keyframes
+
+    for (let i = 0; i < keys.length; i++) {
+      const [nameA, a] = keys[i]
+      const [nameB, b] = keys[(i + 1) % keys.length]
+      const start = a.time
+      const end = i === keys.length - 1 ? b.time + 1 : b.time
+      const t = time < start && i === keys.length - 1 ? time + 1 : time
+
+      if (t >= start && t < end) {
+        return { nameA, a, nameB, b, f: (t - start) / (end - start) }
+      }
+    }
+
+    // time is before the first keyframe: blend last → first across midnight
+    const [nameA, a] = keys[keys.length - 1]
+    const [nameB, b] = keys[0]
+    const span = b.time + 1 - a.time
+    return { nameA, a, nameB, b, f: (time + 1 - a.time) / span }
+  }
+
+  _lerpColor(target, hexA, hexB, f) {
+    target.copy(this._colorA.setHex(hexA).lerp(this._colorB.setHex(hexB), f))
+  }
+
+  /**
+   * Interpolate all lighting values for a clock time
+   */
+  _evaluate(time) {
+    const { nameA, a, nameB, b, f } = this._getKeyframes(time)
+    const lerp = THREE.MathUtils.lerp
+
+    this.currentPreset = f < 0.5 ? nameA : nameB
+
+    // Sun arc: rises at 0.25, peaks at 0.5, sets at 0.75. At night the light
+    // keeps sweeping back across the sky low down, reading as moonlight.
+    const theta = (time - 0.25) * Math.PI * 2
+    const elevation = Math.sin(theta)
+    this._sunDir.set(
+      Math.cos(theta),
+      Math.max(Math.abs(elevation), 0.15),
+      this.cycle.tilt
+    ).normalize()
+    this._sunDir.applyAxisAngle(THREE.Object3D.DEFAULT_UP, this.cycle.azimuth)
+
+    this.darkness = THREE.MathUtils.clamp(1 - (elevation + 0.15) / 0.4, 0, 1)
+
     // Sun
-    this.sunLight.color.setHex(p.sunColor)
-    this.sunLight.intensity = p.sunIntensity
-    this.sunLight.position.set(p.sunPos[0], p.sunPos[1], p.sunPos[2])
+    this._lerpColor(this.sunLight.color, a.sunColor, b.sunColor, f)
+    this.sunLight.intensity = lerp(a.sunIntensity, b.sunIntensity, f)
+    this.sunLight.position.copy(this._sunDir).multiplyScalar(this.cycle.sunDistance)
 
-    // Fill
-    this.fillLight.color.setHex(p.fillColor)
-    this.fillLight.intensity = p.fillIntensity
-    this.fillLight.position.set(-p.sunPos[0], p.sunPos[1] * 0.5, -p.sunPos[2])
+    // Fill (opposite the sun)
+    this._lerpColor(this.fillLight.color, a.fillColor, b.fillColor, f)
+    this.fillLight.intensity = lerp(a.fillIntensity, b.fillIntensity, f)
+    this.fillLight.position.set(-this.sunLight.position.x, this.sunLight.position.y * 0.5, -this.sunLight.position.z)
 
     // Ambient
-    this.ambientLight.color.setHex(p.ambientColor)
-    this.ambientLight.intensity = p.ambientIntensity
+    this._lerpColor(this.ambientLight.color, a.ambientColor, b.ambientColor, f)
+    this.ambientLight.intensity = lerp(a.ambientIntensity, b.ambientIntensity, f)
 
     // Hemisphere
-    this.hemisphereLight.color.setHex(p.hemiSky)
-    this.hemisphereLight.groundColor.setHex(p.hemiGround)
-    this.hemisphereLight.intensity = p.hemiIntensity
+    this._lerpColor(this.hemisphereLight.color, a.hemiSky, b.hemiSky, f)
+    this._lerpColor(this.hemisphereLight.groundColor, a.hemiGround, b.hemiGround, f)
+    this.hemisphereLight.intensity = lerp(a.hemiIntensity, b.hemiIntensity, f)
 
     // Sky
-    this.skyMaterial.color.setHex(p.skyColor)
+    this._lerpColor(this.skyMaterial.color, a.skyColor, b.skyColor, f)
 
     // Fog
-    this.scene.fog.color.setHex(p.fogColor)
-    this.scene.fog.near = p.fogNear
-    this.scene.fog.far = p.fogFar
+    this._lerpColor(this.scene.fog.color, a.fogColor, b.fogColor, f)
+    this.scene.fog.near = lerp(a.fogNear, b.fogNear, f)
+    this.scene.fog.far = lerp(a.fogFar, b.fogFar, f)
+  }
 
-    console.log(`🌤️ Time of day: ${presetName}`)
+  /**
+   * Advance the clock (auto cycle) and any running preset tween
+   * @param {number} deltaTime - Seconds since last frame
+   */
+  update(deltaTime) {
+    if (this._transition) {
+      const tr = this._transition
+      tr.elapsed += deltaTime
+      const k = Math.min(tr.elapsed / tr.duration, 1)
+      const eased = k * k * (3 - 2 * k)
+      this.setTime(tr.from + tr.delta * eased)
+      if (k >= 1) this._transition = null
+    } else if (this.cycle.enabled) {
+      this.setTime(this.timeOfDay + deltaTime / this.cycle.dayLength)
+    }
+  }
+
+  dispose() {
+    this.scene.remove(this.sunLight, this.fillLight, this.ambientLight, this.hemisphereLight, this.sky)
+    this.sky.geometry.dispose()
+    this.skyMaterial.dispose()
+    this.sunLight.dispose()
+    this.fillLight.dispose()
   }
 }
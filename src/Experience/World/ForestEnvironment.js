@@ -1,6 +1,10 @@
 import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
 import { Experience } from '../Experience.js'
+import { ColliderBuilder } from '../Utils/ColliderBuilder.js'
+
+// GLB scene → collider descriptors, shared across environment toggles
+const colliderCache = new WeakMap()
 
 /**
  * ForestEnvironment - GLB forest world properly scaled and optimized
@@ -91,6 +95,10 @@ export class ForestEnvironment {
     model.traverse((child) => {
       if (child.isMesh) {
         meshCount++
+
+        // Collision-only proxies stay in the graph for collider generation
+        if (ColliderBuilder.readTags(child, model).proxy) child.visible = false
+
         child.castShadow = false
         child.receiveShadow = true
         child.frustumCulled = true
@@ -127,40 +135,38 @@ export class ForestEnvironment {
     this.group.add(model)
     this.forestModel = model
 
-    // Generate physics colliders from large meshes
-    this.createColliders(model)
+    // Generate physics colliders (cached per GLB)
+    this.createColliders(model, gltf.scene)
   }
 
-  createColliders(model) {
-    let colliderCount = 0
-    model.traverse((child) => {
-      if (!child.isMesh) return
-
-      // Get world-space bounding box for this mesh
-      const box = new THREE.Box3().setFromObject(child)
-      const size = new THREE.Vector3()
-      box.getSize(size)
-      const center = new THREE.Vector3()
-      box.getCenter(center)
-
-      // Skip tiny meshes (leaves, small decorations) — only collide with substantial geometry
-      if (size.x < 0.5 && size.y < 0.5 && size.z < 0.5) return
+  /**
+   * Static colliders from the ColliderBuilder naming / userData conventions.
+   * The model is normalised the same way on every load, so the world-space
+   * shapes are built once per GLB and reused when toggling back here.
+   */
+  createColliders(model, source) {
+    let colliders = colliderCache.get(source)
+    if (!colliders) {
+      colliders = new ColliderBuilder().build(model)
+      colliderCache.set(source, colliders)
+
+      const counts = {}
+      for (const { kind } of colliders) counts[kind] = (counts[kind] ?? 0) + 1
+      console.log('🧱 Built forest colliders:', counts)
+    }
 
-      // Create a CANNON box at the mesh's bounding box
-      const halfExtents = new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2)
-      const shape = new CANNON.Box(halfExtents)
+    for (const { shape, position, quaternion } of colliders) {
       const body = new CANNON.Body({
         mass: 0,
         shape,
-        position: new CANNON.Vec3(center.x, center.y, center.z),
+        position,
+        quaternion,
         material: this.physics.defaultMaterial
       })
-      body.collisionResponse = true
       this.physics.world.addBody(body)
       this.bodies.push(body)
-      colliderCount++
-    })
-    console.log(`🧱 Created ${colliderCount} forest colliders`)
+    }
+    console.log(`🧱 Added ${colliders.length} forest colliders`)
   }
 
   createZoneMarkers() {
@@ -238,10 +244,13 @@ export class ForestEnvironment {
         new THREE.CircleGeometry(0.9, 10),
         new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.45, side: THREE.DoubleSide })
       )
+      surface.name = 'PortalSurface'
       surface.position.y = 1.2
+      surface.userData.bloom = true
       g.add(surface)
 
       g.userData = {
+        isInteractable: true,
         isPortal: true,
         portalId: def.id,
         toZone: def.to,
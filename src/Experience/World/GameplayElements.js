@@ -0,0 +1,370 @@
+import * as THREE from 'three'
+import * as CANNON from 'cannon-es'
+import { Experience } from '../Experience.js'
+
+/**
+ * GameplayElements — Jump pads, ice, moving platforms and launch ramps
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Built by TestEnvironment from the `defs` list in `_build()`. Positions are
+ * [x, z]; heights come from the terrain (TestEnvironment.getGroundAt).
+ *
+ *   jumpPad    → bouncy pad that throws the player straight up
+ *   ice        → slippery strip along a path segment (Player.surfaceGrip)
+ *   mover      → kinematic platform easing between pos and pos + offset
+ *   rotator    → kinematic disc spinning around Y
+ *   launchRamp → one-way ramp that lobs the player onto a target, usually in
+ *                a higher zone; only fires when running up the ramp
+ *
+ * Platforms carry the player because the controller moves relative to the
+ * body underfoot. Pads and ramps are skipped while the guided tour steers.
+ */
+export class GameplayElements {
+  /**
+   * @param {import('./TestEnvironment.js').TestEnvironment} environment
+   */
+  constructor(environment) {
+    this.experience = new Experience()
+    this.physics = this.experience.physics
+    this.environment = environment
+
+    this.group = new THREE.Group()
+    this.group.name = 'GameplayElements'
+
+    this.bodies = []
+    this.pads = []       // { body, ring, power, flash }
+    this.ramps = []      // { body, start, dir, trigger, target, flightTime }
+    this.platforms = []  // { type, body, mesh, start, offset, period }
+    this.elapsed = 0
+
+    this.materials = {
+      pad: new THREE.MeshStandardMaterial({ color: 0x3a3f4a, roughness: 0.6, flatShading: true }),
+      padGlow: new THREE.MeshBasicMaterial({ color: 0x7CFFB2, transparent: true, opacity: 0.6, side: THREE.DoubleSide }),
+      ice: new THREE.MeshStandardMaterial({ color: 0xCFEFFF, roughness: 0.05, metalness: 0.3, transparent: true, opacity: 0.85 }),
+      platform: new THREE.MeshStandardMaterial({ color: 0x8D6E63, roughness: 0.8, flatShading: true }),
+      platformTrim: new THREE.MeshBasicMaterial({ color: 0xFFD54F }),
+      ramp: new THREE.MeshStandardMaterial({ color: 0xB0693A, roughness: 0.85, flatShading: true }),
+      arrow: new THREE.MeshBasicMaterial({ color: 0xFFB74D }),
+    }
+
+    // Pre-allocated
+    this._target = new THREE.Vector3()
+
+    this._build()
+    environment.group.add(this.group)
+  }
+
+  // ═══════════════════════════════════════
+  // PLACEMENT
+  // ═══════════════════════════════════════
+
+  _build() {
+    const defs = [
+      // Jump pads (power = launch speed, m/s)
+      { type: 'jumpPad', pos: [14, -14], power: 16 },
+      { type: 'jumpPad', pos: [-14, -166], power: 16 },
+      { type: 'jumpPad', pos: [166, 14], power: 20 },
+
+      // Ice along the path sections
+      { type: 'ice', from: [0, -118], to: [0, -150], width: 6 },
+      { type: 'ice', from: [60, 0], to: [95, 0], width: 5 },
+
+      // Moving platforms (height = clearance above the highest ground along the route)
+      { type: 'mover', pos: [12, -60], size: [4, 0.4, 4], offset: [0, 0, -30], period: 12, height: 0.1 },
+      { type: 'mover', pos: [164, 194], size: [3.5, 0.4, 3.5], offset: [0, 8, 0], period: 10, height: 0.1 },
+      { type: 'mover', pos: [-112, 244], size: [3, 0.4, 3], offset: [0, 6, 0], period: 9, height: 0.1 },
+      { type: 'rotator', pos: [-196, 14], radius: 3.5, speed: 0.6 },
+
+      // Launch ramps beside the paths up to the two highest zones
+      { type: 'launchRamp', pos: [-134, 227], to: [-104, 288], flightTime: 1.8 }, // Z4 → Z6
+      { type: 'launchRamp', pos: [134, 227], to: [104, 288], flightTime: 1.8 },   // Z5 → Z7
+    ]
+
+    const builders = {
+      jumpPad: def => this._buildJumpPad(def),
+      ice: def => this._buildIce(def),
+      mover: def => this._buildMover(def),
+      rotator: def => this._buildRotator(def),
+      launchRamp: def => this._buildLaunchRamp(def),
+    }
+
+    for (const def of defs) builders[def.type]?.(def)
+
+    console.log(`🎢 Gameplay elements: ${this.pads.length} pads, ${this.ramps.length} ramps, ${this.platforms.length} platforms`)
+  }
+
+  _addBody(body) {
+    this.physics.world.addBody(body)
+    this.bodies.push(body)
+    return body
+  }
+
+  _buildJumpPad({ pos: [x, z], power }) {
+    const { y } = this.environment.getGroundAt(x, z)
+    const radius = 1.2, height = 0.2
+
+    const base = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius + 0.15, height, 16), this.materials.pad)
+    base.position.set(x, y, z)
+    base.receiveShadow = true
+    this.group.add(base)
+
+    const ringGeo = new THREE.RingGeometry(radius * 0.45, radius * 0.8, 20)
+    ringGeo.rotateX(-Math.PI / 2)
+    const ring = new THREE.Mesh(ringGeo, this.materials.padGlow.clone())
+    ring.position.set(x, y + height / 2 + 0.02, z)
+    ring.userData.bloom = true
+    this.group.add(ring)
+
+    // Half sunk so the rim is a walkable step
+    const body = this._addBody(new CANNON.Body({
+      mass: 0,
+      shape: new CANNON.Cylinder(radius, radius, height, 12),
+      position: new CANNON.Vec3(x, y, z),
+      material: this.physics.bouncyMaterial,
+    }))
+
+    this.pads.push({ body, ring, power, flash: 0 })
+  }
+
+  _buildIce({ from, to, width }) {
+    const start = new THREE.Vector2(from[0], from[1])
+    const end = new THREE.Vector2(to[0], to[1])
+    const length = start.distanceTo(end)
+    const count = Math.ceil(length / 4)
+    const tileLength = length / count
+    const thickness = 0.08
+
+    const dir = new THREE.Vector3(end.x - start.x, 0, end.y - start.y).normalize()
+    const geo = new THREE.BoxGeometry(width, thickness, tileLength)
+    const shape = new CANNON.Box(new CANNON.Vec3(width / 2, thickness / 2, tileLength / 2))
+    const forward = new THREE.Vector3()
+    const side = new THREE.Vector3()
+    const basis = new THREE.Matrix4()
+
+    // Short tiles, each laid flat on the terrain under it
+    for (let i = 0; i < count; i++) {
+      const t = (i + 0.5) / count
+      const x = THREE.MathUtils.lerp(start.x, end.x, t)
+      const z = THREE.MathUtils.lerp(start.y, end.y, t)
+      const { y, normal } = this.environment.getGroundAt(x, z)
+
+      forward.copy(dir).addScaledVector(normal, -dir.dot(normal)).normalize()
+      side.crossVectors(normal, forward)
+      basis.makeBasis(side, normal, forward)
+
+      const mesh = new THREE.Mesh(geo, this.materials.ice)
+      mesh.quaternion.setFromRotationMatrix(basis)
+      mesh.position.set(x, y + thickness / 2 - 0.02, z)
+      mesh.receiveShadow = true
+      this.group.add(mesh)
+
+      const body = new CANNON.Body({
+        mass: 0,
+        shape,
+        position: new CANNON.Vec3(mesh.position.x, mesh.position.y, mesh.position.z),
+        material: this.physics.slipperyMaterial,
+      })
+      body.quaternion.set(mesh.quaternion.x, mesh.quaternion.y, mesh.quaternion.z, mesh.quaternion.w)
+      this._addBody(body)
+    }
+  }
+
+  _buildMover({ pos: [x, z], size, offset, period, height }) {
+    // Rest on the highest ground along the route so the platform never dips into the terrain
+    let groundY = -Infinity
+    for (let i = 0; i <= 8; i++) {
+      const t = i / 8
+      groundY = Math.max(groundY, this.environment.getGroundAt(x + offset[0] * t, z + offset[2] * t).y)
+    }
+    const start = new THREE.Vector3(x, groundY + height - size[1] / 2, z)
+
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(size[0], size[1], size[2]), this.materials.platform)
+    mesh.position.copy(start)
+    mesh.castShadow = true
+    mesh.receiveShadow = true
+    const trim = new THREE.Mesh(new THREE.BoxGeometry(size[0] + 0.1, 0.06, size[2] + 0.1), this.materials.platformTrim)
+    trim.position.y = size[1] / 2 - 0.02
+    mesh.add(trim)
+    this.group.add(mesh)
+
+    const body = this._addBody(new CANNON.Body({
+      type: CANNON.Body.KINEMATIC,
+      shape: new CANNON.Box(new CANNON.Vec3(size[0] / 2, size[1] / 2, size[2] / 2)),
+      position: new CANNON.Vec3(start.x, start.y, start.z),
+      material: this.physics.defaultMaterial,
+    }))
+    body.allowSleep = false
+
+    this.platforms.push({ type: 'mover', body, mesh, start, offset: new THREE.Vector3(...offset), period })
+  }
+
+  _buildRotator({ pos: [x, z], radius, speed }) {
+    const { y } = this.environment.getGroundAt(x, z)
+    const height = 0.4
+
+    const mesh = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, height, 16), this.materials.platform)
+    mesh.position.set(x, y + 0.1 - height / 2, z)
+    mesh.receiveShadow = true
+    // Stripe so the spin is visible
+    const stripe = new THREE.Mesh(new THREE.BoxGeometry(radius * 2, 0.06, 0.3), this.materials.platformTrim)
+    stripe.position.y = height / 2
+    mesh.add(stripe)
+    this.group.add(mesh)
+
+    const body = this._addBody(new CANNON.Body({
+      type: CANNON.Body.KINEMATIC,
+      shape: new CANNON.Cylinder(radius, radius, height, 12),
+      position: new CANNON.Vec3(mesh.position.x, mesh.position.y, mesh.position.z),
+      material: this.physics.defaultMaterial,
+    }))
+    body.allowSleep = false
+    body.angularVelocity.set(0, speed, 0)
+
+    this.platforms.push({ type: 'rotator', body, mesh })
+  }
+
+  _buildLaunchRamp({ pos: [x, z], to, flightTime }) {
+    const length = 7, width = 3, thickness = 0.4, rise = 1.5
+    const { y } = this.environment.getGroundAt(x, z)
+    const target = this.environment.getGroundAt(to[0], to[1])
+
+    const dir = new THREE.Vector3(to[0] - x, 0, to[1] - z).normalize()
+    const pitch = Math.asin(rise / length)
+    const quaternion = new THREE.Quaternion().setFromEuler(
+      new THREE.Euler(-pitch, Math.atan2(dir.x, dir.z), 0, 'YXZ')
+    )
+
+    // Place the box so the top of its low end sits on the ground at `pos`
+    const lowEdge = new THREE.Vector3(0, thickness / 2, -length / 2).applyQuaternion(quaternion)
+    const center = new THREE.Vector3(x, y - 0.05, z).sub(lowEdge)
+
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, thickness, length), this.materials.ramp)
+    mesh.position.copy(center)
+    mesh.quaternion.copy(quaternion)
+    mesh.castShadow = true
+    mesh.receiveShadow = true
+    // Chevron pointing up the ramp
+    const arrow = new THREE.Mesh(new THREE.ConeGeometry(0.5, 1.2, 3), this.materials.arrow)
+    arrow.rotation.x = Math.PI / 2
+    arrow.position.set(0, thickness / 2 + 0.02, 0)
+    arrow.scale.z = 0.1
+    mesh.add(arrow)
+    this.group.add(mesh)
+
+    const body = new CANNON.Body({
+      mass: 0,
+      shape: new CANNON.Box(new CANNON.Vec3(width / 2, thickness / 2, length / 2)),
+      position: new CANNON.Vec3(center.x, center.y, center.z),
+      material: this.physics.defaultMaterial,
+    })
+    body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w)
+    this._addBody(body)
+
+    this.ramps.push({
+      body,
+      start: new THREE.Vector3(x, y, z),
+      dir,
+      trigger: length * Math.cos(pitch) * 0.6, // Horizontal distance up the ramp before launch
+      minSpeed: 4,
+      target: new THREE.Vector3(to[0], target.y + 0.5, to[1]),
+      flightTime,
+    })
+  }
+
+  // ═══════════════════════════════════════
+  // UPDATE
+  // ═══════════════════════════════════════
+
+  /**
+   * @param {number} deltaTime - Seconds
+   */
+  update(deltaTime) {
+    this.elapsed += deltaTime
+
+    // ── Platforms ──
+    // Kinematic bodies are driven by velocity so the solver (and the player
+    // controller) see the motion; aiming at next frame's pose keeps them on the path
+    const next = this.elapsed + deltaTime
+    for (const platform of this.platforms) {
+      const { body, mesh } = platform
+
+      if (platform.type === 'mover' && deltaTime > 0) {
+        const phase = (1 - Math.cos((next / platform.period) * Math.PI * 2)) / 2
+        this._target.copy(platform.start).addScaledVector(platform.offset, phase)
+        body.velocity.set(
+          (this._target.x - body.position.x) / deltaTime,
+          (this._target.y - body.position.y) / deltaTime,
+          (this._target.z - body.position.z) / deltaTime
+        )
+      }
+
+      mesh.position.copy(body.position)
+      mesh.quaternion.copy(body.quaternion)
+    }
+
+    // ── Pad glow ──
+    for (const pad of this.pads) {
+      pad.flash = Math.max(0, pad.flash - deltaTime * 2)
+      pad.ring.material.opacity = 0.45 + Math.sin(this.elapsed * 4) * 0.15 + pad.flash * 0.4
+      pad.ring.scale.setScalar(1 + pad.flash * 0.4)
+    }
+
+    this._updateTriggers()
+  }
+
+  _updateTriggers() {
+    const player = this.experience.world?.player
+    const ground = player?.groundBody
+    if (!ground || player.autopilot) return
+
+    const pad = this.pads.find(p => p.body === ground)
+    if (pad) {
+      const v = player.body.velocity
+      player.launch({ x: v.x, y: pad.power, z: v.z }, { airControl: true })
+      pad.flash = 1
+      this.experience.audioManager?.play('jump')
+      return
+    }
+
+    const ramp = this.ramps.find(r => r.body === ground)
+    if (ramp) {
+      const p = player.body.position
+      const v = player.body.velocity
+      const progress = (p.x - ramp.start.x) * ramp.dir.x + (p.z - ramp.start.z) * ramp.dir.z
+      const speed = v.x * ramp.dir.x + v.z * ramp.dir.z
+      if (progress < ramp.trigger || speed < ramp.minSpeed) return
+
+      // Ballistic arc that lands on the target after flightTime
+      const t = ramp.flightTime
+      const g = this.physics.world.gravity.y
+      player.launch({
+        x: (ramp.target.x - p.x) / t,
+        y: (ramp.target.y - p.y) / t - 0.5 * g * t,
+        z: (ramp.target.z - p.z) / t,
+      })
+      this.experience.audioManager?.play('jump')
+    }
+  }
+
+  // ═══════════════════════════════════════
+  // CLEANUP
+  // ═══════════════════════════════════════
+
+  dispose() {
+    this.bodies.forEach(body => this.physics.world.removeBody(body))
+    this.bodies = []
+
+    this.group.traverse(child => {
+      if (child.isMesh) {
+        child.geometry?.dispose()
+        if (!Object.values(this.materials).includes(child.material)) child.material?.dispose()
+      }
+    })
+    this.group.removeFromParent()
+    for (const material of Object.values(this.materials)) material.dispose()
+
+    this.pads = []
+    this.ramps = []
+    this.platforms = []
+    console.log('🧹 Gameplay elements disposed')
+  }
+}
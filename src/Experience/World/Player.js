@@ -1,27 +1,101 @@
 import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
 import { Experience } from '../Experience.js'
+import { CharacterAnimator } from './CharacterAnimator.js'
 
 /**
  * Player - Robot character with proper physics grounding
+ *
+ * Visuals: a procedural robot is built immediately; once Resources has the
+ * optional `playerModel` GLB (see sources.js) it replaces the robot and is
+ * driven by CharacterAnimator. If the GLB is missing or has no skeleton the robot stays.
+ *
+ * Controller: velocity-based on a dynamic sphere. Each frame it probes the
+ * ground (solver contacts + Physics.groundCheck), accelerates toward the
+ * input velocity, keeps that velocity in the ground plane on slopes, treats
+ * contacts steeper than `maxSlope` as walls and snaps down small steps.
+ * Jumps use coyote time and input buffering. Movement is relative to the
+ * body underfoot, so kinematic platforms carry the player, and the ground
+ * material scales grip (ice).
  */
 export class Player {
   constructor() {
     this.experience = new Experience()
     this.scene = this.experience.scene
     this.physics = this.experience.physics
+    this.resources = this.experience.resources
 
     // Config
     this.jumpForce = 8
-    this.canJump = false
+    this.radius = 0.4
+
+    // Character controller tuning
+    this.controller = {
+      walkSpeed: 12,          // m/s
+      sprintSpeed: 18,
+      acceleration: 60,       // m/s² toward the input velocity on the ground
+      deceleration: 80,       // m/s² when stopping or reversing
+      airAcceleration: 18,    // Air control
+      airDeceleration: 3,
+      turnRate: 0.15,         // Facing lerp per frame
+      maxSlope: 45,           // Degrees; steeper surfaces are walls
+      snapDistance: 0.35,     // Step-down snap below the feet
+      coyoteTime: 0.12,       // Seconds a jump is still allowed after leaving the ground
+      jumpBuffer: 0.15,       // Seconds a jump press is remembered before landing
+      surfaceGrip: {          // Acceleration multiplier per ground material name
+        slippery: 0.12,
+      },
+      stamina: {
+        drain: 0.25,          // Per second while sprinting (1 = full bar)
+        regen: 0.3,
+        regenDelay: 0.8,
+        recover: 0.3,         // Level needed to sprint again after running dry
+      },
+    }
+
+    // Controller state
+    this.canJump = false      // Grounded, or within coyote time
+    this.isGrounded = false
     this.isMoving = false
+    this.isSprinting = false
+    this.stamina = 1
+    this.groundNormal = new THREE.Vector3(0, 1, 0)
+    this.groundBody = null    // CANNON.Body underfoot
+    this.groundVelocity = new THREE.Vector3() // Surface velocity of a moving ground body
+    this._minGroundNormalY = Math.cos(THREE.MathUtils.degToRad(this.controller.maxSlope))
+    this._coyoteTimer = 0
+    this._jumpBufferTimer = 0
+    this._jumpLockTimer = 0   // Ignore the ground right after take-off
+    this._ballistic = false   // Launched: no air control until landing
+    this._staminaDelay = 0
+    this._exhausted = false
+    this._steepNormal = new THREE.Vector3()
+    this._hasSteepContact = false
+    this._contactNormal = new CANNON.Vec3()
+    this._lastSwingSign = 0
+    this._strideDistance = 0
+
+    // Skinned character (null while the procedural robot is shown)
+    this.character = null
+    this.animator = null
+
+    // Input (actions come from InputManager)
+    this.input = this.experience.inputManager
+    this.hasMoveInput = false
+    this._offJump = this.input?.on('jump', () => {
+      this._jumpBufferTimer = this.controller.jumpBuffer
+    })
+
+    // External steering (guided tour): { direction: THREE.Vector3|null, speedFactor } or null.
+    // Direct input always wins; jump is disabled while set.
+    this.autopilot = null
 
-    // Input
-    this.keys = { forward: false, backward: false, left: false, right: false, jump: false }
+    // Scripted sequences (portal transitions) own the body: no input, no physics response
+    this.scripted = false
 
     this.setMesh()
     this.setPhysics()
-    this.setControls()
+    this.setCharacter()
 
     // Pre-allocated vectors (avoid per-frame GC)
     this._forward = new THREE.Vector3()
@@ -34,6 +108,11 @@ export class Player {
     this.mesh = new THREE.Group()
     this.mesh.name = 'Player'
 
+    // Procedural robot (fallback when no character model is available)
+    this.robot = new THREE.Group()
+    this.robot.name = 'PlayerRobot'
+    this.mesh.add(this.robot)
+
     // Shared materials (reuse for perf)
     const bodyMat = new THREE.MeshStandardMaterial({ color: 0x4FC3F7, metalness: 0.5, roughness: 0.3, flatShading: true })
     const darkMat = new THREE.MeshStandardMaterial({ color: 0x37474F, metalness: 0.4, roughness: 0.5, flatShading: true })
@@ -43,54 +122,54 @@ export class Player {
     const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.3, 0.5, 3, 6), bodyMat)
     body.position.y = 0.55
     body.castShadow = true
-    this.mesh.add(body)
+    this.robot.add(body)
 
     // Head
     const head = new THREE.Mesh(new THREE.SphereGeometry(0.25, 6, 6), bodyMat)
     head.position.y = 1.1
     head.castShadow = true
-    this.mesh.add(head)
+    this.robot.add(head)
 
     // Eyes
     const eyeGeo = new THREE.SphereGeometry(0.05, 4, 4)
     const leftEye = new THREE.Mesh(eyeGeo, glowMat)
     leftEye.position.set(-0.08, 1.15, 0.2)
-    this.mesh.add(leftEye)
+    this.robot.add(leftEye)
 
     const rightEye = new THREE.Mesh(eyeGeo, glowMat)
     rightEye.position.set(0.08, 1.15, 0.2)
-    this.mesh.add(rightEye)
+    this.robot.add(rightEye)
 
     // Antenna
     const antenna = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, 0.2, 3), darkMat)
     antenna.position.set(0, 1.45, 0)
-    this.mesh.add(antenna)
+    this.robot.add(antenna)
 
     const tip = new THREE.Mesh(new THREE.SphereGeometry(0.04, 4, 4), glowMat)
     tip.position.set(0, 1.58, 0)
-    this.mesh.add(tip)
+    this.robot.add(tip)
 
     // Arms
     const armGeo = new THREE.CapsuleGeometry(0.06, 0.25, 2, 4)
     this.leftArm = new THREE.Mesh(armGeo, bodyMat)
     this.leftArm.position.set(-0.4, 0.55, 0)
     this.leftArm.rotation.z = 0.2
-    this.mesh.add(this.leftArm)
+    this.robot.add(this.leftArm)
 
     this.rightArm = new THREE.Mesh(armGeo, bodyMat)
     this.rightArm.position.set(0.4, 0.55, 0)
     this.rightArm.rotation.z = -0.2
-    this.mesh.add(this.rightArm)
+    this.robot.add(this.rightArm)
 
     // Legs
     const legGeo = new THREE.CapsuleGeometry(0.08, 0.15, 2, 4)
     this.leftLeg = new THREE.Mesh(legGeo, darkMat)
     this.leftLeg.position.set(-0.12, 0.12, 0)
-    this.mesh.add(this.leftLeg)
+    this.robot.add(this.leftLeg)
 
     this.rightLeg = new THREE.Mesh(legGeo, darkMat)
     this.rightLeg.position.set(0.12, 0.12, 0)
-    this.mesh.add(this.rightLeg)
+    this.robot.add(this.rightLeg)
 
     // Start position (near spawn marker in larger world)
     this.mesh.position.set(0, 6, 50)
@@ -99,70 +178,150 @@ export class Player {
 
   setPhysics() {
     // Sphere collider
-    const shape = new CANNON.Sphere(0.4)
+    const shape = new CANNON.Sphere(this.radius)
     this.body = new CANNON.Body({
       mass: 5,
       shape,
       position: new CANNON.Vec3(0, 6, 50),
-      linearDamping: 0.3,
+      linearDamping: 0,       // The controller handles drag; keeps launch arcs exact
       angularDamping: 0.99,
       fixedRotation: true,
-      material: this.physics.defaultMaterial
+      material: this.physics.playerMaterial,
+      // Own group so ground probes can skip the player
+      collisionFilterGroup: this.physics.groups.player,
     })
 
     // CRITICAL: Player body must never sleep, otherwise velocity changes are ignored
     this.body.allowSleep = false
     this.body.sleepState = 0 // AWAKE
 
-    this.body.addEventListener('collide', (e) => {
-      const contact = e.contact
-      // Determine which body is self and get correct normal direction
-      const normal = new CANNON.Vec3()
-      if (contact.bi.id === this.body.id) {
-        contact.ni.negate(normal)
-      } else {
-        normal.copy(contact.ni)
-      }
-      // If normal points upward, we're on ground
-      if (normal.y > 0.3) {
-        this.canJump = true
-      }
-    })
-
     this.physics.world.addBody(this.body)
     console.log('🤖 Player physics body added, id:', this.body.id, 'sleepState:', this.body.sleepState)
   }
 
-  setControls() {
-    this._onKeyDown = (e) => {
-      if (e.code === 'KeyW' || e.code === 'ArrowUp') this.keys.forward = true
-      if (e.code === 'KeyS' || e.code === 'ArrowDown') this.keys.backward = true
-      if (e.code === 'KeyA' || e.code === 'ArrowLeft') this.keys.left = true
-      if (e.code === 'KeyD' || e.code === 'ArrowRight') this.keys.right = true
-      if (e.code === 'Space') { this.keys.jump = true; e.preventDefault() }
+  /**
+   * Swap in the rigged character once Resources has loaded (or given up on) it
+   */
+  setCharacter() {
+    const resources = this.resources
+    if (!resources) return
+
+    if ('playerModel' in resources.items) {
+      this._applyCharacter(resources.items.playerModel)
+      return
+    }
+    resources.on('optionalLoaded.player', (name, file) => {
+      if (name !== 'playerModel') return
+      resources.off('optionalLoaded.player')
+      this._applyCharacter(file)
+    })
+  }
+
+  _applyCharacter(gltf) {
+    if (!gltf?.scene) {
+      console.log('🤖 No player model, keeping the procedural robot')
+      return
+    }
+
+    let skinned = false
+    gltf.scene.traverse(child => {
+      if (child.isSkinnedMesh) {
+        skinned = true
+        // Skinned bounds don't follow the animated pose
+        child.frustumCulled = false
+      }
+      if (child.isMesh) {
+        child.castShadow = true
+        child.receiveShadow = true
+      }
+    })
+
+    if (!skinned || gltf.animations.length === 0) {
+      console.warn('⚠️ Player model has no skeleton or animations, keeping the procedural robot')
+      return
     }
 
-    this._onKeyUp = (e) => {
-      if (e.code === 'KeyW' || e.code === 'ArrowUp') this.keys.forward = false
-      if (e.code === 'KeyS' || e.code === 'ArrowDown') this.keys.backward = false
-      if (e.code === 'KeyA' || e.code === 'ArrowLeft') this.keys.left = false
-      if (e.code === 'KeyD' || e.code === 'ArrowRight') this.keys.right = false
-      if (e.code === 'Space') this.keys.jump = false
+    // Fit to the robot's height with feet on the ground
+    const model = gltf.scene
+    const box = new THREE.Box3().setFromObject(model)
+    const height = box.max.y - box.min.y
+    if (height > 0) {
+      const scale = 1.6 / height
+      model.scale.multiplyScalar(scale)
+      model.position.y -= box.min.y * scale
     }
 
-    // Use window-level capture to guarantee we get events even if focus is elsewhere
-    window.addEventListener('keydown', this._onKeyDown, true)
-    window.addEventListener('keyup', this._onKeyUp, true)
-    console.log('🎮 Player controls registered')
+    this.robot.traverse(c => {
+      if (c.isMesh) { c.geometry?.dispose(); c.material?.dispose() }
+    })
+    this.mesh.remove(this.robot)
+    this.robot = null
+    this.leftArm = this.rightArm = this.leftLeg = this.rightLeg = null
+
+    this.character = model
+    this.mesh.add(model)
+    this.animator = new CharacterAnimator(model, gltf.animations)
+    // Normal walking blends toward run; sprinting is a full run
+    this.animator.settings.runSpeed = this.controller.sprintSpeed
+    console.log('🦾 Player character model loaded')
+  }
+
+  /**
+   * Play the interact gesture (skinned character only)
+   */
+  playInteract() {
+    this.animator?.playInteract()
   }
 
   teleport(pos) {
     this.body.position.set(pos.x, pos.y, pos.z)
     this.body.velocity.set(0, 0, 0)
     this.mesh.position.set(pos.x, pos.y, pos.z)
+    this.isGrounded = false
+    this.canJump = false
+    this._coyoteTimer = 0
+    this._jumpBufferTimer = 0
+    this._ballistic = false
+  }
+
+  /**
+   * Hand the body to (or take it back from) a scripted sequence. While
+   * scripted the body is kinematic — it neither falls nor collides — and
+   * input is ignored; the sequence moves `body.position` itself.
+   */
+  setScripted(scripted) {
+    this.scripted = scripted
+    this.body.type = scripted ? CANNON.Body.KINEMATIC : CANNON.Body.DYNAMIC
+    this.body.velocity.set(0, 0, 0)
+    this.body.angularVelocity.set(0, 0, 0)
+    this.hasMoveInput = false
+    this.isMoving = false
+    this._jumpBufferTimer = 0
+    this._ballistic = false
+    this.body.wakeUp()
+  }
+
+  /**
+   * Throw the player (jump pads, launch ramps). Ground handling pauses briefly
+   * so the slope follow doesn't cancel the take-off.
+   * @param {{ x: number, y: number, z: number }} velocity
+   * @param {{ airControl?: boolean }} [options] - Without air control the arc is purely ballistic
+   */
+  launch(velocity, { airControl = false } = {}) {
+    this.body.velocity.set(velocity.x, velocity.y, velocity.z)
+    this.isGrounded = false
+    this.canJump = false
+    this._coyoteTimer = 0
+    this._jumpBufferTimer = 0
+    this._jumpLockTimer = 0.3
+    this._ballistic = !airControl
+    this.animator?.jump()
   }
 
-  update() {
+  /**
+   * @param {number} deltaTime - Seconds since last frame
+   */
+  update(deltaTime = 1 / 60) {
     // Get camera direction vectors
     // Must call updateMatrixWorld first since this runs BEFORE render
     const camera = this.experience.camera?.instance
@@ -187,89 +346,287 @@ export class Player {
       right.set(1, 0, 0)
     }
 
-    // Input direction (keyboard + touch)
-    let mx = 0, mz = 0
-    if (this.keys.forward) mz += 1
-    if (this.keys.backward) mz -= 1
-    if (this.keys.left) mx -= 1
-    if (this.keys.right) mx += 1
-
-    // Merge touch joystick input
-    const touch = this.experience.touchControls
-    if (touch?.isEnabled && touch.moveJoystick.active) {
-      mx += touch.getInput().moveX
-      mz += touch.getInput().moveY
-    }
-    if (touch?.isEnabled && touch.jumpRequested) {
-      this.keys.jump = true
+    // A scripted sequence is moving the body
+    if (this.scripted) {
+      this._syncMesh()
+      return
     }
 
-    this.isMoving = Math.abs(mx) > 0 || Math.abs(mz) > 0
+    const c = this.controller
+    const v = this.body.velocity
 
     // Always wake the body so velocity changes take effect
     this.body.wakeUp()
 
-    // Direct velocity control (speed = 15, was 6)
-    const speed = 15
-    if (this.isMoving) {
-      const moveDir = this._moveDir
+    this._jumpBufferTimer = Math.max(0, this._jumpBufferTimer - deltaTime)
+    this._jumpLockTimer = Math.max(0, this._jumpLockTimer - deltaTime)
+
+    this._updateGround(deltaTime)
+
+    // Input direction (keyboard + touch joystick + gamepad stick)
+    const move = this.input.getMoveAxis()
+    this.hasMoveInput = Math.abs(move.x) > 0 || Math.abs(move.y) > 0
+    const autopilotDir = this.hasMoveInput ? null : this.autopilot?.direction
+    this.isMoving = this.hasMoveInput || !!autopilotDir
+
+    this._updateStamina(deltaTime, this.hasMoveInput && this.input.isDown('sprint'))
+
+    // Desired horizontal velocity
+    const moveDir = this._moveDir
+    let targetSpeed = 0
+    if (autopilotDir) {
+      moveDir.set(autopilotDir.x, 0, autopilotDir.z).normalize()
+      targetSpeed = c.walkSpeed * (this.autopilot.speedFactor ?? 1)
+    } else if (this.hasMoveInput) {
       moveDir.set(0, 0, 0)
-      moveDir.addScaledVector(forward, mz)
-      moveDir.addScaledVector(right, mx)
+      moveDir.addScaledVector(forward, move.y)
+      moveDir.addScaledVector(right, move.x)
+      // Analog sticks give partial speed; keyboard diagonals are capped at 1
+      const magnitude = Math.min(1, moveDir.length())
       moveDir.normalize()
+      targetSpeed = (this.isSprinting ? c.sprintSpeed : c.walkSpeed) * magnitude
+    }
+
+    // Accelerate toward it relative to the ground (preserve Y for gravity)
+    const gv = this.groundVelocity
+    if (!this._ballistic) {
+      const targetX = moveDir.x * targetSpeed
+      const targetZ = moveDir.z * targetSpeed
+      let rx = v.x - gv.x
+      let rz = v.z - gv.z
+      const speeding = targetSpeed > 0 && rx * targetX + rz * targetZ >= 0
+      const grip = this.isGrounded ? (c.surfaceGrip[this.groundBody?.material?.name] ?? 1) : 1
+      const rate = this.isGrounded
+        ? (speeding ? c.acceleration : c.deceleration) * grip
+        : (targetSpeed > 0 ? c.airAcceleration : c.airDeceleration)
+      const dx = targetX - rx
+      const dz = targetZ - rz
+      const gap = Math.hypot(dx, dz)
+      const step = rate * deltaTime
+      if (gap <= step) {
+        rx = targetX
+        rz = targetZ
+      } else {
+        rx += (dx / gap) * step
+        rz += (dz / gap) * step
+      }
+      v.x = rx + gv.x
+      v.z = rz + gv.z
+    }
+
+    // Walls and too-steep slopes: drop the part of the velocity pushing into them
+    if (this._hasSteepContact) {
+      const n = this._steepNormal
+      const length = Math.hypot(n.x, n.z)
+      if (length > 0.001) {
+        const into = (v.x * n.x + v.z * n.z) / length
+        if (into < 0) {
+          v.x -= (n.x / length) * into
+          v.z -= (n.z / length) * into
+        }
+      }
+    }
 
-      // Use .set() to ensure velocity is properly applied
-      const vy = this.body.velocity.y // preserve vertical velocity (gravity/jump)
-      this.body.velocity.set(moveDir.x * speed, vy, moveDir.z * speed)
+    // Follow the slope so walking downhill doesn't launch the player
+    if (this.isGrounded) {
+      const n = this.groundNormal
+      v.y = gv.y - (n.x * (v.x - gv.x) + n.z * (v.z - gv.z)) / n.y
+    }
 
-      // Face movement direction
+    // Face movement direction
+    if (this.isMoving) {
       const angle = Math.atan2(moveDir.x, moveDir.z)
       const diff = ((angle - this.mesh.rotation.y + Math.PI) % (Math.PI * 2)) - Math.PI
-      this.mesh.rotation.y += diff * 0.15
-    } else {
-      // Decelerate when not pressing keys (preserve Y for gravity)
-      this.body.velocity.set(
-        this.body.velocity.x * 0.85,
-        this.body.velocity.y,
-        this.body.velocity.z * 0.85
-      )
+      this.mesh.rotation.y += diff * c.turnRate
     }
 
-    // Jump (half force while moving)
-    if (this.keys.jump && this.canJump) {
-      this.body.velocity.y = this.isMoving ? this.jumpForce * 0.5 : this.jumpForce
+    // Jump (buffered press + coyote time; half force while moving)
+    if (this._jumpBufferTimer > 0 && this.canJump && !this.autopilot) {
+      v.y = this.isMoving ? this.jumpForce * 0.5 : this.jumpForce
       this.canJump = false
+      this.isGrounded = false
+      this._coyoteTimer = 0
+      this._jumpBufferTimer = 0
+      this._jumpLockTimer = 0.2
+      this.experience.audioManager?.play('jump')
+      this.animator?.jump()
     }
 
     // Sync mesh to physics body
+    this._syncMesh()
+
+    if (this.animator) {
+      this._updateCharacter(deltaTime)
+    } else {
+      this._updateRobot()
+    }
+
+    // Respawn if fallen off world
+    if (this.body.position.y < -50) {
+      this.teleport(new THREE.Vector3(0, 10, 50))
+    }
+  }
+
+  _syncMesh() {
     this.mesh.position.copy(this.body.position)
     // Offset mesh down so feet touch ground (sphere center is at radius 0.4)
-    this.mesh.position.y -= 0.4
+    this.mesh.position.y -= this.radius
+  }
+
+  /**
+   * Ground state from the last physics step's contacts plus a downward probe.
+   * Sets isGrounded / canJump / groundNormal and snaps down small steps.
+   */
+  _updateGround(deltaTime) {
+    const c = this.controller
+    const body = this.body
+    const normal = this._contactNormal
+    const wasGrounded = this.isGrounded
+
+    let grounded = false
+    let groundBody = null
+    let bestY = -Infinity
+    this._hasSteepContact = false
+
+    for (const contact of this.physics.world.contacts) {
+      // Contact normal points from bi to bj; flip it so it points at the player
+      if (contact.bi === body) contact.ni.negate(normal)
+      else if (contact.bj === body) normal.copy(contact.ni)
+      else continue
+
+      if (normal.y >= this._minGroundNormalY) {
+        grounded = true
+        if (normal.y > bestY) {
+          bestY = normal.y
+          groundBody = contact.bi === body ? contact.bj : contact.bi
+          this.groundNormal.set(normal.x, normal.y, normal.z)
+        }
+      } else if (normal.y > -0.1) {
+        this._steepNormal.set(normal.x, normal.y, normal.z)
+        this._hasSteepContact = true
+      }
+    }
+
+    if (this._jumpLockTimer > 0) {
+      grounded = false
+    } else {
+      const probe = this.physics.groundCheck(body.position, 0.1 + this.radius + c.snapDistance)
+      if (probe.hit && probe.normal.y >= this._minGroundNormalY) {
+        const gap = probe.distance - 0.1 - this.radius
+
+        if (gap <= 0.05) {
+          grounded = true
+        } else if (!grounded && wasGrounded && body.velocity.y <= 0.5) {
+          // Step down instead of flying off small ledges
+          body.position.y -= gap
+          grounded = true
+        }
+        if (grounded) {
+          this.groundNormal.set(probe.normal.x, probe.normal.y, probe.normal.z)
+          groundBody = probe.body
+        }
+      }
+    }
 
-    // Simple walk animation
-    if (this.isMoving && this.canJump) {
+    if (!grounded) {
+      this.groundNormal.set(0, 1, 0)
+      groundBody = null
+    } else {
+      this._ballistic = false
+    }
+
+    // Surface velocity at the contact point (linear + angular), so platforms carry the player
+    this.groundVelocity.set(0, 0, 0)
+    if (groundBody && groundBody.type !== CANNON.Body.STATIC) {
+      const gv = groundBody.velocity
+      const w = groundBody.angularVelocity
+      const rx = body.position.x - groundBody.position.x
+      const ry = body.position.y - groundBody.position.y
+      const rz = body.position.z - groundBody.position.z
+      this.groundVelocity.set(
+        gv.x + w.y * rz - w.z * ry,
+        gv.y + w.z * rx - w.x * rz,
+        gv.z + w.x * ry - w.y * rx
+      )
+    }
+
+    this.groundBody = groundBody
+    this.isGrounded = grounded
+    this._coyoteTimer = grounded ? c.coyoteTime : Math.max(0, this._coyoteTimer - deltaTime)
+    this.canJump = grounded || this._coyoteTimer > 0
+  }
+
+  /**
+   * Sprint drains stamina on the ground; running dry locks sprint until it recovers
+   */
+  _updateStamina(deltaTime, wantsSprint) {
+    const s = this.controller.stamina
+
+    this.isSprinting = wantsSprint && !this._exhausted && this.stamina > 0
+
+    if (this.isSprinting) {
+      if (this.isGrounded) this.stamina = Math.max(0, this.stamina - s.drain * deltaTime)
+      this._staminaDelay = s.regenDelay
+      if (this.stamina === 0) this._exhausted = true
+    } else if (this._staminaDelay > 0) {
+      this._staminaDelay -= deltaTime
+    } else if (this.stamina < 1) {
+      this.stamina = Math.min(1, this.stamina + s.regen * deltaTime)
+      if (this._exhausted && this.stamina >= s.recover) this._exhausted = false
+    }
+
+    this.experience.uiManager?.updateStamina(this.stamina, this._exhausted)
+  }
+
+  /**
+   * Drive the skinned character from body velocity and ground contact
+   */
+  _updateCharacter(deltaTime) {
+    const v = this.body.velocity
+    const speed = Math.hypot(v.x, v.z)
+
+    this.animator.update(deltaTime, { speed, grounded: this.isGrounded, verticalVelocity: v.y })
+
+    // Footstep every stride while walking on the ground
+    if (this.isGrounded && speed > 1) {
+      this._strideDistance += speed * deltaTime
+      if (this._strideDistance > 1.4) {
+        this._strideDistance = 0
+        this.experience.audioManager?.playFootstep()
+      }
+    }
+  }
+
+  /**
+   * Simple walk animation for the procedural robot
+   */
+  _updateRobot() {
+    if (this.isMoving && this.isGrounded) {
       const t = performance.now() * 0.008
       const swing = Math.sin(t * 10) * 0.25
       this.leftLeg.rotation.x = swing
       this.rightLeg.rotation.x = -swing
       this.leftArm.rotation.x = -swing * 0.5
       this.rightArm.rotation.x = swing * 0.5
+
+      // Footstep each time the legs cross (swing changes sign)
+      const swingSign = Math.sign(swing)
+      if (swingSign !== 0 && swingSign !== this._lastSwingSign) {
+        this._lastSwingSign = swingSign
+        this.experience.audioManager?.playFootstep()
+      }
     } else {
       this.leftLeg.rotation.x *= 0.85
       this.rightLeg.rotation.x *= 0.85
       this.leftArm.rotation.x *= 0.85
       this.rightArm.rotation.x *= 0.85
     }
-
-    // Respawn if fallen off world
-    if (this.body.position.y < -50) {
-      this.teleport(new THREE.Vector3(0, 10, 50))
-    }
   }
 
   dispose() {
-    window.removeEventListener('keydown', this._onKeyDown, true)
-    window.removeEventListener('keyup', this._onKeyUp, true)
+    this._offJump?.()
+    this.resources?.off('optionalLoaded.player')
+    this.animator?.dispose()
     this.scene.remove(this.mesh)
     this.mesh.traverse(c => {
       if (c.isMesh) { c.geometry?.dispose(); c.material?.dispose() }
@@ -1,12 +1,14 @@
 import * as THREE from 'three'
 import * as CANNON from 'cannon-es'
 import { Experience } from '../Experience.js'
+import { GameplayElements } from './GameplayElements.js'
 
 /**
  * TestEnvironment — Production-Ready Procedural World
  * ═══════════════════════════════════════════════════
  * TobaTech Jungle: 8 zones, paths, portals, landmarks,
- * trees, terrain elevation, physics, particles.
+ * trees, terrain elevation, physics, particles, and
+ * gameplay elements (jump pads, ice, platforms, ramps).
  *
  * Optimized: instanced meshes, shared materials, bounded particles.
  */
@@ -24,7 +26,9 @@ export class TestEnvironment {
     this.particles = []
     this.portals = []
     this.landmarks = []
+    this.paths = []
     this.zoneLabels = [] // Floating text labels
+    this.zoneLights = [] // Glow spheres that brighten at night
 
     // ── Zone Config (level design doc) ──
     // PORTFOLIO SERVICE AREAS:
@@ -80,6 +84,9 @@ export class TestEnvironment {
       this.physics.setHeightfield(this._terrainHeights, this._terrainSize, this._terrainSegs)
     }
 
+    // Jump pads, ice, moving platforms and launch ramps
+    this.gameplay = new GameplayElements(this)
+
     console.log('🏗️ Production World loaded — zones:', Object.keys(this.zones).length, 'bodies:', this.bodies.length)
   }
 
@@ -113,7 +120,9 @@ export class TestEnvironment {
       new THREE.MeshBasicMaterial({ color, transparent: true, opacity: Math.min(intensity * 0.3, 0.8) })
     )
     glow.position.set(x, y, z)
+    glow.userData.bloom = true
     parent.add(glow)
+    this.zoneLights.push({ mesh: glow, baseOpacity: glow.material.opacity })
     return glow
   }
 
@@ -199,6 +208,7 @@ export class TestEnvironment {
     floor.receiveShadow = false
     floor.name = 'Terrain'
     this.group.add(floor)
+    this.terrain = floor
 
     // Store terrain height data for physics heightfield
     this._terrainSize = size
@@ -221,7 +231,8 @@ export class TestEnvironment {
 
   _buildPaths() {
     const pathMat = this._mat('path', 0x8B7355, { roughness: 0.9 })
-    const paths = [
+    // Kept on the instance so the minimap can draw them
+    this.paths = [
       // HUB to Z1 (north)
       { from: [0, 0, 50], to: [0, 0, -110], w: 8 },
       { from: [0, 0, -110], to: [0, 0, -160], w: 8 },
@@ -245,7 +256,7 @@ export class TestEnvironment {
       { from: [-80, 0, 300], to: [80, 0, 300], w: 4 },
     ]
 
-    paths.forEach(p => {
+    this.paths.forEach(p => {
       const s = new THREE.Vector3(p.from[0], 0.05, p.from[2])
       const e = new THREE.Vector3(p.to[0], 0.05, p.to[2])
       const dir = e.clone().sub(s)
@@ -917,7 +928,9 @@ export class TestEnvironment {
         new THREE.CircleGeometry(1.1, 16),
         new THREE.MeshBasicMaterial({ color: zoneColor, transparent: true, opacity: 0.35, side: THREE.DoubleSide })
       )
+      surface.name = 'PortalSurface'
       surface.position.y = 1.4
+      surface.userData.bloom = true
       g.add(surface)
       this.animatedObjects.push({ mesh: surface, type: 'portal_pulse', speed: 1.5 })
 
@@ -934,7 +947,7 @@ export class TestEnvironment {
       }
 
       g.userData = {
-        isPortal: true, portalId: def.id, toZone: def.to,
+        isInteractable: true, isPortal: true, portalId: def.id, toZone: def.to,
         destination: this.zones[def.to]?.center.clone().setY(2) || new THREE.Vector3(0, 2, 0),
       }
       this.group.add(g)
@@ -1084,7 +1097,7 @@ export class TestEnvironment {
     }))
     fireflies.name = 'Fireflies'
     this.group.add(fireflies)
-    this.particles.push({ points: fireflies, speeds: ffSpeeds, type: 'firefly' })
+    this.particles.push({ points: fireflies, speeds: ffSpeeds, type: 'firefly', maxCount: ffCount })
 
     // ── Pollen ──
     const pCount = 60
@@ -1109,7 +1122,19 @@ export class TestEnvironment {
     }))
     pollen.name = 'Pollen'
     this.group.add(pollen)
-    this.particles.push({ points: pollen, speeds: pSpeeds, type: 'pollen' })
+    this.particles.push({ points: pollen, speeds: pSpeeds, type: 'pollen', maxCount: pCount })
+
+    this.setParticleDensity(this.experience.qualityManager?.current.particleDensity ?? 1)
+  }
+
+  /**
+   * Draw and animate only a fraction of each particle system (quality tiers)
+   * @param {number} density - 0..1 of the built particle count
+   */
+  setParticleDensity(density) {
+    for (const p of this.particles) {
+      p.points.geometry.setDrawRange(0, Math.floor(p.maxCount * density))
+    }
   }
 
   // ═══════════════════════════════════════
@@ -1227,13 +1252,28 @@ export class TestEnvironment {
     return new THREE.Vector3(0, 2, 5)
   }
 
+  /**
+   * Terrain height and surface normal under a point
+   * @returns {{ y: number, normal: THREE.Vector3 }}
+   */
+  getGroundAt(x, z) {
+    if (!this._groundRay) this._groundRay = new THREE.Raycaster(new THREE.Vector3(), new THREE.Vector3(0, -1, 0))
+    this._groundRay.ray.origin.set(x, 500, z)
+
+    const hit = this._groundRay.intersectObject(this.terrain, false)[0]
+    if (!hit) return { y: 0, normal: new THREE.Vector3(0, 1, 0) }
+    return { y: hit.point.y, normal: hit.face.normal.clone() }
+  }
+
   // ═══════════════════════════════════════
   // ANIMATION UPDATE LOOP
   // ═══════════════════════════════════════
 
-  update() {
+  update(deltaTime = 1 / 60) {
     const t = performance.now() * 0.001
 
+    this.gameplay?.update(deltaTime)
+
     // ── Animated objects ──
     for (const obj of this.animatedObjects) {
       const m = obj.mesh
@@ -1284,10 +1324,22 @@ export class TestEnvironment {
       }
     }
 
+    // ── Night response (zone lights + fireflies) ──
+    const darkness = this.experience.world?.environment?.getDarkness?.() ?? 0
+    for (const { mesh, baseOpacity } of this.zoneLights) {
+      mesh.material.opacity = Math.min(baseOpacity * (0.5 + darkness * 1.2), 1)
+      mesh.scale.setScalar(1 + darkness * 1.5)
+    }
+
     // ── Particles ──
     for (const p of this.particles) {
+      if (p.type === 'firefly') {
+        p.points.material.opacity = 0.15 + darkness * 0.8
+      }
+
       const pos = p.points.geometry.attributes.position
-      for (let i = 0; i < pos.count; i++) {
+      const count = p.points.geometry.drawRange.count
+      for (let i = 0; i < count; i++) {
         const sp = p.speeds[i]
         if (p.type === 'firefly') {
           pos.array[i * 3] += Math.sin(t * 2 + sp.phase) * sp.sx
@@ -1324,9 +1376,13 @@ export class TestEnvironment {
   // ═══════════════════════════════════════
 
   dispose() {
+    this.gameplay?.dispose()
+    this.gameplay = null
+
     this.bodies.forEach(body => this.physics.world.removeBody(body))
     this.bodies = []
     this.physics.removeZoneColliders()
+    this.physics.removeHeightfield()
 
     this.group.traverse(child => {
       if (child.isMesh || child.isInstancedMesh || child.isLine || child.isPoints || child.isSprite) {
@@ -1343,8 +1399,10 @@ export class TestEnvironment {
     this.particles = []
     this.portals = []
     this.landmarks = []
+    this.paths = []
     this.dynamicMeshes = []
     this.zoneLabels = []
+    this.zoneLights = []
     console.log('🧹 Production World disposed')
   }
 }
@@ -1,9 +1,12 @@
+import * as THREE from 'three'
 import { Experience } from '../Experience.js'
 import { Environment } from './Environment.js'
 import { Player } from './Player.js'
 import { TestEnvironment } from './TestEnvironment.js'
 import { ForestEnvironment } from './ForestEnvironment.js'
 import { PortfolioShowcase } from '../Systems/PortfolioShowcase.js'
+import { InteractionSystem, InteractionPrompt } from '../Systems/InteractionSystem.js'
+import { loadPortfolioManifest } from '../Data/portfolioLoader.js'
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js'
 
@@ -29,9 +32,14 @@ export class World {
     // Portfolio showcase system (world-space UI panels)
     this.portfolioShowcase = null
 
+    // Portal interaction where there is no showcase (forest)
+    this.portalInteraction = null
+    this._portalPos = new THREE.Vector3()
+    this._portalDir = new THREE.Vector3()
+
     // Zone tracking
     this.currentZone = null
-    this.visitedZones = new Set(['HUB'])
+    this.visitedZones = new Set(this.experience.persistence?.data.progress.visitedZones ?? ['HUB'])
 
     // Core systems (always present)
     this.environment = new Environment()
@@ -40,6 +48,9 @@ export class World {
     // Start with test environment immediately (no GLB needed)
     this.createTestEnvironment()
 
+    // Swap in portfolio.json content once fetched (showcase rebuilds its panels)
+    loadPortfolioManifest()
+
     // Listen for toggle events from UI
     this._onToggle = () => this.toggleEnvironment()
     window.addEventListener('toggleEnvironment', this._onToggle)
@@ -51,7 +62,7 @@ export class World {
     this.activeEnvironment = new TestEnvironment()
     
     // Initialize portfolio showcase with world-space UI panels
-    this.portfolioShowcase = new PortfolioShowcase(this.activeEnvironment.zones)
+    this.portfolioShowcase = new PortfolioShowcase(this.activeEnvironment)
     
     this.player.teleport({ x: 0, y: 2, z: 5 })
     console.log('🧪 Switched to Test Environment')
@@ -111,11 +122,65 @@ export class World {
     this.disposeCurrentEnvironment()
     this.activeMode = 'forest'
     this.activeEnvironment = new ForestEnvironment()
+    this.setPortalInteraction()
     this.player.teleport({ x: 0, y: 2, z: 5 })
     console.log('🌳 Switched to Forest Environment')
     this.updateToggleUI()
   }
 
+  /**
+   * Target and enter the active environment's portals without a showcase
+   */
+  setPortalInteraction() {
+    const interaction = new InteractionSystem()
+    const prompt = new InteractionPrompt()
+
+    interaction.setInteractables(this.activeEnvironment.portals)
+    interaction.onTargetChange = (target) => {
+      if (target) prompt.show(`Teleport to ${target.userData.toZone}`)
+      else prompt.hide()
+    }
+    interaction.onInteract = (data) => {
+      if (this.experience.portalTransition?.active) return
+      this.player.playInteract()
+      this.travelThroughPortal(data.object)
+    }
+
+    const onBindingsChanged = () => {
+      const label = this.experience.inputManager?.getLabel('interact')
+      if (label) prompt.setKey(label)
+    }
+    onBindingsChanged()
+    window.addEventListener('inputBindingsChanged', onBindingsChanged)
+
+    this.portalInteraction = {
+      interaction,
+      dispose: () => {
+        window.removeEventListener('inputBindingsChanged', onBindingsChanged)
+        interaction.dispose()
+        prompt.dispose()
+      },
+    }
+  }
+
+  /**
+   * Travel through a portal: PortalTransition's pull-in, wipe and arrival
+   * (it dispatches portalTravel), or an instant teleport without it
+   * @param {THREE.Object3D} portal - Portal group (userData.isPortal)
+   */
+  travelThroughPortal(portal) {
+    const { toZone, destination } = portal?.userData ?? {}
+    if (!destination) return
+    if (this.experience.portalTransition?.play(portal)) return
+
+    this.experience.audioManager?.play('portal')
+    this.player.teleport({ x: destination.x, y: destination.y + 1, z: destination.z })
+    this.experience.camera?.thirdPerson?.snap()
+    window.dispatchEvent(new CustomEvent('portalTravel', {
+      detail: { toZone, destination }
+    }))
+  }
+
   toggleEnvironment() {
     if (this.activeMode === 'test') {
       this.createForestEnvironment()
@@ -125,10 +190,17 @@ export class World {
   }
 
   disposeCurrentEnvironment() {
+    // Capture visited projects before the showcase goes away
+    this.experience.persistence?.save()
+
     if (this.portfolioShowcase) {
       this.portfolioShowcase.dispose()
       this.portfolioShowcase = null
     }
+    if (this.portalInteraction) {
+      this.portalInteraction.dispose()
+      this.portalInteraction = null
+    }
     if (this.activeEnvironment) {
       this.activeEnvironment.dispose()
       this.activeEnvironment = null
@@ -145,7 +217,7 @@ export class World {
   update(deltaTime) {
     // Update player
     if (this.player) {
-      this.player.update()
+      this.player.update(deltaTime)
 
       // Zone tracking (forest environment has zones)
       if (this.activeEnvironment && this.activeEnvironment.getZoneAtPosition) {
@@ -160,6 +232,9 @@ export class World {
       }
     }
 
+    // Time of day (auto cycle and preset tweens)
+    this.environment?.update(deltaTime)
+
     // Update environment (sync dynamic objects)
     if (this.activeEnvironment) {
       this.activeEnvironment.update(deltaTime)
@@ -169,6 +244,16 @@ export class World {
     if (this.portfolioShowcase) {
       this.portfolioShowcase.update(deltaTime)
     }
+
+    // Portal targeting: player position, camera forward on the ground plane
+    const camera = this.experience.camera?.instance
+    if (this.portalInteraction && this.player && camera) {
+      this._portalPos.copy(this.player.mesh.position)
+      camera.getWorldDirection(this._portalDir)
+      this._portalDir.y = 0
+      this._portalDir.normalize()
+      this.portalInteraction.interaction.update(this._portalPos, this._portalDir)
+    }
   }
 
   onZoneEnter(zone) {
@@ -4,4 +4,13 @@
  * 
  * Forest GLB is lazy-loaded on demand (see World.js) to speed up initial load.
  */
-export const sources = []
+export const sources = [
+  {
+    // Rigged character: optional, so a missing file doesn't hold up 'ready'
+    // and Player keeps the procedural robot
+    name: 'playerModel',
+    type: 'gltfModel',
+    path: 'models/player/robot.glb',
+    optional: true,
+  },
+]